@@ -13,6 +13,10 @@
  * - ocr_failed: Floorplan OCR failed
  * - similar_properties_loaded: Comparable properties displayed
  * - compare_page_opened: User clicked Compare button
+ * - property_saved: User saved/unsaved a property to the watchlist
+ * - price_change_detected: Asking price differs from a previous visit
+ * - assumption_edited: User corrected a model input in the sidebar
+ * - floorplan_reread: User asked for the floorplan to be OCR'd again
  * - navigation_detected: SPA navigation to new property
  * - error_occurred: Any error in the extension
  */
@@ -67,14 +71,19 @@
     }
   }
 
+  // Model version in use (picked on the options page)
+  async function getModelVersion() {
+    try {
+      return (await window.RFVModels?.getModel())?.version || 'unknown';
+    } catch (e) {
+      return 'unknown';
+    }
+  }
+
   // Detect current site
   function getCurrentSite() {
-    const hostname = window.location.hostname;
-    if (hostname.includes('rightmove')) return 'rightmove';
-    if (hostname.includes('knightfrank')) return 'knightfrank';
-    if (hostname.includes('chestertons')) return 'chestertons';
-    if (hostname.includes('savills')) return 'savills';
-    return 'unknown';
+    // Site adapters are registered by sites/*.js (not loaded on extension pages)
+    return window.RFVSites?.detect(window.location.hostname)?.id || 'unknown';
   }
 
   /**
@@ -98,6 +107,7 @@
 
         // Extension context
         extension_version: getExtensionVersion(),
+        model_version: await getModelVersion(),
         source_site: getCurrentSite(),
         session_id: getSessionId(),
 
@@ -240,7 +250,14 @@
       size_source: result.sizeSource,
       bedrooms: result.bedrooms,
       postcode_district: result.postcodeDistrict,
-      model_version: 'v20'
+      confidence: result.confidence,
+      room_check: result.roomCheck,
+      bills_included: result.billsIncluded,
+      bills_adjusted_premium_pct: result.billsAdjustedPremiumPct,
+      total_monthly_cost: result.totalMonthlyCost,
+      epc_band: result.epcBand,
+      epc_source: result.epcSource,
+      model_version: result.modelVersion
     }),
 
     predictionFailed: (reason, context = {}) => capture('prediction_failed', {
@@ -258,6 +275,8 @@
       extracted_sqft: result.sqft,
       has_text: result.hasText,
       ocr_confidence: result.confidence || null,
+      size_cut_off: !!result.cutOff,
+      from_cache: !!result.cached,
       processing_time_ms: result.processingTimeMs || null
     }),
 
@@ -282,6 +301,28 @@
       bedrooms: propertyData.bedrooms
     }),
 
+    // Watchlist
+    propertySaved: (saved) => capture('property_saved', {
+      saved: saved
+    }),
+
+    priceChangeDetected: (change) => capture('price_change_detected', {
+      previous_price: change.previous_price,
+      asking_price: change.current_price,
+      price_change: change.change,
+      premium_vs_stored: change.premium_vs_stored
+    }),
+
+    assumptionEdited: (data) => capture('assumption_edited', {
+      field: data.field,
+      fair_value_before: data.fairValueBefore,
+      fair_value_after: data.fairValueAfter
+    }),
+
+    floorplanReread: (floorplanCount) => capture('floorplan_reread', {
+      floorplan_count: floorplanCount
+    }),
+
     // Navigation
     navigationDetected: (fromUrl, toUrl) => capture('navigation_detected', {
       from_site: getCurrentSite(),
@@ -1,9 +1,50 @@
 /**
  * Background Service Worker for Rent Fair Value Extension
- * Handles cross-origin image fetching for OCR (content scripts can't bypass CORS)
+ * - Handles cross-origin image fetching for in-page OCR (content scripts can't bypass CORS)
+ * - Forwards model and OCR requests to the offscreen engine (offscreen.js), creating it on demand
  */
 
+const OFFSCREEN_URL = 'offscreen.html';
+let creatingOffscreen = null;
+
+// One offscreen document serves every tab; it stays open so the model stays loaded
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)],
+  });
+  if (contexts.length > 0) return;
+
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['WORKERS'],
+      justification: 'Runs the valuation model and floorplan OCR outside listing pages',
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+  await creatingOffscreen;
+}
+
+async function forwardToEngine(op, payload) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', op, payload });
+  return response || { success: false, error: 'No response from offscreen engine' };
+}
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'engine') {
+    forwardToEngine(request.op, request.payload)
+      .then(sendResponse)
+      .catch(error => {
+        console.error('[RFV Background] Engine request failed:', error.message);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true; // Required for async sendResponse
+  }
+
   if (request.action === 'fetchImage') {
     console.log('[RFV Background] Fetching image:', request.url);
 
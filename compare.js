@@ -18,9 +18,24 @@ function getParams() {
     type: params.get('type') || '',
     url: params.get('url') || '',
     propertyId: params.get('propertyId') || '',
+    confidence: params.get('confidence') || '',
+    confidenceReasons: (params.get('confidenceReasons') || '').split('|').filter(Boolean),
+    roomCheck: parseRoomCheck(params.get('roomCheck')),
+    quotedRent: params.get('quotedRent') || '',
   };
 }
 
+// Floorplan room schedule from the sidebar (RFVFloorplan.parseFloorplan result), or null
+function parseRoomCheck(json) {
+  if (!json) return null;
+  try {
+    const check = JSON.parse(json);
+    return Array.isArray(check?.rooms) ? check : null;
+  } catch (e) {
+    return null;
+  }
+}
+
 // Format currency
 function formatPrice(price) {
   return '£' + price.toLocaleString();
@@ -42,6 +57,10 @@ function renderYourProperty(params) {
   document.getElementById('your-sqft').textContent = params.sqft > 0 ? params.sqft.toLocaleString() : 'N/A';
   document.getElementById('your-postcode').textContent = params.postcode;
   document.getElementById('your-price').textContent = formatPrice(params.price) + ' pcm';
+  // The listing's wording when it wasn't a plain monthly rent, e.g. "Quoted £52,000 pa"
+  const quotedEl = document.getElementById('your-price-quoted');
+  quotedEl.textContent = params.quotedRent;
+  quotedEl.classList.toggle('hidden', !params.quotedRent);
 
   if (params.sqft > 0) {
     const ppsf = (params.price / params.sqft).toFixed(2);
@@ -58,12 +77,48 @@ function renderYourProperty(params) {
     document.getElementById('your-diff').textContent = '';
   }
 
+  // Confidence grade from the sidebar, so a weak estimate doesn't look as solid here
+  const confidenceEl = document.getElementById('your-confidence');
+  if (params.confidence && params.fairValue > 0) {
+    confidenceEl.querySelector('.confidence-grade').textContent = params.confidence.toUpperCase() + ' confidence';
+    confidenceEl.querySelector('.confidence-reasons').textContent =
+      params.confidenceReasons.join(' · ') || 'Built on full listing data';
+    confidenceEl.classList.add(params.confidence);
+  } else {
+    confidenceEl.classList.add('hidden');
+  }
+
+  renderRooms(params.roomCheck);
+
   // Back link
   if (params.url) {
     document.getElementById('back-link').href = params.url;
   }
 }
 
+// Rooms read from the floorplan and whether the quoted size adds up
+function renderRooms(check) {
+  const roomsEl = document.getElementById('your-rooms');
+  if (!check) {
+    roomsEl.classList.add('hidden');
+    return;
+  }
+
+  if (['consistent', 'padded', 'short'].includes(check.status)) {
+    roomsEl.classList.add(check.status);
+  }
+  roomsEl.querySelector('.rooms-check').textContent = RFVFloorplan.formatRoomCheck(check);
+
+  // Built with textContent - the room names come from the page URL
+  const list = roomsEl.querySelector('.rooms-list');
+  for (const room of check.rooms) {
+    const row = list.insertRow();
+    row.insertCell().textContent = room.name;
+    row.insertCell().textContent = `${Number(room.width_m).toFixed(2)} × ${Number(room.length_m).toFixed(2)} m`;
+    row.insertCell().textContent = `${Number(room.sqft).toLocaleString()} sqft`;
+  }
+}
+
 // Render stats summary
 function renderStats(stats, yourPrice) {
   document.getElementById('stat-peers').textContent = stats.peer_count;
@@ -1,11 +1,11 @@
 /**
  * Rent Fair Value - Chrome Extension
  * Shows ML-powered fair rent estimates on London rental listings
- * Supports: Rightmove, Knight Frank, Chestertons, Savills
+ * Supports: Rightmove, Zoopla, OnTheMarket, Knight Frank, Chestertons, Savills
  *
  * Flow:
- * 1. Detect which site we're on
- * 2. Extract property data using site-specific logic
+ * 1. Detect which site we're on (site adapters in sites/)
+ * 2. Extract property data using the site's adapter
  * 3. Run XGBoost model locally (OCR floorplan if available)
  *
  * DISCLAIMER: This extension provides automated estimates for informational
@@ -45,65 +45,26 @@
     comparePageOpened: () => {},
     navigationDetected: () => {},
     shortLetDetected: () => {},
+    propertySaved: () => {},
+    priceChangeDetected: () => {},
+    assumptionEdited: () => {},
+    floorplanReread: () => {},
     captureException: () => {},
   };
 
   const CONFIG = {
     PREDICTIONS_URL: 'https://raw.githubusercontent.com/kavanaghpatrick/rent-fair-value/main/api/predictions.json',
     SIMILAR_URL: 'https://raw.githubusercontent.com/kavanaghpatrick/rent-fair-value/main/api/similar_listings.json',
-    MODEL_URL: chrome.runtime.getURL('api/model.json'),
-    FEATURES_URL: chrome.runtime.getURL('api/features.json'),
-    OCR_TIMEOUT: 60000,
+    OCR_TIMEOUT: 60000,  // Per floorplan image
+    MAX_FLOORPLANS: 4,   // One per floor plus an annex covers nearly every listing
   };
 
-  // Postcodes with good training data coverage (100+ listings)
-  // These match the TARGET_POSTCODES in our scrapers
-  const WELL_COVERED_POSTCODES = [
-    'SW1', 'SW1A', 'SW1E', 'SW1H', 'SW1P', 'SW1V', 'SW1W', 'SW1X', 'SW1Y',
-    'SW3', 'SW5', 'SW6', 'SW7', 'SW10', 'SW11',
-    'W1', 'W1B', 'W1C', 'W1D', 'W1F', 'W1G', 'W1H', 'W1J', 'W1K', 'W1S', 'W1T', 'W1U', 'W1W',
-    'W2', 'W8', 'W11',
-    'NW1', 'NW3', 'NW8',
-  ];
-
-  /**
-   * Check if a postcode district has sufficient training data
-   * @param {string} postcodeDistrict - e.g., 'SW12', 'W1J'
-   * @returns {boolean} true if well-covered, false if sparse
-   */
-  function hasGoodCoverage(postcodeDistrict) {
-    if (!postcodeDistrict) return false;
-    const district = postcodeDistrict.toUpperCase().trim();
-
-    // Check exact match first
-    if (WELL_COVERED_POSTCODES.includes(district)) return true;
-
-    // Check if it's a sub-district of a covered area (e.g., SW1X is covered by SW1)
-    for (const covered of WELL_COVERED_POSTCODES) {
-      if (district.startsWith(covered) && covered.length >= 2) return true;
-    }
-
-    return false;
-  }
-
-  // Site detection
-  const SITES = {
-    RIGHTMOVE: 'rightmove',
-    KNIGHTFRANK: 'knightfrank',
-    CHESTERTONS: 'chestertons',
-    SAVILLS: 'savills',
-  };
-
-  function detectSite() {
-    const hostname = window.location.hostname;
-    if (hostname.includes('rightmove.co.uk')) return SITES.RIGHTMOVE;
-    if (hostname.includes('knightfrank.co.uk')) return SITES.KNIGHTFRANK;
-    if (hostname.includes('chestertons.co.uk')) return SITES.CHESTERTONS;
-    if (hostname.includes('savills.com')) return SITES.SAVILLS;
-    return null;
-  }
+  // Shared with the popup and extension pages (see valuation.js)
+  const { hasGoodCoverage, getAssessment, estimateSqft } = window.RFVValuation;
 
-  const currentSite = detectSite();
+  // Site detection - each supported site registers an adapter (see sites/registry.js)
+  const siteAdapter = window.RFVSites?.detect(window.location.hostname) || null;
+  const currentSite = siteAdapter?.id || null;
   log(' Detected site:', currentSite);
 
   // Prevent duplicate execution
@@ -113,15 +74,15 @@
   // Caches
   let predictionsCache = null;
   let similarListingsCache = null;
-  let xgbPredictor = null;
+  let modelInfo = null;       // models.json entry of the model in use
+  let challengerInfo = null;  // Analyst mode only
 
   // Track current URL for SPA navigation detection
   let lastUrl = window.location.href;
   let isRunning = false;
 
-  // Track which property we've already clicked the floorplan tab for
-  // This prevents infinite loops when lightbox changes URL hash
-  let floorplanClickedForProperty = null;
+  // Watches search results pages for cards added by infinite scroll / pagination
+  let searchObserver = null;
 
   // Main execution
   init();
@@ -182,16 +143,14 @@
     const oldUrl = lastUrl;
     lastUrl = newUrl;
 
-    // Reset floorplan click tracking for new property
-    floorplanClickedForProperty = null;
-
     // Track navigation
     Analytics.navigationDetected(oldUrl, newUrl);
 
-    // Check if this is a property detail page (not search results)
-    if (!isPropertyPage(newUrl)) {
-      log(' Not a property page, skipping');
+    // Check if this is a property detail page or search results page
+    if (!isPropertyPage(newUrl) && !isSearchPage(newUrl)) {
+      log(' Not a property or search page, skipping');
       removeExisting(); // Remove sidebar on non-property pages
+      stopSearchObserver();
       return;
     }
 
@@ -206,24 +165,19 @@
 
   function isPropertyPage(url) {
     // Check if URL matches property detail page patterns
-    switch (currentSite) {
-      case SITES.RIGHTMOVE:
-        return /\/properties\/\d+/.test(url);
-      case SITES.KNIGHTFRANK:
-        return /\/properties\//.test(url) && !/\/search/.test(url);
-      case SITES.CHESTERTONS:
-        return /\/properties\/\d+\/lettings\//.test(url);
-      case SITES.SAVILLS:
-        return /\/property-detail\//.test(url);
-      default:
-        return false;
-    }
+    return siteAdapter ? siteAdapter.isPropertyPage(url) : false;
+  }
+
+  function isSearchPage(url) {
+    // Check if URL matches search results page patterns
+    return siteAdapter?.isSearchPage ? siteAdapter.isSearchPage(url, document) : false;
   }
 
   // Start navigation detection
   setupNavigationDetection();
 
-  async function init() {
+  // rereadFloorplan: OCR the floorplans again instead of using cached reads
+  async function init({ rereadFloorplan = false } = {}) {
     // Prevent concurrent runs
     if (isRunning) {
       log(' Already running, skipping');
@@ -238,6 +192,15 @@
       // Remove any existing sidebar before starting fresh
       removeExisting();
 
+      // Search results: badge every listing card instead of showing the sidebar
+      if (isSearchPage(window.location.href)) {
+        await scoreSearchResults();
+        startSearchObserver();
+        isRunning = false;
+        return;
+      }
+      stopSearchObserver();
+
       // 1. Extract property data from page
       const propertyData = extractPropertyData();
       if (!propertyData) {
@@ -265,8 +228,13 @@
       // 3. Show loading
       injectLoadingState('Loading estimate...');
 
-      // 4. Parse asking price
-      const askingPrice = parsePrice(propertyData.prices?.primaryPrice);
+      // 4. Parse asking price (weekly, annual and per-person rents normalised to pcm)
+      const askingRent = window.RFVRent.parseRent(propertyData.prices?.primaryPrice);
+      const askingPrice = window.RFVRent.monthlyRent(askingRent, propertyData.bedrooms);
+      if (askingRent) {
+        log(` Rent: "${askingRent.text}" -> £${askingPrice} pcm (${askingRent.period}` +
+            `${askingRent.period_stated ? '' : ' assumed'}${askingRent.per_person ? ', per person' : ''})`);
+      }
       if (!askingPrice) {
         Analytics.propertyExtractionFailed('price_parse_failed', currentSite);
         injectError('Could not parse price');
@@ -295,10 +263,15 @@
       log(' Cache miss, running local model...');
       injectLoadingState('Analyzing property...');
 
-      const result = await analyzeProperty(propertyData, askingPrice);
+      // Corrections the user made in the sidebar on an earlier visit
+      const overrides = propertyId && window.RFVHistory
+        ? await window.RFVHistory.getOverrides(currentSite, propertyId)
+        : {};
+      const result = await analyzeProperty(propertyData, askingPrice, overrides, { rereadFloorplan });
+      result.asking_rent = askingRent;
 
       // Track successful prediction
-      const assessment = result.premium_pct > 15 ? 'overpriced' : result.premium_pct < -10 ? 'good_deal' : 'fair';
+      const assessment = getAssessment(result.premium_pct);
       Analytics.predictionCompleted({
         askingPrice: result.asking_price,
         fairValue: result.fair_value,
@@ -308,6 +281,14 @@
         sizeSource: result.size_source,
         bedrooms: result.beds,
         postcodeDistrict: result.postcode_district,
+        confidence: result.confidence.grade,
+        roomCheck: result.room_check?.status || null,
+        billsIncluded: result.bills?.included.join(',') || null,
+        billsAdjustedPremiumPct: result.bills?.premium_pct ?? null,
+        totalMonthlyCost: result.running_costs?.asking_total ?? null,
+        epcBand: result.epc?.band || null,
+        epcSource: result.epc?.source || null,
+        modelVersion: result.model_version,
       });
 
       // Track property extraction success
@@ -321,6 +302,15 @@
         extractionMethod: 'dom',
       });
 
+      // Remember this analysis for the viewing history / watchlist
+      const historyEntry = await recordHistory(propertyId, result);
+      result.property_id = propertyId;
+      result.saved = !!historyEntry?.saved;
+      result.price_change = window.RFVHistory?.getPriceChange(historyEntry) || null;
+      if (result.price_change) {
+        Analytics.priceChangeDetected(result.price_change);
+      }
+
       displayResult(result, result.size_source);
 
       isRunning = false;
@@ -335,9 +325,9 @@
     }
   }
 
-  async function analyzeProperty(propertyData, askingPrice) {
+  async function analyzeProperty(propertyData, askingPrice, overrides = {}, { rereadFloorplan = false } = {}) {
     // Extract all available data
-    const beds = propertyData.bedrooms || 1;
+    const beds = propertyData.bedrooms ?? 1;  // 0 for studios
     const baths = propertyData.bathrooms || 1;
     const postcode = extractPostcode(propertyData);
     const propertyType = extractPropertyType(propertyData);
@@ -354,56 +344,47 @@
     let sizeSqft = extractSqftFromPage(propertyData);
     let sizeSource = sizeSqft ? 'page' : null;
     let ocrText = ''; // Store raw OCR text for floor extraction
+    let sizeEvidence = []; // What each floorplan's size was read from, for the sidebar
 
     // ALWAYS run OCR if floorplan available - we need it for floor extraction even if sqft is known
-    // For Chestertons/Savills, we MUST click the floorplan tab FIRST before the image is in the DOM
-    let floorplanUrl = null;
-
-    if (currentSite === SITES.CHESTERTONS || currentSite === SITES.SAVILLS) {
-      // STRATEGY: Extract floorplan URL from page HTML WITHOUT clicking tabs
-      // This avoids triggering lightboxes and scroll-related issues
-      const currentPropertyId = extractPropertyId();
-
-      // Step 1: Try to find floorplan URL in full page HTML (including hidden tab panels)
-      log(' Agent site detected, searching page HTML for floorplan...');
-      floorplanUrl = extractFloorplanFromHTML();
-
-      if (floorplanUrl) {
-        log(' Found floorplan in page HTML:', floorplanUrl);
-      } else {
-        // Step 2: Search DOM including hidden elements
-        log(' Searching DOM for floorplan images...');
-        floorplanUrl = findFloorplanInDOM();
-
-        if (floorplanUrl) {
-          log(' Found floorplan in DOM:', floorplanUrl);
-        } else {
-          log(' No floorplan found without clicking tabs');
-        }
-      }
-
-      // Mark that we've processed this property (no need to click tabs)
-      floorplanClickedForProperty = currentPropertyId;
-    } else {
-      // Rightmove - floorplan is in the initial page data
-      floorplanUrl = getFloorplanUrl(propertyData);
-      log(' Initial floorplan URL:', floorplanUrl || 'NOT FOUND');
-    }
-
-    if (floorplanUrl) {
-      injectLoadingState('Reading floorplan...');
-      const ocrResult = await ocrFloorplan(floorplanUrl);
-      ocrText = ocrResult.text || '';
+    // The adapter knows where its site keeps floorplans (page data, DOM, or hidden tab panels)
+    const floorplanUrls = findFloorplans(propertyData).slice(0, CONFIG.MAX_FLOORPLANS);
+    log(' Floorplan URLs:', floorplanUrls.length > 0 ? floorplanUrls.join(', ') : 'NOT FOUND');
+
+    if (floorplanUrls.length > 0) {
+      // One image per floor (or a separate annex): read them all and treat them as one property
+      const plans = [];
+      for (const [i, url] of floorplanUrls.entries()) {
+        injectLoadingState(floorplanUrls.length > 1
+          ? `Reading floorplan ${i + 1} of ${floorplanUrls.length}...`
+          : 'Reading floorplan...');
+        plans.push(await ocrFloorplan(url, { refresh: rereadFloorplan }));
+      }
+      ocrText = plans.map(plan => plan.text).filter(Boolean).join('\n');
+      sizeEvidence = plans.map(plan => plan.evidence).filter(Boolean);
+      const ocrSqft = mergeFloorplanSizes(plans);
       // Only use OCR sqft if we don't have it from page
-      if (!sizeSqft && ocrResult.sqft) {
-        sizeSqft = ocrResult.sqft;
+      if (!sizeSqft && ocrSqft) {
+        sizeSqft = ocrSqft;
         sizeSource = 'ocr';
       }
-      log(' OCR result: sqft=' + (ocrResult.sqft || 'none') + ', text length=' + ocrText.length);
+      log(' OCR result: sqft=' + (ocrSqft || 'none') + ', floorplans=' + plans.length + ', text length=' + ocrText.length);
     } else {
       log(' No floorplan found in property data');
     }
 
+    // EPC rating from the listing text, or read from its EPC graph image
+    const epcUrls = findEpcUrls(propertyData);
+    const epc = await extractEpc(propertyData, epcUrls, { refresh: rereadFloorplan });
+    log(' EPC:', epc ? `${window.RFVEpc.formatRating(epc)} (${epc.source})` : 'none', epcUrls.length > 0 ? `from ${epcUrls.join(', ')}` : '');
+
+    // Room schedule from the floorplan, checked against the agent's quoted total
+    const roomCheck = ocrText ? window.RFVFloorplan.parseFloorplan(ocrText, {
+      claimedSqft: sizeSource ? sizeSqft : null,
+      bedrooms: propertyData.bedrooms || 0,
+    }) : null;
+    if (roomCheck) log(` Rooms: ${roomCheck.rooms.length} read, ${roomCheck.rooms_sqft} sqft, total ${roomCheck.status}`);
+
     if (!sizeSqft) {
       // Estimate from beds
       sizeSqft = estimateSqft(beds);
@@ -411,16 +392,14 @@
     }
 
     // Load XGBoost model if needed
-    if (!xgbPredictor) {
+    if (!modelInfo) {
       injectLoadingState('Loading model...');
-      xgbPredictor = new window.XGBoostPredictor();
-      await xgbPredictor.load(CONFIG.MODEL_URL, CONFIG.FEATURES_URL);
     }
+    await loadModel();
 
     // Build features and predict
     injectLoadingState('Calculating fair value...');
-    console.log(`[RFV] Building features with: beds=${beds}, baths=${baths}, sqft=${sizeSqft}, postcode=${postcode}, propertyType=${propertyType}, agent=${agentName}`);
-    const features = window.XGBFeatures.buildFeatures({
+    const featureInput = {
       bedrooms: beds,
       bathrooms: baths,
       size_sqft: sizeSqft,
@@ -433,843 +412,432 @@
       ocrText: ocrText, // Pass OCR text for floor extraction
       agentName: agentName, // For premium agent detection
       pageUrl: window.location.href, // For source quality detection
-    });
-    console.log(`[RFV] Key features: tube_dist=${features.tube_distance_km?.toFixed(3)}, center_dist=${features.center_distance_km?.toFixed(3)}, center_inv=${features.center_distance_inv?.toFixed(4)}, is_prime=${features.is_prime_postcode}`);
-
-    const predLog = xgbPredictor.predict(features);
-    const fairValue = Math.round(Math.expm1(predLog));
-
-    const premiumPct = Math.round((askingPrice / fairValue - 1) * 100 * 10) / 10;
-    const amenities = window.XGBFeatures.parseAmenities(description);
-    const amenitiesDetected = Object.entries(amenities)
-      .filter(([k, v]) => v)
-      .map(([k]) => k.replace('has_', ''));
+      epcBand: epc?.band,  // For models trained with EPC ratings
+      epcScore: epc?.score,
+    };
 
     // Extract postcode district for similar properties search
     const postcodeDistrict = postcode.split(' ')[0];
 
-    return {
+    const result = {
       asking_price: askingPrice,
-      fair_value: fairValue,
-      range_low: Math.round(fairValue * 0.79),
-      range_high: Math.round(fairValue * 1.21),
-      premium_pct: premiumPct,
-      size_sqft: sizeSqft,
-      size_source: sizeSource,
-      amenities_detected: amenitiesDetected,
+      address: address,
       postcode_district: postcodeDistrict,
-      beds: beds,
-      baths: baths,
+      // Extracted inputs, kept so sidebar corrections can re-predict without re-reading the page
+      feature_input: featureInput,
+      extracted_size_source: sizeSource,
+      floorplan_count: floorplanUrls.length,
+      // "All bills included" and the like, taken off the asking rent for the bills-adjusted premium
+      bill_inclusions: window.RFVCosts.detectInclusions(listingText(propertyData)),
+      // For the council tax in the total monthly cost
+      council_tax_band: extractCouncilTaxBand(propertyData),
+      epc: epc,
+      epc_url: epcUrls[0] || null,  // Graph image or certificate PDF, linked from the sidebar
+      size_evidence: sizeEvidence,
+      room_check: roomCheck,
+      // Which inputs came from the listing rather than a default (for the confidence grade)
+      extracted_fields: {
+        postcode: !!findPostcode(propertyData),
+        bathrooms: !!propertyData.bathrooms,
+        location: lat != null && lon != null,
+        propertyType: !!detectPropertyType(propertyData),
+      },
     };
+    return Object.assign(result, await predictWithOverrides(result, overrides));
   }
 
-  // ============================================
-  // DATA EXTRACTION - Site-specific routing
-  // ============================================
+  /**
+   * Apply sidebar corrections to the extracted inputs and run the model
+   * @param {object} r - analyzeProperty result (feature_input, extracted_size_source,
+   *                     extracted_fields, asking_price)
+   * @param {object} overrides - Corrections stored by RFVHistory.setOverrides
+   */
+  async function predictWithOverrides(r, overrides) {
+    const featureInput = r.feature_input;
+    const askingPrice = r.asking_price;
+    let sizeSource = r.extracted_size_source;
+    const beds = overrides.beds ?? featureInput.bedrooms;
+    let sizeSqft = featureInput.size_sqft;
+    if (overrides.size_sqft) {
+      sizeSqft = overrides.size_sqft;
+      sizeSource = 'user';
+    } else if (sizeSource === 'estimated') {
+      sizeSqft = estimateSqft(beds);  // Follow corrected bedrooms
+    }
+
+    const input = {
+      ...featureInput,
+      bedrooms: beds,
+      bathrooms: overrides.baths ?? featureInput.bathrooms,
+      size_sqft: sizeSqft,
+      propertyType: overrides.property_type || featureInput.propertyType,
+      furnished: overrides.furnished,
+      floorLevels: overrides.floor_levels,
+      outdoorSpace: overrides.outdoor_space,
+    };
 
-  function extractPropertyData() {
-    switch (currentSite) {
-      case SITES.RIGHTMOVE:
-        return extractPropertyDataRightmove();
-      case SITES.KNIGHTFRANK:
-        return extractPropertyDataKnightFrank();
-      case SITES.CHESTERTONS:
-        return extractPropertyDataChestertons();
-      case SITES.SAVILLS:
-        return extractPropertyDataSavills();
-      default:
-        log(' Unknown site, trying Rightmove extraction');
-        return extractPropertyDataRightmove();
-    }
+    console.log(`[RFV] Building features with: beds=${input.bedrooms}, baths=${input.bathrooms}, sqft=${input.size_sqft}, postcode=${input.postcode}, propertyType=${input.propertyType}, agent=${input.agentName}`);
+    const features = window.XGBFeatures.buildFeatures(input);
+    console.log(`[RFV] Key features: tube_dist=${features.tube_distance_km?.toFixed(3)}, center_dist=${features.center_distance_km?.toFixed(3)}, center_inv=${features.center_distance_inv?.toFixed(4)}, is_prime=${features.is_prime_postcode}`);
+
+    const postcodeDistrict = window.XGBFeatures.extractPostcodeDistrict(input.postcode);
+    const [{ estimate, drivers, challenger }] = await valueFeatures([
+      { features, askingPrice, postcodeDistrict, explain: true },
+    ]);
+    // A value the user typed in counts as known, even if the listing didn't have it
+    const confidence = window.RFVValuation.assessConfidence({
+      postcodeDistrict,
+      sizeSource,
+      coverage: modelInfo.coverage,
+      known: {
+        ...r.extracted_fields,
+        bathrooms: r.extracted_fields.bathrooms || overrides.baths !== undefined,
+        propertyType: r.extracted_fields.propertyType || overrides.property_type !== undefined,
+      },
+    });
+    const costOptions = {
+      askingPrice,
+      fairValue: estimate.fair_value,
+      bedrooms: beds,
+      postcodeDistrict,
+      councilTaxBand: r.council_tax_band,
+      epcRating: r.epc?.band ?? null,
+      sizeSqft,
+      costs: await window.RFVCosts.getBillCosts(),
+    };
+    const bills = window.RFVCosts.billsAdjustment(r.bill_inclusions, costOptions);
+    const runningCosts = window.RFVCosts.monthlyCosts({ ...costOptions, included: r.bill_inclusions?.items || [] });
+    const amenitiesDetected = Object.keys(window.XGBFeatures.parseAmenities(''))
+      .filter(name => features[name])
+      .map(name => name.replace('has_', ''));
+
+    return {
+      fair_value: estimate.fair_value,
+      range_low: estimate.range_low,
+      range_high: estimate.range_high,
+      range_source: estimate.range_source,
+      range_coverage: estimate.range_coverage,
+      premium_pct: estimate.premium_pct,
+      bills: bills,
+      running_costs: runningCosts,
+      size_sqft: sizeSqft,
+      size_source: sizeSource,
+      amenities_detected: amenitiesDetected,
+      beds: input.bedrooms,
+      baths: input.bathrooms,
+      drivers: drivers,
+      confidence: confidence,
+      model_version: modelInfo.version,
+      model_label: modelInfo.label,
+      model_coverage: modelInfo.coverage,
+      challenger: challenger,
+      overrides: overrides,
+      // Values the model actually used, shown as editable fields in the sidebar
+      assumptions: {
+        size_sqft: sizeSqft,
+        beds: input.bedrooms,
+        baths: input.bathrooms,
+        property_type: input.propertyType,
+        furnished: features.is_furnished_explicit ? 'furnished' :
+                   features.is_part_furnished ? 'part_furnished' :
+                   features.is_unfurnished ? 'unfurnished' : 'unknown',
+        floor_levels: Object.entries(window.XGBFeatures.FLOOR_LEVEL_FEATURES)
+          .filter(([, name]) => features[name])
+          .map(([level]) => level),
+        outdoor_space: window.XGBFeatures.OUTDOOR_SPACE_VALUES.filter(space => features[`has_${space}`]),
+      },
+    };
   }
 
   // ============================================
-  // RIGHTMOVE EXTRACTION
+  // MODEL ENGINE
   // ============================================
+  // The model runs in the extension's offscreen document (offscreen.js), which keeps it
+  // loaded across tabs. This page only builds features and sends them.
+
+  // Send a request to the offscreen engine via the background service worker
+  async function callEngine(op, payload) {
+    const response = await chrome.runtime.sendMessage({ action: 'engine', op, payload });
+    if (!response?.success) {
+      const error = new Error(response?.error || 'Engine unavailable');
+      error.code = response?.code;
+      throw error;
+    }
+    return response.data;
+  }
 
-  function extractPropertyDataRightmove() {
-    // Strategy 1: __NEXT_DATA__
-    const nextDataScript = document.getElementById('__NEXT_DATA__');
-    if (nextDataScript) {
-      try {
-        const data = JSON.parse(nextDataScript.textContent);
-        const propertyData = data?.props?.pageProps?.propertyData;
-        if (propertyData) {
-          log(' Found via __NEXT_DATA__');
-          return propertyData;
-        }
-      } catch (e) {}
+  // Model version picked on the options page (RFVModels falls back to the manifest default)
+  async function loadModel() {
+    if (!modelInfo) {
+      const [info, challenger] = await Promise.all([
+        window.RFVModels.getModel(),
+        window.RFVModels.getChallenger(),
+      ]);
+      await callEngine('load', { versions: [info.version] });
+      modelInfo = info;
+      log(' Model:', modelInfo.label);
+      challengerInfo = await loadChallenger(challenger);
     }
+    return modelInfo;
+  }
 
-    // Strategy 2: window.PAGE_MODEL
-    for (const script of document.querySelectorAll('script')) {
-      const text = script.textContent || '';
-      const match = text.match(/window\.PAGE_MODEL\s*=\s*/);
-      if (match) {
-        try {
-          const start = match.index + match[0].length;
-          let braceCount = 0, i = start;
-          while (i < text.length) {
-            if (text[i] === '{') braceCount++;
-            else if (text[i] === '}' && --braceCount === 0) break;
-            i++;
-          }
-          const data = JSON.parse(text.slice(start, i + 1));
-          if (data.propertyData) {
-            log(' Found via PAGE_MODEL');
-            return data.propertyData;
-          }
-        } catch (e) {}
-      }
+  // Analyst mode: a challenger that fails to load must not block the champion's estimate
+  async function loadChallenger(challenger) {
+    if (!challenger) return null;
+    try {
+      await callEngine('load', { versions: [challenger.version] });
+      log(' Challenger model:', challenger.label);
+      return challenger;
+    } catch (e) {
+      logError(' Challenger model failed to load:', e);
+      return null;
     }
+  }
 
-    log(' No Rightmove property data found');
-    return null;
+  /**
+   * Fair value for one or more feature vectors (one engine round trip)
+   * @param {Array<{features, askingPrice, postcodeDistrict, explain}>} items
+   * @returns {Promise<Array<{estimate, drivers, challenger}>>}
+   */
+  function valueFeatures(items) {
+    return callEngine('value', {
+      version: modelInfo.version,
+      challengerVersion: challengerInfo?.version || null,
+      items: items.map(item => ({ ...item, features: window.XGBFeatures.encodeForMessage(item.features) })),
+    });
   }
 
+  // Re-value the page when the options page switches model or analyst mode
+  window.RFVModels.onSettingsChanged(() => {
+    log(' Model settings changed');
+    modelInfo = null;
+    challengerInfo = null;
+    if (isSearchPage(window.location.href)) {
+      document.querySelectorAll('[data-rfv-scored]').forEach(card => {
+        delete card.dataset.rfvScored;
+        card.querySelector('.rfv-card-badge')?.remove();
+      });
+    }
+    if (!isRunning && (isPropertyPage(window.location.href) || isSearchPage(window.location.href))) {
+      init();
+    }
+  });
+
   // ============================================
-  // KNIGHT FRANK EXTRACTION
+  // SEARCH RESULTS OVERLAY
   // ============================================
+  // On search results pages every listing card gets an inline badge.
+  // Cards only carry price, beds, baths, size and address, so predictions use
+  // the same defaults as a detail page with missing data (no OCR, no lat/lon).
 
-  function extractPropertyDataKnightFrank() {
-    log(' Extracting Knight Frank data from DOM');
-    const data = { _source: 'knightfrank' };
+  function findListingCards() {
+    const selector = siteAdapter?.searchCardSelector;
+    if (!selector) return [];
 
-    // Get main content text for regex extraction
-    const mainContent = document.querySelector('main, [role="main"], .property-details, article') || document.body;
-    const pageText = mainContent.innerText || '';
+    // Selector lists match both wrappers and inner cards - keep the outermost only
+    const matches = [...document.querySelectorAll(selector)];
+    return matches.filter(card => !matches.some(other => other !== card && other.contains(card)));
+  }
 
-    // Address - from page title or h1
-    const titleEl = document.querySelector('h1.kf-pdp-hero__title, h1[class*="title"], .property-address h1, h1');
-    if (titleEl) {
-      data.address = { displayAddress: titleEl.textContent.trim() };
-    } else {
-      const pageTitle = document.title.replace(/\s*\|.*$/, '').trim();
-      data.address = { displayAddress: pageTitle };
-    }
+  function parseListingCard(card) {
+    const text = card.innerText || '';
+    const link = [...card.querySelectorAll('a[href]')].find(a => isPropertyPage(a.href));
 
-    // Price - use regex on page text (more reliable)
-    const priceMatch = pageText.match(/£([\d,]+)\s*(?:pcm|pw|per\s*(?:calendar\s*)?month|per\s*week|monthly|weekly)?/i);
-    if (priceMatch) {
-      data.prices = { primaryPrice: priceMatch[0] };
-      log(' Knight Frank price found:', priceMatch[0]);
-    } else {
-      // Fallback to DOM selector
-      const priceEl = document.querySelector('.kf-pdp-hero__price, .property-price, [class*="price"]');
-      if (priceEl) {
-        data.prices = { primaryPrice: priceEl.textContent.trim() };
-      }
-    }
+    const rentText = window.RFVRent.findRentText(text);
 
-    // Bedrooms/Bathrooms - regex on page text
-    const bedsMatch = pageText.match(/(\d+)\s*(?:bed(?:room)?s?)/i);
-    if (bedsMatch) {
-      data.bedrooms = parseInt(bedsMatch[1], 10);
-    }
-    const bathsMatch = pageText.match(/(\d+)\s*(?:bath(?:room)?s?)/i);
-    if (bathsMatch) {
-      data.bathrooms = parseInt(bathsMatch[1], 10);
-    }
-    const receptionsMatch = pageText.match(/(\d+)\s*(?:reception)/i);
-    if (receptionsMatch) {
-      data.receptions = parseInt(receptionsMatch[1], 10);
+    // Beds/baths are often icons with a bare number - fall back to aria-label/title
+    function countFor(word) {
+      const textMatch = text.match(new RegExp(`(\\d+)\\s*${word}`, 'i'));
+      if (textMatch) return parseInt(textMatch[1], 10);
+      const el = card.querySelector(`[aria-label*="${word}" i], [title*="${word}" i]`);
+      const labelMatch = el && (el.getAttribute('aria-label') || el.getAttribute('title') || el.textContent).match(/(\d+)/);
+      return labelMatch ? parseInt(labelMatch[1], 10) : null;
     }
+    const bedrooms = /\bstudio\b/i.test(text) ? 0 : countFor('bed');
+    const bathrooms = countFor('bath');
+    const askingPrice = rentText ? parsePrice(rentText, bedrooms) : null;
 
-    // Size in sqft - search in main content only
-    const sizeMatch = pageText.match(/(\d{1,5}(?:,\d{3})?)\s*(?:sq\.?\s*ft|sqft|square\s*feet)/i);
-    if (sizeMatch) {
-      const sqft = parseInt(sizeMatch[1].replace(/,/g, ''), 10);
-      if (sqft >= 100 && sqft <= 50000) {
-        data.sizings = [{ minimumSize: sqft, unit: 'sqft' }];
-      }
-    }
+    const addressEl = card.querySelector('address, [class*="address" i]');
+    const addressText = (addressEl?.textContent || text).trim();
+    const pcMatch = addressText.match(/\b([A-Z]{1,2}\d{1,2}[A-Z]?)(?:\s*(\d[A-Z]{2}))?\b/);
 
-    // Postcode from address - FIXED split bug
-    if (data.address?.displayAddress) {
-      const pcMatch = data.address.displayAddress.match(/([A-Z]{1,2}\d{1,2}[A-Z]?\s*\d[A-Z]{2})/i);
-      if (pcMatch) {
-        const parts = pcMatch[1].split(/\s+/);
-        data.address.outcode = parts[0] || '';
-        data.address.incode = parts[1] || '';
-      }
-    }
+    const sizeMatch = text.match(/(\d{1,5}(?:,\d{3})?)\s*(?:sq\.?\s*ft|sqft|square\s*feet)/i);
+    const sqft = sizeMatch ? parseInt(sizeMatch[1].replace(/,/g, ''), 10) : null;
 
-    // Property type from page text
-    const textLower = pageText.toLowerCase();
-    if (textLower.includes('penthouse')) data.propertyType = 'penthouse';
-    else if (textLower.includes('studio')) data.propertyType = 'studio';
-    else if (textLower.includes('house')) data.propertyType = 'house';
-    else if (textLower.includes('maisonette')) data.propertyType = 'maisonette';
-    else if (textLower.includes('apartment')) data.propertyType = 'apartment';
-    else data.propertyType = 'flat';
-
-    // Agent name
-    data.customer = { companyName: 'Knight Frank' };
-
-    // Floorplan URL - Knight Frank CDN (content.knightfrank.com)
-    // Spider checks: 1) anchor tags with "Floorplan" text, 2) images, 3) data-src for lazy loading
-
-    // 1. Check anchor tags first (spider pattern)
-    const floorplanLinks = document.querySelectorAll('a[href*="floorplan"], a[href*="Floorplan"]');
-    for (const link of floorplanLinks) {
-      const href = link.href;
-      if (href && (href.includes('.jpg') || href.includes('.png') || href.includes('.jpeg') || href.includes('content.knightfrank.com'))) {
-        data.floorplans = [{ url: href }];
-        break;
-      }
-    }
+    const textLower = text.toLowerCase();
+    let propertyType = 'flat';
+    if (textLower.includes('penthouse')) propertyType = 'penthouse';
+    else if (textLower.includes('studio')) propertyType = 'studio';
+    else if (textLower.includes('maisonette')) propertyType = 'maisonette';
+    else if (textLower.includes('house')) propertyType = 'house';
+    else if (textLower.includes('apartment')) propertyType = 'apartment';
 
-    // 2. Check images with src or data-src
-    if (!data.floorplans) {
-      const floorplanImg = document.querySelector(
-        'img[src*="content.knightfrank.com"][src*="floorplan"], ' +
-        'img[data-src*="content.knightfrank.com"][data-src*="floorplan"], ' +
-        'img[src*="floorplan"], img[data-src*="floorplan"]'
-      );
-      if (floorplanImg) {
-        const url = floorplanImg.src || floorplanImg.dataset.src || floorplanImg.getAttribute('data-src');
-        if (url) data.floorplans = [{ url }];
-      }
-    }
+    return {
+      url: link?.href || null,
+      askingPrice,
+      bedrooms,
+      bathrooms,
+      postcode: pcMatch ? [pcMatch[1], pcMatch[2]].filter(Boolean).join(' ') : null,
+      address: addressEl ? addressText : '',
+      sqft: sqft >= 100 && sqft <= 50000 ? sqft : null,
+      propertyType,
+      description: text,
+    };
+  }
 
-    // 3. Regex fallback on page HTML
-    if (!data.floorplans) {
-      const floorplanMatch = document.body.innerHTML.match(/https:\/\/content\.knightfrank\.com\/[^"'\s]*(?:floorplan|floor-plan)[^"'\s]*\.(?:jpg|png|jpeg)/i);
-      if (floorplanMatch) {
-        data.floorplans = [{ url: floorplanMatch[0] }];
-      }
+  async function scoreSearchResults() {
+    const cards = findListingCards().filter(card => !card.dataset.rfvScored);
+    if (cards.length === 0) return;
+
+    log(' Scoring', cards.length, 'search result cards');
+    await loadModel();
+
+    // Build every card's features first, then run the model once for the whole page
+    const batch = [];
+    for (const card of cards) {
+      card.dataset.rfvScored = '1';
+      const listing = parseListingCard(card);
+      if (!listing.askingPrice || !listing.postcode) {
+        log(' Skipping card without price/postcode:', listing.url);
+        continue;
+      }
+      if (window.XGBFeatures.isShortLet(listing.description, listing.url)) continue;
+
+      const beds = listing.bedrooms ?? 1;
+      const features = window.XGBFeatures.buildFeatures({
+        bedrooms: beds,
+        bathrooms: listing.bathrooms || 1,
+        size_sqft: listing.sqft || estimateSqft(beds),
+        postcode: listing.postcode,
+        propertyType: listing.propertyType,
+        address: listing.address,
+        description: listing.description,
+        agentName: extractAgentName({}),
+        pageUrl: listing.url || window.location.href,
+      });
+      batch.push({ card, listing, features });
     }
 
-    // Description
-    const descEl = document.querySelector('.kf-pdp-description, .property-description, [class*="description"]');
-    if (descEl) {
-      data.text = { description: descEl.textContent.trim() };
-    }
+    const results = batch.length > 0
+      ? await valueFeatures(batch.map(({ listing, features }) => ({ features, askingPrice: listing.askingPrice })))
+      : [];
+    batch.forEach(({ card, listing }, i) => {
+      const { estimate } = results[i];
 
-    // Key features
-    const keyFeatures = [];
-    document.querySelectorAll('.kf-pdp-features li, .key-feature, [class*="feature"] li').forEach(li => {
-      keyFeatures.push(li.textContent.trim());
+      injectCardBadge(card, {
+        fairValue: estimate.fair_value,
+        premiumPct: estimate.premium_pct,
+        sizeEstimated: !listing.sqft,
+      });
     });
-    if (keyFeatures.length > 0) data.keyFeatures = keyFeatures;
 
-    log(' Knight Frank extracted:', data);
-    return Object.keys(data).length > 2 ? data : null;
+    Analytics.capture('search_results_scored', {
+      num_cards: cards.length,
+      num_scored: batch.length,
+    });
   }
 
-  // ============================================
-  // CHESTERTONS EXTRACTION
-  // ============================================
+  function injectCardBadge(card, { fairValue, premiumPct, sizeEstimated }) {
+    card.querySelector('.rfv-card-badge')?.remove();
 
-  function extractPropertyDataChestertons() {
-    log(' Extracting Chestertons data from DOM');
-    const data = { _source: 'chestertons' };
-
-    // Get main content text for regex extraction (like spider does)
-    const mainContent = document.querySelector('main, [role="main"], .property-details, article') || document.body;
-    const pageText = mainContent.innerText || '';
-
-    // Try to find JSON data in scripts first
-    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
-      try {
-        const json = JSON.parse(script.textContent);
-        if (json['@type'] === 'RealEstateListing' || json['@type'] === 'Apartment' || json['@type'] === 'House') {
-          if (json.name) data.address = { displayAddress: json.name };
-          if (json.address?.streetAddress) data.address = { displayAddress: json.address.streetAddress };
-          break;
-        }
-      } catch (e) {}
-    }
+    const assessment = getAssessment(premiumPct);
+    const colorClass = assessment === 'overpriced' ? 'rfv-overpriced' :
+                       assessment === 'good_deal' ? 'rfv-good-deal' : 'rfv-fair';
+    const sign = premiumPct > 0 ? '+' : '';
+
+    const badge = document.createElement('div');
+    badge.className = `rfv-card-badge ${colorClass}`;
+    badge.title = `Fair value £${formatNum(fairValue)}/mo` + (sizeEstimated ? ' (size estimated from beds)' : '');
+    badge.innerHTML = `
+      <span class="rfv-card-badge-label">${assessment.replace('_', ' ').toUpperCase()}</span>
+      <span class="rfv-card-badge-value">${sign}${premiumPct}% · £${formatNum(fairValue)}</span>
+    `;
 
-    // Address from page - try h1 first (most reliable)
-    if (!data.address) {
-      const h1El = document.querySelector('h1');
-      if (h1El) {
-        data.address = { displayAddress: h1El.textContent.trim() };
-      }
-    }
-    // Fallback to specific selectors
-    if (!data.address) {
-      const addressEl = document.querySelector('.property-details__address, .property-address, [class*="address"]');
-      if (addressEl) {
-        data.address = { displayAddress: addressEl.textContent.trim() };
-      }
-    }
-    // Final fallback to title
-    if (!data.address) {
-      const pageTitle = document.title.replace(/\s*-.*$/, '').replace(/\s*\|.*$/, '').trim();
-      data.address = { displayAddress: pageTitle };
+    if (getComputedStyle(card).position === 'static') {
+      card.style.position = 'relative';
     }
+    card.appendChild(badge);
+  }
 
-    // Price - multi-strategy extraction
-    // Strategy 1: DOM-based selectors (most reliable for Chestertons)
-    const priceSelectors = [
-      '.price', '.property-price', '[class*="price"]',
-      '.rent-price', '.asking-price', '.listing-price',
-      '[data-price]', '.property-header__price', '.pdp-price',
-      'h2[class*="price"]', 'span[class*="price"]', 'div[class*="price"]'
-    ];
-
-    let priceFound = false;
-    for (const sel of priceSelectors) {
-      const priceEl = document.querySelector(sel);
-      if (priceEl) {
-        const priceText = priceEl.textContent.trim();
-        const priceExtracted = priceText.match(/£[\d,]+(?:\s*(?:pcm|pw|per\s*(?:calendar\s*)?month|per\s*week|monthly|weekly))?/i);
-        if (priceExtracted) {
-          data.prices = { primaryPrice: priceExtracted[0] };
-          log(' Chestertons price from DOM:', priceExtracted[0], 'selector:', sel);
-          priceFound = true;
-          break;
+  function startSearchObserver() {
+    if (searchObserver) return;
+    let debounce = null;
+    searchObserver = new MutationObserver(() => {
+      clearTimeout(debounce);
+      debounce = setTimeout(() => {
+        if (!isRunning && isSearchPage(window.location.href)) {
+          scoreSearchResults().catch(e => logError(' Search scoring failed:', e));
         }
-      }
-    }
-
-    // Strategy 2: Regex on page text
-    if (!priceFound) {
-      const priceMatch = pageText.match(/£([\d,]+)\s*(?:pcm|pw|per\s*(?:calendar\s*)?month|per\s*week|monthly|weekly)?/i);
-      if (priceMatch) {
-        data.prices = { primaryPrice: priceMatch[0] };
-        log(' Chestertons price from pageText:', priceMatch[0]);
-        priceFound = true;
-      }
-    }
-
-    // Strategy 3: Search entire document body
-    if (!priceFound) {
-      const bodyText = document.body.innerText;
-      const bodyPriceMatch = bodyText.match(/£([\d,]+)\s*(?:pcm|pw|per\s*(?:calendar\s*)?month|per\s*week|monthly|weekly)?/i);
-      if (bodyPriceMatch) {
-        data.prices = { primaryPrice: bodyPriceMatch[0] };
-        log(' Chestertons price from body text:', bodyPriceMatch[0]);
-        priceFound = true;
-      }
-    }
-
-    // Strategy 4: Fallback - any £X,XXX pattern in body
-    if (!priceFound) {
-      const bodyText = document.body.innerText;
-      const anyPriceMatch = bodyText.match(/£([\d,]+)/);
-      if (anyPriceMatch) {
-        const priceIndex = bodyText.indexOf(anyPriceMatch[0]);
-        const context = bodyText.substring(priceIndex, priceIndex + 50).toLowerCase();
-        const period = context.includes('pw') || context.includes('week') ? 'pw' : 'pcm';
-        data.prices = { primaryPrice: `${anyPriceMatch[0]} ${period}` };
-        log(' Chestertons price fallback:', data.prices.primaryPrice);
-      }
-    }
-
-    // Bedrooms/Bathrooms - regex on page text (more reliable than DOM selectors)
-    const bedsMatch = pageText.match(/(\d+)\s*(?:bed(?:room)?s?)/i);
-    if (bedsMatch) {
-      data.bedrooms = parseInt(bedsMatch[1], 10);
-    }
-    const bathsMatch = pageText.match(/(\d+)\s*(?:bath(?:room)?s?)/i);
-    if (bathsMatch) {
-      data.bathrooms = parseInt(bathsMatch[1], 10);
-    }
-
-    // Size - look for sqft pattern
-    const sizeMatch = pageText.match(/(\d{1,5}(?:,\d{3})?)\s*(?:sq\.?\s*ft|sqft|square\s*feet)/i);
-    if (sizeMatch) {
-      const sqft = parseInt(sizeMatch[1].replace(/,/g, ''), 10);
-      if (sqft >= 100 && sqft <= 50000) { // Validate reasonable range
-        data.sizings = [{ minimumSize: sqft, unit: 'sqft' }];
-      }
-    }
-
-    // Postcode from address
-    if (data.address?.displayAddress) {
-      const pcMatch = data.address.displayAddress.match(/([A-Z]{1,2}\d{1,2}[A-Z]?\s*\d[A-Z]{2})/i);
-      if (pcMatch) {
-        const parts = pcMatch[1].split(/\s+/);
-        data.address.outcode = parts[0] || '';
-        data.address.incode = parts[1] || '';
-      }
-    }
-
-    // Agent name
-    data.customer = { companyName: 'Chestertons' };
-
-    // Property type from page text
-    const textLower = pageText.toLowerCase();
-    if (textLower.includes('penthouse')) data.propertyType = 'penthouse';
-    else if (textLower.includes('studio')) data.propertyType = 'studio';
-    else if (textLower.includes('house')) data.propertyType = 'house';
-    else if (textLower.includes('maisonette')) data.propertyType = 'maisonette';
-    else if (textLower.includes('apartment')) data.propertyType = 'apartment';
-    else data.propertyType = 'flat';
-
-    // Floorplan - Chestertons uses homeflow-assets CDN with /files/floorplan/ path
-    // CRITICAL: Match spider pattern - look for /files/floorplan/ path, not just domain
-    // Also check data-src for lazy-loaded images
-    const floorplanImg = document.querySelector(
-      'img[src*="/files/floorplan/"], img[data-src*="/files/floorplan/"], ' +
-      'img[src*="floorplan"], img[data-src*="floorplan"]'
-    );
-    if (floorplanImg) {
-      const url = floorplanImg.src || floorplanImg.dataset.src || floorplanImg.getAttribute('data-src');
-      if (url) data.floorplans = [{ url }];
-    }
-    if (!data.floorplans) {
-      // Try to find in page HTML - use spider's exact pattern
-      const floorplanMatch = document.body.innerHTML.match(/https:\/\/[^"\s]+\/files\/floorplan\/[^"\s]+/i);
-      if (floorplanMatch) {
-        data.floorplans = [{ url: floorplanMatch[0] }];
-      }
-    }
-
-    // Description - find largest text block
-    const descEl = document.querySelector('.property-description, [class*="description"], .overview, article p');
-    if (descEl) {
-      data.text = { description: descEl.textContent.trim() };
-    }
+      }, 1000);
+    });
+    searchObserver.observe(document.body, { childList: true, subtree: true });
+  }
 
-    log(' Chestertons extracted:', data);
-    return Object.keys(data).length > 2 ? data : null; // Need more than just _source and customer
+  function stopSearchObserver() {
+    searchObserver?.disconnect();
+    searchObserver = null;
   }
 
   // ============================================
-  // SAVILLS EXTRACTION
+  // DATA EXTRACTION - Routed through the site adapter
   // ============================================
 
-  function extractPropertyDataSavills() {
-    log(' Extracting Savills data from DOM');
-    const data = { _source: 'savills' };
-
-    // Get main content text for regex extraction
-    const mainContent = document.querySelector('main, [role="main"], .property-details, article') || document.body;
-    const pageText = mainContent.innerText || '';
-
-    // Try JSON-LD first
-    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
-      try {
-        const json = JSON.parse(script.textContent);
-        if (json['@type'] === 'RealEstateListing' || json['@type'] === 'Apartment') {
-          if (json.name) data.address = { displayAddress: json.name };
-          if (json.address?.streetAddress) data.address = { displayAddress: json.address.streetAddress };
-          break;
-        }
-      } catch (e) {}
-    }
-
-    // Address - try h1 first
-    if (!data.address) {
-      const h1El = document.querySelector('h1');
-      if (h1El) {
-        data.address = { displayAddress: h1El.textContent.trim() };
-      }
-    }
-    if (!data.address) {
-      const addressEl = document.querySelector('.sv-property-header__address, .property-address, [class*="address"]');
-      if (addressEl) {
-        data.address = { displayAddress: addressEl.textContent.trim() };
-      }
-    }
-    if (!data.address) {
-      const pageTitle = document.title.replace(/\s*-.*$/, '').replace(/\s*\|.*$/, '').trim();
-      data.address = { displayAddress: pageTitle };
-    }
-
-    // Price - use regex on page text (more reliable)
-    const priceMatch = pageText.match(/£([\d,]+)\s*(?:pcm|pw|per\s*(?:calendar\s*)?month|per\s*week|monthly|weekly)?/i);
-    if (priceMatch) {
-      data.prices = { primaryPrice: priceMatch[0] };
-      log(' Savills price found:', priceMatch[0]);
-    } else {
-      // Fallback to DOM selector
-      const priceEl = document.querySelector('.sv-property-header__price, .sv-pdp-hero__price, .property-price, [class*="price"]');
-      if (priceEl) {
-        data.prices = { primaryPrice: priceEl.textContent.trim() };
-      }
-    }
-
-    // Bedrooms/Bathrooms - regex on page text
-    const bedsMatch = pageText.match(/(\d+)\s*(?:bed(?:room)?s?)/i);
-    if (bedsMatch) {
-      data.bedrooms = parseInt(bedsMatch[1], 10);
-    }
-    const bathsMatch = pageText.match(/(\d+)\s*(?:bath(?:room)?s?)/i);
-    if (bathsMatch) {
-      data.bathrooms = parseInt(bathsMatch[1], 10);
-    }
-    const receptionsMatch = pageText.match(/(\d+)\s*(?:reception)/i);
-    if (receptionsMatch) {
-      data.receptions = parseInt(receptionsMatch[1], 10);
-    }
-
-    // Size - Savills usually has good sqft data
-    const sizeMatch = pageText.match(/(\d{1,5}(?:,\d{3})?)\s*(?:sq\.?\s*ft|sqft|square\s*feet)/i);
-    if (sizeMatch) {
-      const sqft = parseInt(sizeMatch[1].replace(/,/g, ''), 10);
-      if (sqft >= 100 && sqft <= 50000) {
-        data.sizings = [{ minimumSize: sqft, unit: 'sqft' }];
-      }
-    }
-    // Also try sqm
-    if (!data.sizings) {
-      const sqmMatch = pageText.match(/(\d{1,5}(?:,\d{3})?)\s*(?:sq\.?\s*m|sqm|m²)/i);
-      if (sqmMatch) {
-        const sqm = parseInt(sqmMatch[1].replace(/,/g, ''), 10);
-        if (sqm >= 10 && sqm <= 5000) {
-          data.sizings = [{ minimumSize: Math.round(sqm * 10.764), unit: 'sqft' }];
-        }
-      }
-    }
-
-    // Postcode from address - FIXED split bug
-    if (data.address?.displayAddress) {
-      const pcMatch = data.address.displayAddress.match(/([A-Z]{1,2}\d{1,2}[A-Z]?\s*\d[A-Z]{2})/i);
-      if (pcMatch) {
-        const parts = pcMatch[1].split(/\s+/);
-        data.address.outcode = parts[0] || '';
-        data.address.incode = parts[1] || '';
-      }
-    }
-
-    // Agent name
-    data.customer = { companyName: 'Savills' };
-
-    // Property type from page text (scoped to main content)
-    const textLower = pageText.toLowerCase();
-    if (textLower.includes('penthouse')) data.propertyType = 'penthouse';
-    else if (textLower.includes('studio')) data.propertyType = 'studio';
-    else if (textLower.includes('house')) data.propertyType = 'house';
-    else if (textLower.includes('maisonette')) data.propertyType = 'maisonette';
-    else if (textLower.includes('apartment')) data.propertyType = 'apartment';
-    else data.propertyType = 'flat';
-
-    // Floorplan - Savills uses CDN images
-    // Spider clicks "Plans" tab first - we can't easily do that, so check multiple selectors
-    // Also check data-src for lazy-loaded images
-
-    // 1. Check tabs container for Plans content (if already visible)
-    const plansTab = document.querySelector('[data-tab="plans"], [data-type="floorplan"], .sv-pdp-floorplan');
-    if (plansTab) {
-      const img = plansTab.querySelector('img[src], img[data-src]');
-      if (img) {
-        const url = img.src || img.dataset.src || img.getAttribute('data-src');
-        if (url) data.floorplans = [{ url }];
-      }
-    }
-
-    // 2. Check for floorplan images with src or data-src
-    if (!data.floorplans) {
-      const floorplanImg = document.querySelector(
-        'img[src*="floorplan"], img[data-src*="floorplan"], ' +
-        'img[src*="floor-plan"], img[data-src*="floor-plan"], ' +
-        'img[alt*="floorplan" i], img[alt*="floor plan" i]'
-      );
-      if (floorplanImg) {
-        const url = floorplanImg.src || floorplanImg.dataset.src || floorplanImg.getAttribute('data-src');
-        if (url) data.floorplans = [{ url }];
-      }
-    }
-
-    // 3. Check anchor tags
-    if (!data.floorplans) {
-      const floorplanLink = document.querySelector('a[href*="floorplan"], a[href*="floor-plan"]');
-      if (floorplanLink?.href) {
-        data.floorplans = [{ url: floorplanLink.href }];
-      }
+  function extractPropertyData() {
+    if (!siteAdapter) {
+      log(' Unknown site, trying Rightmove extraction');
+      return window.RFVSites?.get('rightmove')?.extractPropertyData(document, window.location) || null;
     }
+    return siteAdapter.extractPropertyData(document, window.location);
+  }
 
-    // 4. Regex fallback - Savills CDN pattern
-    if (!data.floorplans) {
-      const floorplanMatch = document.body.innerHTML.match(/https:\/\/[^"'\s]*savills[^"'\s]*(?:floorplan|floor-plan|_fp)[^"'\s]*\.(?:jpg|png|jpeg)/i);
-      if (floorplanMatch) {
-        data.floorplans = [{ url: floorplanMatch[0] }];
-      }
-    }
+  function extractPropertyId() {
+    return siteAdapter ? siteAdapter.extractPropertyId(window.location) : null;
+  }
 
-    // Description
-    const descEl = document.querySelector('.sv-property-description, .sv-pdp-description, [class*="description"]');
-    if (descEl) {
-      data.text = { description: descEl.textContent.trim() };
+  // Every floorplan image for the listing (empty if none)
+  function findFloorplans(data) {
+    if (siteAdapter?.findFloorplans) {
+      return siteAdapter.findFloorplans(data, document);
     }
-
-    // Key features
-    const keyFeatures = [];
-    document.querySelectorAll('.sv-property-features li, .sv-pdp-features li, [class*="feature"] li').forEach(li => {
-      keyFeatures.push(li.textContent.trim());
-    });
-    if (keyFeatures.length > 0) data.keyFeatures = keyFeatures;
-
-    log(' Savills extracted:', data);
-    return Object.keys(data).length > 1 ? data : null;
+    return window.RFVSites.helpers.findFloorplanUrls(data, document, siteAdapter);
   }
 
-  function extractPropertyId() {
-    const url = window.location.href;
-    const pathname = window.location.pathname;
-
-    switch (currentSite) {
-      case SITES.RIGHTMOVE: {
-        const match = pathname.match(/\/properties\/(\d+)/);
-        return match ? match[1] : null;
-      }
-      case SITES.KNIGHTFRANK: {
-        // URL like: /properties/residential/to-let/london/abc123xyz
-        const match = pathname.match(/\/properties\/.*\/([a-zA-Z0-9-]+)\/?$/);
-        return match ? match[1] : null;
-      }
-      case SITES.CHESTERTONS: {
-        // URL like: /properties/21142524/lettings/KNL220048
-        const match = pathname.match(/\/properties\/(\d+)\/lettings\/([a-zA-Z0-9]+)/);
-        return match ? `${match[1]}_${match[2]}` : null;
-      }
-      case SITES.SAVILLS: {
-        // URL like: /property-detail/abc123xyz
-        const match = pathname.match(/\/property-detail\/([a-zA-Z0-9-]+)/);
-        return match ? match[1] : null;
-      }
-      default:
-        return null;
+  function findEpcUrls(data) {
+    if (siteAdapter?.findEpcUrls) {
+      return siteAdapter.findEpcUrls(data, document);
     }
+    return window.RFVSites.helpers.findEpcUrls(data, document, siteAdapter);
   }
 
   function extractPostcode(data) {
+    return findPostcode(data) || 'SW3';
+  }
+
+  // Postcode from the listing, or null if it has none
+  function findPostcode(data) {
     if (data.address?.outcode) {
       return data.address.outcode + (data.address.incode ? ' ' + data.address.incode : '');
     }
     const addr = data.address?.displayAddress || '';
     const match = addr.match(/([A-Z]{1,2}\d{1,2}[A-Z]?\s*\d?[A-Z]{0,2})/i);
-    return match ? match[1] : 'SW3';
+    return match ? match[1] : null;
   }
 
-  function extractLetType(data) {
-    // Extract let type from propertyData
-    // Returns 'short' for short-term lets, 'long' otherwise
-    // Works across all supported sites
-
-    // 1. Rightmove-specific: Check lettings.letType field
-    if (data.lettings?.letType) {
-      const letType = data.lettings.letType.toLowerCase();
-      if (letType.includes('short')) return 'short';
-    }
-
-    // 2. Check channel field (sometimes indicates short let)
-    if (data.channel?.toLowerCase().includes('short')) return 'short';
-
-    // 3. Check description/property phrase for short let keywords
-    // Works for all sites
-    const textToCheck = [
-      data.text?.description || '',
-      data.text?.propertyPhrase || '',
-      data.listingUpdate?.listingUpdateReason || '',
-      ...(data.keyFeatures || [])
-    ].join(' ').toLowerCase();
-
-    if (textToCheck.includes('short let') ||
-        textToCheck.includes('short-let') ||
-        textToCheck.includes('short term') ||
-        textToCheck.includes('short-term') ||
-        textToCheck.includes('serviced apartment') ||
-        textToCheck.includes('serviced accommodation') ||
-        textToCheck.includes('holiday let') ||
-        textToCheck.includes('corporate let') ||
-        textToCheck.includes('minimum 1 month') ||
-        textToCheck.includes('minimum one month') ||
-        textToCheck.includes('min 1 month')) {
-      return 'short';
-    }
-
-    // 4. Check site-specific let type indicators (NOT full page text - causes false positives)
-    if (currentSite === SITES.CHESTERTONS) {
-      // Chestertons uses various badge/label elements for let type
-      const letTypeSelectors = [
-        '.bg-primary',
-        '[class*="let-type"]',
-        '[class*="lettings-type"]',
-        '[class*="let_type"]',
-        '[class*="badge"]',
-        '[class*="label"]',
-        '[class*="tag"]',
-        '.property-type',
-        '.listing-type',
-        // Also check the URL
-      ];
-
-      for (const selector of letTypeSelectors) {
-        const elements = document.querySelectorAll(selector);
-        for (const el of elements) {
-          const text = el.textContent.toLowerCase().trim();
-          if (text.includes('short let') || text.includes('short-let') ||
-              text === 'short' || text.includes('short term')) {
-            log(' Chestertons short let detected via badge:', text);
-            return 'short';
-          }
-        }
-      }
-
-      // Also check URL path for short let indicator
-      if (window.location.href.toLowerCase().includes('short')) {
-        log(' Chestertons short let detected via URL');
-        return 'short';
-      }
-
-      // Check page title/heading
-      const pageTitle = document.querySelector('h1, .property-title, [class*="title"]');
-      if (pageTitle && pageTitle.textContent.toLowerCase().includes('short let')) {
-        log(' Chestertons short let detected via title');
-        return 'short';
-      }
-    } else if (currentSite === SITES.KNIGHTFRANK || currentSite === SITES.SAVILLS) {
-      // For other agent sites, check only listing description elements (not full page)
-      const descriptionEls = document.querySelectorAll(
-        '.property-description, [class*="description"], .kf-pdp-description, .sv-property-description'
-      );
-      for (const el of descriptionEls) {
-        const descText = el.textContent.toLowerCase();
-        if (descText.includes('short let') ||
-            descText.includes('short-term') ||
-            descText.includes('serviced apartment') ||
-            descText.includes('corporate let')) {
-          return 'short';
-        }
-      }
-    }
-
-    // 5. Check URL (but only for explicit short-let paths, not navigation)
-    const urlPath = window.location.pathname.toLowerCase();
-    if (urlPath.includes('short-let') || urlPath.includes('short_let')) {
-      return 'short';
-    }
-
-    return 'long';
+  // Description, property phrase, update reason and key features as one string
+  function listingText(data) {
+    return window.RFVSites.helpers.listingText(data);
   }
 
-  /**
-   * Extract floorplan URL directly from page HTML without clicking any tabs
-   * This searches the full HTML including hidden tab panels
-   */
-  function extractFloorplanFromHTML() {
-    const html = document.documentElement.innerHTML;
-
-    // Chestertons-specific patterns (homeflow-assets CDN)
-    const patterns = [
-      // Direct floorplan path (most specific)
-      /https:\/\/[^"'\s]+homeflow-assets[^"'\s]+\/files\/floorplan\/[^"'\s]+\.(jpg|jpeg|png|gif|webp)/gi,
-      // Alternative floorplan path
-      /https:\/\/[^"'\s]+\/files\/floorplan\/[^"'\s]+\.(jpg|jpeg|png|gif|webp)/gi,
-      // Savills CDN pattern
-      /https:\/\/[^"'\s]+savills[^"'\s]+floorplan[^"'\s]+\.(jpg|jpeg|png|gif|webp)/gi,
-      // Generic floorplan in URL (last resort)
-      /https:\/\/[^"'\s]+floorplan[^"'\s]+\.(jpg|jpeg|png|gif|webp)/gi,
-    ];
-
-    for (const pattern of patterns) {
-      const matches = html.match(pattern);
-      if (matches && matches.length > 0) {
-        // Clean up the URL (remove trailing quotes, escapes)
-        let url = matches[0].replace(/["'\\]+$/, '').replace(/\\u002F/g, '/');
-        // Skip tiny thumbnails
-        if (url.includes('thumb') || url.includes('_t.') || url.includes('_small')) {
-          continue;
-        }
-        log(' extractFloorplanFromHTML found:', url);
-        return url;
-      }
-    }
-
-    // Also check for data-src attributes in hidden elements
-    const hiddenImgs = document.querySelectorAll(
-      '[style*="display: none"] img[data-src*="floorplan"], ' +
-      '[style*="display:none"] img[data-src*="floorplan"], ' +
-      '[hidden] img[data-src*="floorplan"], ' +
-      '[aria-hidden="true"] img[data-src*="floorplan"], ' +
-      '.hidden img[data-src*="floorplan"], ' +
-      '[role="tabpanel"][hidden] img, ' +
-      '[role="tabpanel"][aria-hidden="true"] img'
-    );
-
-    for (const img of hiddenImgs) {
-      const url = img.dataset?.src || img.getAttribute('data-src') || img.src;
-      if (url && (url.includes('floorplan') || url.includes('/files/'))) {
-        log(' extractFloorplanFromHTML found in hidden element:', url);
-        return url;
-      }
-    }
-
-    return null;
+  // Council tax band from the listing's livingCosts ("D", "Band D") or its text, null if not stated
+  function extractCouncilTaxBand(data) {
+    const field = String(data.livingCosts?.councilTaxBand || '').trim().toUpperCase().replace(/^BAND\s*/, '');
+    if (/^[A-H]$/.test(field)) return field;
+    return window.RFVCosts.findCouncilTaxBand(listingText(data));
   }
 
-  function findFloorplanInDOM() {
-    // Search the DOM directly for floorplan images after clicking tab
-    // This is more reliable than re-extracting all property data
-
-    // Helper to get best URL from img element
-    function getBestUrl(img) {
-      if (!img) return null;
-      const dataSrc = img.dataset?.src || img.getAttribute('data-src');
-      const src = img.getAttribute('src') || img.src;
-
-      // Skip placeholders and data URIs
-      if (src && src.startsWith('data:')) return dataSrc || null;
-      if (src && src.includes('placeholder')) return dataSrc || null;
-
-      // Prefer data-src for lazy-loaded images
-      if (dataSrc && (dataSrc.includes('floorplan') || dataSrc.includes('/files/'))) {
-        return dataSrc;
-      }
-      if (src && (src.includes('floorplan') || src.includes('/files/'))) {
-        return src;
-      }
-      return dataSrc || src || null;
-    }
-
-    // Site-specific selectors
-    const selectors = [
-      // Chestertons patterns
-      'img[src*="/files/floorplan/"]',
-      'img[data-src*="/files/floorplan/"]',
-      'img[src*="homeflow-assets"][src*="floorplan"]',
-      'img[data-src*="homeflow-assets"]',
-      // Savills patterns
-      '.sv-pdp-floorplan img',
-      '[data-type="floorplan"] img',
-      '[data-tab="plans"] img',
-      // Generic patterns
-      'img[src*="floorplan"]',
-      'img[data-src*="floorplan"]',
-      'img[alt*="floorplan" i]',
-      'img[alt*="floor plan" i]',
-      '.floorplan img',
-      '[class*="floorplan"] img',
-    ];
-
-    for (const selector of selectors) {
-      try {
-        const img = document.querySelector(selector);
-        if (img) {
-          const url = getBestUrl(img);
-          if (url && url.length > 10) {
-            log(' Found floorplan via selector:', selector);
-            return url;
-          }
-        }
-      } catch (e) {
-        // Invalid selector, skip
-      }
-    }
-
-    // Fallback: regex search in page HTML for CDN patterns
-    const html = document.body.innerHTML;
-    const patterns = [
-      /https:\/\/[^"\s]+\/files\/floorplan\/[^"\s]+/i,  // Chestertons CDN
-      /https:\/\/content\.knightfrank\.com\/[^"\s]*floorplan[^"\s]*\.(?:jpg|png|jpeg)/i,
-      /https:\/\/[^"\s]*savills[^"\s]*(?:floorplan|floor-plan|_fp)[^"\s]*\.(?:jpg|png|jpeg)/i,
-    ];
-
-    for (const pattern of patterns) {
-      const match = html.match(pattern);
-      if (match) {
-        log(' Found floorplan via regex:', match[0].substring(0, 50) + '...');
-        return match[0];
-      }
-    }
-
-    return null;
+  // 'short' for short-term lets, 'long' otherwise
+  function extractLetType(data) {
+    return window.RFVSites.helpers.detectLetType(data, document, window.location, siteAdapter);
   }
 
   async function clickFloorplanTab() {
@@ -1313,6 +881,12 @@
   }
 
   function extractPropertyType(data) {
+    // Default to flat
+    return detectPropertyType(data) || 'flat';
+  }
+
+  // Property type from the listing, or null if nothing names one
+  function detectPropertyType(data) {
     // Try multiple sources for property type
     // 1. Direct propertySubType field (most specific)
     if (data.propertySubType) {
@@ -1338,8 +912,8 @@
       if (reason.includes('penthouse')) return 'penthouse';
       if (reason.includes('studio')) return 'studio';
     }
-    // 5. For agent sites, try page title or description
-    if (currentSite !== SITES.RIGHTMOVE) {
+    // 5. For sites without listing JSON, try page title or description
+    if (!siteAdapter?.structuredData) {
       const checkText = (document.title + ' ' + (data.text?.description || '')).toLowerCase();
       if (checkText.includes('penthouse')) return 'penthouse';
       if (checkText.includes('studio')) return 'studio';
@@ -1348,8 +922,7 @@
       if (checkText.includes('mews')) return 'house';
       if (checkText.includes('apartment')) return 'apartment';
     }
-    // Default to flat
-    return 'flat';
+    return null;
   }
 
   function extractAgentName(data) {
@@ -1370,13 +943,8 @@
     if (data.lettingInformation?.agentName) {
       return data.lettingInformation.agentName;
     }
-    // 5. Fallback based on detected site
-    switch (currentSite) {
-      case SITES.KNIGHTFRANK: return 'Knight Frank';
-      case SITES.CHESTERTONS: return 'Chestertons';
-      case SITES.SAVILLS: return 'Savills';
-      default: return '';
-    }
+    // 5. Fallback for single-agent sites
+    return siteAdapter?.agentName || '';
   }
 
   function extractSqftFromPage(data) {
@@ -1393,236 +961,185 @@
     return null;
   }
 
-  function getFloorplanUrl(data) {
-    // Helper to extract best URL from img element, preferring data-src for lazy loading
-    // and avoiding placeholder/data URLs
-    function getBestImgUrl(img) {
-      if (!img) return null;
-      const dataSrc = img.dataset?.src || img.getAttribute('data-src');
-      const src = img.getAttribute('src') || img.src;
+  // ============================================
+  // OCR
+  // ============================================
 
-      // Prefer data-src if it contains floorplan pattern (lazy-loaded actual URL)
-      if (dataSrc && (dataSrc.includes('floorplan') || dataSrc.includes('/files/'))) {
-        return dataSrc;
-      }
+  async function ocrFloorplan(url, { refresh = false } = {}) {
+    // Returns { sqft: number|null, text: string, evidence } - text is used for floor extraction,
+    // evidence (RFVFloorplan.sizeEvidence, plus a snapshot from RFVOcr) for the sidebar
+    // refresh skips the engine's OCR cache (the sidebar's "Re-read floorplan")
+    const ocrStartTime = Date.now();
+    Analytics.ocrInitiated(currentSite);
 
-      // Use src only if it's a real URL (not placeholder/data URI)
-      if (src && !src.startsWith('data:') && !src.includes('placeholder') && !src.includes('loading')) {
-        // Check if src has floorplan pattern
-        if (src.includes('floorplan') || src.includes('/files/')) {
-          return src;
-        }
-      }
+    try {
+      log(' Running OCR on:', url);
+      const { text, confidence, cached, evidence } = await Promise.race([
+        readFloorplanText(url, refresh),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), CONFIG.OCR_TIMEOUT))
+      ]);
+      log(' OCR result' + (cached ? ' (cached):' : ':'), text.substring(0, 200));
 
-      // Fallback: return whichever exists
-      return dataSrc || (src && !src.startsWith('data:') ? src : null);
+      const sqft = window.RFVFloorplan.parseSize(text);
+      Analytics.ocrCompleted({
+        sqft: sqft,
+        hasText: text.length > 0,
+        // How sure Tesseract was of the size itself, else of the page as a whole
+        confidence: evidence?.confidence ?? confidence,
+        cutOff: !!evidence?.cut_off,
+        cached: cached,
+        processingTimeMs: Date.now() - ocrStartTime,
+      });
+      return { sqft, text, evidence: evidence || null };
+    } catch (e) {
+      logError(' OCR failed:', e.message);
+      Analytics.ocrFailed(e.message, currentSite);
+      return { sqft: null, text: '', evidence: null };
     }
+  }
 
-    // Check floorplans array (works for all sites)
-    const floorplans = data.floorplans || [];
-    if (floorplans.length > 0) {
-      return floorplans[0].url || floorplans[0].srcUrl;
-    }
+  /**
+   * Whole-property sqft from the OCR results of every floorplan image (null if none had a size)
+   * Agents often print the overall total on each floor's image, so an equal size counts once
+   * unless both images are labelled with different floors and neither says "total". A total
+   * (or a size equal to the sum of two or more others) that covers the rest is used on its own.
+   * @param {Array<{sqft: number|null, text: string}>} plans - ocrFloorplan results
+   */
+  function mergeFloorplanSizes(plans) {
+    const counted = [];
+    for (const plan of plans) {
+      if (!plan.sqft) continue;
+      const size = {
+        sqft: plan.sqft,
+        isTotal: /\btotal\b|gross\s+internal/i.test(plan.text),
+        floors: window.XGBFeatures.extractFloors(plan.text).floors_detected.join(','),
+      };
+      const repeated = counted.some(c =>
+        Math.abs(c.sqft - size.sqft) <= size.sqft * 0.01 &&
+        (c.isTotal || size.isTotal || c.floors === size.floors));
+      if (!repeated) counted.push(size);
+    }
+    if (counted.length === 0) return null;
+
+    const [largest, ...rest] = counted.sort((a, b) => b.sqft - a.sqft);
+    const restTotal = rest.reduce((sum, c) => sum + c.sqft, 0);
+    const coversRest = Math.abs(largest.sqft - restTotal) <= largest.sqft * 0.03 &&
+                       (largest.isTotal || rest.length >= 2);
+    if (coversRest) return largest.sqft;
+    return largest.sqft + restTotal;  // Separate floors, or a main plan plus an annex
+  }
 
-    // Check media array (Rightmove)
-    const media = data.media || [];
-    for (const m of media) {
-      if (m.type === 'floorplan' || (m.url && m.url.includes('_FLP_'))) {
-        return m.url || m.srcUrl;
-      }
+  // Offscreen engine first (cached by image content); Tesseract in this page only if the
+  // engine's OCR worker can't start. Returns { text, confidence, cached, evidence }
+  async function readFloorplanText(url, refresh = false) {
+    try {
+      const { text, confidence, cached, pass, evidence } = await callEngine('ocr', { url, refresh });
+      log(' Offscreen OCR read:', pass || 'no size found');
+      return { text, confidence, cached, evidence };
+    } catch (e) {
+      if (e.code !== 'ocr_unavailable') throw e;
+      log(' Offscreen OCR unavailable, reading floorplan in page:', e.message);
+      return readFloorplanTextInPage(url);
     }
+  }
 
-    // For agent sites, try to find floorplan in DOM if not in data
-    if (currentSite !== SITES.RIGHTMOVE) {
-      // Site-specific patterns first
-      let imgSelector = '';
-      let linkSelector = '';
-
-      switch (currentSite) {
-        case SITES.CHESTERTONS:
-          // Also check for homeflow-assets domain
-          imgSelector = 'img[src*="/files/floorplan/"], img[data-src*="/files/floorplan/"], ' +
-                       'img[src*="homeflow-assets"][src*="floorplan"], img[data-src*="homeflow-assets"]';
-          break;
-        case SITES.KNIGHTFRANK:
-          imgSelector = 'img[src*="content.knightfrank.com"][src*="floorplan"], img[data-src*="content.knightfrank.com"]';
-          linkSelector = 'a[href*="floorplan"]';
-          break;
-        case SITES.SAVILLS:
-          imgSelector = '.sv-pdp-floorplan img, [data-type="floorplan"] img, [data-tab="plans"] img';
-          break;
-      }
-
-      // Check site-specific selectors first
-      if (imgSelector) {
-        const siteImg = document.querySelector(imgSelector);
-        const url = getBestImgUrl(siteImg);
-        if (url) return url;
-      }
-
-      if (linkSelector) {
-        const siteLink = document.querySelector(linkSelector);
-        if (siteLink?.href) return siteLink.href;
-      }
+  /**
+   * EPC rating stated in the listing, else read from its EPC graph image
+   * A band stated without a score still has the graph read, for the score.
+   * @param {string[]} urls - findEpcUrls result; certificate PDFs are only linked, not read
+   * @returns {Promise<object|null>} RFVEpc rating plus source ('listing' | 'graph') and confidence
+   */
+  async function extractEpc(data, urls, { refresh = false } = {}) {
+    const stated = window.RFVEpc.findRating(listingText(data));
+    if (stated?.score) return { ...stated, source: 'listing', confidence: null };
+
+    const graphUrl = urls.find(url => !window.RFVEpc.isPdf(url));
+    if (graphUrl) {
+      injectLoadingState('Reading EPC...');
+      const read = await readEpcGraph(graphUrl, refresh);
+      // The listing's own band wins over a graph read that disagrees with it
+      if (read && (!stated || read.band === stated.band)) return { ...read, source: 'graph' };
+    }
+    return stated ? { ...stated, source: 'listing', confidence: null } : null;
+  }
 
-      // Generic fallback - check for floorplan images (including data-src for lazy loading)
-      const floorplanImg = document.querySelector(
-        'img[src*="floorplan"], img[src*="floor-plan"], img[src*="Floorplan"], ' +
-        'img[data-src*="floorplan"], img[data-src*="floor-plan"], ' +
-        'img[alt*="floorplan" i], img[alt*="floor plan" i], ' +
-        '.floorplan img, [class*="floorplan"] img, [data-type="floorplan"] img'
-      );
-      if (floorplanImg) {
-        const url = getBestImgUrl(floorplanImg);
-        if (url) return url;
-      }
+  // EPC graph read by the offscreen engine (cached by image content), or in this page like
+  // floorplans if the engine's OCR worker can't start. null if it can't be read.
+  async function readEpcGraph(url, refresh = false) {
+    try {
+      const { rating, cached } = await Promise.race([
+        callEngine('epc', { url, refresh }).catch(e => {
+          if (e.code !== 'ocr_unavailable') throw e;
+          log(' Offscreen OCR unavailable, reading EPC graph in page:', e.message);
+          return readEpcGraphInPage(url);
+        }),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), CONFIG.OCR_TIMEOUT))
+      ]);
+      log(' EPC graph read' + (cached ? ' (cached):' : ':'), rating ? window.RFVEpc.formatRating(rating) : 'no rating found');
+      return rating;
+    } catch (e) {
+      logError(' EPC OCR failed:', e.message);
+      return null;
+    }
+  }
 
-      // Check for floorplan links
-      const floorplanLink = document.querySelector(
-        'a[href*="floorplan"], a[href*="floor-plan"], ' +
-        '[class*="floorplan"] a, [data-type="floorplan"] a'
+  // Image fetched via the background service worker to bypass CORS, as a Blob for RFVOcr
+  async function fetchImageInPage(url) {
+    const dataUrl = await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(
+        { action: 'fetchImage', url: url },
+        response => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else if (response && response.success) {
+            resolve(response.data);
+          } else {
+            reject(new Error(response?.error || 'Unknown fetch error'));
+          }
+        }
       );
-      if (floorplanLink && floorplanLink.href) {
-        return floorplanLink.href;
-      }
-
-      // Final fallback - regex search in page HTML for common CDN patterns
-      const htmlContent = document.body.innerHTML;
-      const patterns = [
-        /https:\/\/[^"\s]+\/files\/floorplan\/[^"\s]+/i,  // Chestertons
-        /https:\/\/content\.knightfrank\.com\/[^"\s]*floorplan[^"\s]*\.(?:jpg|png|jpeg)/i,  // Knight Frank
-        /https:\/\/[^"\s]*savills[^"\s]*(?:floorplan|floor-plan|_fp)[^"\s]*\.(?:jpg|png|jpeg)/i,  // Savills
-      ];
-      for (const pattern of patterns) {
-        const match = htmlContent.match(pattern);
-        if (match) return match[0];
-      }
-    }
+    });
+    log(' Image fetched via background worker, data length:', dataUrl.length);
 
-    return null;
+    // Decoded here rather than with fetch(), which the listing site's CSP can block for data: URLs
+    const [header, base64] = dataUrl.split(',');
+    const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    return new Blob([bytes], { type: header.match(/^data:([^;]+)/)?.[1] || 'image/png' });
   }
 
-  function estimateSqft(beds) {
-    const sizes = { 0: 350, 1: 500, 2: 750, 3: 1000, 4: 1300, 5: 1600 };
-    return sizes[Math.min(beds, 5)] || 500;
+  // Same preprocessing and retries as the offscreen engine (RFVOcr), but not cached
+  async function readFloorplanTextInPage(url) {
+    const { text, confidence, pass, evidence } = await recognizeInPage(url, 'floorplan', window.RFVOcr.recognizeFloorplan);
+    log(' In-page OCR read:', pass || 'no size found');
+    return { text, confidence, cached: false, evidence };
   }
 
-  // ============================================
-  // OCR
-  // ============================================
+  async function readEpcGraphInPage(url) {
+    const { rating } = await recognizeInPage(url, 'EPC', window.RFVOcr.recognizeEpcGraph);
+    return { rating, cached: false };
+  }
 
-  async function ocrFloorplan(url) {
-    // Returns { sqft: number|null, text: string } - text is used for floor extraction
+  // Runs an RFVOcr read on the image with a Tesseract worker of this page's own
+  async function recognizeInPage(url, label, read) {
     if (typeof Tesseract === 'undefined') {
-      logError(' Tesseract not loaded! Check vendor/tesseract.min.js');
-      Analytics.ocrFailed('tesseract_not_loaded', url);
-      return { sqft: null, text: '' };
+      throw new Error('tesseract_not_loaded');
     }
-    log(' Tesseract available, starting OCR...');
-
-    // Track OCR initiation
-    const ocrStartTime = Date.now();
-    Analytics.ocrInitiated(currentSite);
 
     let worker = null;
     try {
-      log(' Running OCR on:', url);
-
-      // Fetch image via background service worker to bypass CORS
-      injectLoadingState('Fetching floorplan...');
-      const imgData = await new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage(
-          { action: 'fetchImage', url: url },
-          response => {
-            if (chrome.runtime.lastError) {
-              reject(new Error(chrome.runtime.lastError.message));
-            } else if (response && response.success) {
-              resolve(response.data);
-            } else {
-              reject(new Error(response?.error || 'Unknown fetch error'));
-            }
-          }
-        );
-      });
-      log(' Image fetched via background worker, data length:', imgData.length);
+      injectLoadingState(`Fetching ${label}...`);
+      const blob = await fetchImageInPage(url);
 
       // Create worker explicitly to ensure proper cleanup (fixes memory leak)
       worker = await Tesseract.createWorker('eng', 1, {
         logger: m => {
           if (m.status === 'recognizing text') {
-            injectLoadingState(`Reading floorplan... ${Math.round(m.progress * 100)}%`);
+            injectLoadingState(`Reading ${label}... ${Math.round(m.progress * 100)}%`);
           }
         }
       });
 
-      const result = await Promise.race([
-        worker.recognize(imgData),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), CONFIG.OCR_TIMEOUT))
-      ]);
-
-      const text = result.data.text;
-      log(' OCR result:', text.substring(0, 200));
-
-      // Extract sqft - try sqft patterns first
-      const sqftPatterns = [
-        /(\d{1,4}(?:,\d{3})?)\s*(?:sq\.?\s*ft|sqft|square\s*feet)/i,
-        /(\d{1,4}(?:,\d{3})?)\s*ft²/i,
-        /total[:\s]+(\d{1,4}(?:,\d{3})?)\s*(?:sq\s*ft|sqft)/i,
-        /approx[:\s]+(\d{1,4}(?:,\d{3})?)\s*(?:sq|ft)/i,
-      ];
-
-      for (const p of sqftPatterns) {
-        const match = text.match(p);
-        if (match) {
-          const sqft = parseInt(match[1].replace(',', ''), 10);
-          if (sqft >= 100 && sqft <= 15000) {
-            log(' Found sqft via OCR:', sqft);
-            Analytics.ocrCompleted({
-              sqft: sqft,
-              hasText: text.length > 0,
-              processingTimeMs: Date.now() - ocrStartTime,
-            });
-            return { sqft, text };
-          }
-        }
-      }
-
-      // Try sqm patterns (convert to sqft)
-      const sqmPatterns = [
-        /(\d{1,4}(?:,\d{3})?)\s*(?:sq\.?\s*m|sqm|square\s*m|m²)/i,
-        /(\d{1,4}(?:,\d{3})?)\s*m²/i,
-        /total[:\s]+(\d{1,4}(?:,\d{3})?)\s*(?:sq\s*m|sqm|m)/i,
-      ];
-
-      for (const p of sqmPatterns) {
-        const match = text.match(p);
-        if (match) {
-          const sqm = parseInt(match[1].replace(',', ''), 10);
-          if (sqm >= 10 && sqm <= 1500) {
-            const sqft = Math.round(sqm * 10.764);
-            log(' Found sqm via OCR:', sqm, '-> sqft:', sqft);
-            Analytics.ocrCompleted({
-              sqft: sqft,
-              hasText: text.length > 0,
-              processingTimeMs: Date.now() - ocrStartTime,
-            });
-            return { sqft, text };
-          }
-        }
-      }
-
-      log(' No size pattern found in OCR text');
-      // Track OCR completed but no sqft found
-      Analytics.ocrCompleted({
-        sqft: null,
-        hasText: text.length > 0,
-        processingTimeMs: Date.now() - ocrStartTime,
-      });
-      return { sqft: null, text };
-    } catch (e) {
-      logError(' OCR failed:', e.message);
-      Analytics.ocrFailed(e.message, currentSite);
-      return { sqft: null, text: '' };
+      return await read(worker, blob);
     } finally {
       // Always terminate worker to prevent memory leak
       if (worker) {
@@ -1640,39 +1157,9 @@
   // CACHE
   // ============================================
 
-  function parsePrice(text) {
-    if (!text) return null;
-
-    // CRITICAL FIX: Extract FIRST price only (handles "£500 pw (£2,166 pcm)" cases)
-    // Look for £X,XXX pattern - extract first match only
-    const priceMatch = text.match(/£([\d,]+(?:\.\d{2})?)/);
-    if (!priceMatch) {
-      // Fallback: try to find any number sequence
-      const numMatch = text.match(/(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/);
-      if (!numMatch) return null;
-      const num = parseFloat(numMatch[1].replace(/,/g, ''));
-      if (isNaN(num) || num <= 0) return null;
-      // Apply weekly conversion if needed
-      if (/pw|per week|weekly/i.test(text)) {
-        return Math.round(num * 52 / 12);
-      }
-      return Math.round(num);
-    }
-
-    // Parse the matched price (remove commas)
-    const price = parseFloat(priceMatch[1].replace(/,/g, ''));
-    if (isNaN(price) || price <= 0) return null;
-
-    // Check if this is a weekly price - look at context around the matched price
-    const priceIndex = text.indexOf(priceMatch[0]);
-    const contextAfter = text.substring(priceIndex, priceIndex + 30).toLowerCase();
-
-    if (/pw|per\s*week|weekly/i.test(contextAfter)) {
-      // Convert weekly to monthly: price * 52 / 12
-      return Math.round(price * 52 / 12);
-    }
-
-    return Math.round(price);
+  // Whole-property monthly rent from quoted price text (formats in rent.js), null if unreadable
+  function parsePrice(text, bedrooms = 0) {
+    return window.RFVRent.monthlyRent(window.RFVRent.parseRent(text), bedrooms);
   }
 
   async function getCachedPrediction(propertyId) {
@@ -1694,6 +1181,47 @@
     }
   }
 
+  // ============================================
+  // VIEWING HISTORY
+  // ============================================
+
+  async function recordHistory(propertyId, result) {
+    if (!window.RFVHistory || !propertyId) return null;
+    try {
+      const entry = await window.RFVHistory.recordAnalysis(currentSite, propertyId, {
+        url: window.location.href,
+        address: result.address,
+        postcode_district: result.postcode_district,
+        beds: result.beds,
+        baths: result.baths,
+        asking_price: result.asking_price,
+        fair_value: result.fair_value,
+        premium_pct: result.premium_pct,
+        size_sqft: result.size_sqft,
+        size_source: result.size_source,
+        model_version: result.model_version,
+      });
+      if (result.challenger) await recordComparison(propertyId, result);
+      return entry;
+    } catch (e) {
+      logError(' History save failed:', e);
+      return null;
+    }
+  }
+
+  async function toggleSaved(result, button) {
+    try {
+      const entry = await window.RFVHistory.setSaved(currentSite, result.property_id, !result.saved);
+      if (!entry) return;
+      result.saved = entry.saved;
+      button.classList.toggle('rfv-saved', result.saved);
+      button.textContent = result.saved ? '★ Saved' : '☆ Save';
+      Analytics.propertySaved(result.saved);
+    } catch (e) {
+      logError(' Save failed:', e);
+    }
+  }
+
   // ============================================
   // SIMILAR PROPERTIES
   // ============================================
@@ -1874,28 +1402,34 @@
     `;
   }
 
-  async function displayResult(r, source) {
-    // Track sidebar shown
-    Analytics.sidebarShown('auto');
+  async function displayResult(r, source, { refresh = false } = {}) {
+    // Track sidebar shown (not when re-rendering after an assumption edit)
+    if (!refresh) Analytics.sidebarShown('auto');
 
-    const assessment = r.premium_pct > 15 ? 'overpriced' : r.premium_pct < -10 ? 'good_deal' : 'fair';
+    const assessment = getAssessment(r.premium_pct);
     const colorClass = assessment === 'overpriced' ? 'rfv-overpriced' :
                        assessment === 'good_deal' ? 'rfv-good-deal' : 'rfv-fair';
     const label = assessment.replace('_', ' ').toUpperCase();
     const sign = r.premium_pct > 0 ? '+' : '';
 
-    const sizeNote = source === 'ocr' ? `${r.size_sqft} sqft (from floorplan)` :
+    const sizeNote = source === 'ocr' ? `${r.size_sqft} sqft (from ${r.floorplan_count > 1 ? `${r.floorplan_count} floorplans` : 'floorplan'})` :
                      source === 'estimated' ? 'Size estimated from beds' :
+                     source === 'user' ? `${r.size_sqft} sqft (your correction)` :
                      source === 'cached' ? 'From daily analysis' :
                      `${r.size_sqft} sqft`;
 
+    // The listing's own wording when it wasn't a plain monthly rent ("£52,000 pa", "£1,200 pppw")
+    const quotedRent = window.RFVRent.describeQuote(r.asking_rent, r.feature_input?.bedrooms);
+
+    const driversHtml = renderDrivers(r.drivers);
+
     const amenitiesHtml = r.amenities_detected?.length > 0
       ? `<div class="rfv-amenities">${r.amenities_detected.map(a =>
           `<span class="rfv-amenity">${escapeHtml(a)}</span>`).join('')}</div>`
       : '';
 
     // Check if postcode has sparse training data
-    const isSparsePostcode = !hasGoodCoverage(r.postcode_district);
+    const isSparsePostcode = !hasGoodCoverage(r.postcode_district, r.model_coverage);
     const sparseWarningHtml = isSparsePostcode ? `
       <div class="rfv-sparse-warning">
         <div class="rfv-sparse-icon">⚠️</div>
@@ -1906,7 +1440,7 @@
     ` : '';
 
     // Track sparse postcode usage
-    if (isSparsePostcode) {
+    if (isSparsePostcode && !refresh) {
       Analytics.capture('sparse_postcode_viewed', {
         postcode_district: r.postcode_district,
         asking_price: r.asking_price,
@@ -1915,6 +1449,8 @@
       });
     }
 
+    const priceChangeHtml = renderPriceChange(r.price_change);
+
     // Find similar properties (async, don't block initial render)
     let similarHtml = '';
 
@@ -1925,23 +1461,46 @@
 
         ${sparseWarningHtml}
 
+        ${priceChangeHtml}
+
         <div class="rfv-label">Asking</div>
         <div class="rfv-price">£${formatNum(r.asking_price)}/mo</div>
+        ${quotedRent ? `<div class="rfv-quoted-rent">${escapeHtml(quotedRent)}</div>` : ''}
 
         <hr class="rfv-divider">
 
         <div class="rfv-label">Model Estimate</div>
         <div class="rfv-price">£${formatNum(r.fair_value)}/mo</div>
-        <div class="rfv-range">Range: £${formatNum(r.range_low)} – £${formatNum(r.range_high)}</div>
+        <div class="rfv-range">${window.RFVValuation.formatRangeLabel(r)}: £${formatNum(r.range_low)} – £${formatNum(r.range_high)}</div>
+
+        ${renderRunningCosts(r.running_costs)}
+
+        ${renderEpc(r.epc, r.epc_url)}
 
         <div class="rfv-assessment ${colorClass}">
           <div class="rfv-assessment-value">${sign}${r.premium_pct}%</div>
           <div class="rfv-assessment-label">${label}</div>
         </div>
 
+        ${renderBills(r.bills)}
+
+        ${renderConfidence(r.confidence)}
+
+        ${renderChallenger(r)}
+
+        ${driversHtml}
+
         ${amenitiesHtml}
 
-        <div class="rfv-size-note">${escapeHtml(sizeNote)}</div>
+        ${renderRooms(r.room_check)}
+
+        ${renderAssumptions(r)}
+
+        ${renderSizeNote(sizeNote, source, r.size_evidence)}
+
+        ${r.floorplan_count > 0 ? `
+          <button class="rfv-reread-btn" id="rfv-reread-btn">Re-read floorplan</button>
+        ` : ''}
 
         <div id="rfv-similar-placeholder"></div>
 
@@ -1949,7 +1508,16 @@
           Compare with Similar Properties
         </button>
 
-        <div class="rfv-footer">XGBoost V20 · ${source === 'cached' ? 'Cached' : 'Live'}</div>
+        <div class="rfv-actions">
+          ${r.property_id ? `
+            <button class="rfv-save-btn ${r.saved ? 'rfv-saved' : ''}" id="rfv-save-btn">
+              ${r.saved ? '★ Saved' : '☆ Save'}
+            </button>
+          ` : ''}
+          <button class="rfv-link-btn" id="rfv-saved-link">Saved properties</button>
+        </div>
+
+        <div class="rfv-footer">${escapeHtml(r.model_label || 'XGBoost')} · ${source === 'cached' ? 'Cached' : 'Live'}</div>
       </div>
     `;
 
@@ -1961,8 +1529,25 @@
       });
     }
 
+    // Watchlist buttons
+    const saveBtn = document.getElementById('rfv-save-btn');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => toggleSaved(r, saveBtn));
+    }
+    document.getElementById('rfv-saved-link')?.addEventListener('click', () => {
+      window.open(chrome.runtime.getURL('saved.html'), '_blank');
+    });
+
+    bindAssumptions(r);
+
+    // OCR the floorplans again, e.g. after a misread size (cached reads are skipped)
+    document.getElementById('rfv-reread-btn')?.addEventListener('click', () => {
+      Analytics.floorplanReread(r.floorplan_count);
+      init({ rereadFloorplan: true });
+    });
+
     // Load similar properties in background
-    if (r.postcode_district && r.beds) {
+    if (r.postcode_district && r.beds != null) {
       findSimilarProperties(
         r.fair_value,
         r.postcode_district,
@@ -1983,6 +1568,372 @@
     }
   }
 
+  function renderPriceChange(change) {
+    if (!change || change.change === 0) return '';
+
+    const reduced = change.change < 0;
+    const since = new Date(change.since).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+    const premium = change.premium_vs_stored;
+    const premiumText = premium !== null
+      ? ` · now ${premium > 0 ? '+' : ''}${premium}% vs £${formatNum(change.stored_fair_value)} fair value`
+      : '';
+
+    return `
+      <div class="rfv-price-change ${reduced ? 'rfv-price-reduced' : 'rfv-price-increased'}">
+        <div class="rfv-price-change-title">
+          ${reduced ? '↓ Reduced' : '↑ Increased'} by £${formatNum(Math.abs(change.change))} since ${escapeHtml(since)}
+        </div>
+        <div class="rfv-price-change-detail">
+          Was £${formatNum(change.previous_price)}/mo${premiumText}
+        </div>
+      </div>
+    `;
+  }
+
+  function renderConfidence(confidence) {
+    if (!confidence) return '';
+    const reasons = confidence.reasons.length > 0
+      ? confidence.reasons.map(reason => escapeHtml(reason)).join(' · ')
+      : 'Built on full listing data';
+    return `
+      <div class="rfv-confidence rfv-confidence-${confidence.grade}">
+        <span class="rfv-confidence-grade">${confidence.grade.toUpperCase()} CONFIDENCE</span>
+        <span class="rfv-confidence-reasons">${reasons}</span>
+      </div>
+    `;
+  }
+
+  // Rent plus council tax and bills, at the asking and the fair rent
+  function renderRunningCosts(costs) {
+    if (!costs) return '';
+    const rows = costs.items.map(row => `
+      <div class="rfv-bill">
+        <span class="rfv-bill-name">${escapeHtml(row.label)}${row.detail ? ` <small>${escapeHtml(row.detail)}</small>` : ''}</span>
+        <span class="rfv-bill-amount">${row.included ? 'in rent' : `£${formatNum(row.monthly)}`}</span>
+      </div>
+    `).join('');
+    return `
+      <details class="rfv-total-cost">
+        <summary>
+          Total monthly cost <strong>£${formatNum(costs.asking_total)}</strong>
+          <span class="rfv-total-cost-fair">£${formatNum(costs.fair_total)} at fair rent</span>
+        </summary>
+        ${rows}
+        <div class="rfv-bills-source">Estimated; bills the rent includes are counted once</div>
+      </details>
+    `;
+  }
+
+  // EPC rating, with a warning when it puts letting at risk under the energy-efficiency minimum
+  function renderEpc(epc, url) {
+    const link = url && /^https?:/.test(url)
+      ? ` <a class="rfv-epc-link" href="${escapeHtml(url)}" target="_blank" rel="noopener">View EPC</a>`
+      : '';
+    if (!epc) {
+      return link ? `<div class="rfv-epc">EPC not read from the listing ·${link}</div>` : '';
+    }
+    const risk = window.RFVEpc.complianceRisk(epc.band);
+    const source = epc.source === 'graph' ? 'read from the EPC graph' : 'from the listing';
+    return `
+      <div class="rfv-epc">
+        <span class="rfv-epc-band rfv-epc-${epc.band.toLowerCase()}">${epc.band}</span>
+        ${escapeHtml(window.RFVEpc.formatRating(epc))} <small>${source}</small>${link}
+        ${risk ? `<div class="rfv-epc-risk rfv-epc-risk-${risk.level}">⚠️ ${escapeHtml(risk.message)}</div>` : ''}
+      </div>
+    `;
+  }
+
+  // Premium with included bills taken off the asking rent, next to the raw one above
+  function renderBills(bills) {
+    if (!bills) return '';
+    const sign = bills.premium_pct > 0 ? '+' : '';
+    const label = getAssessment(bills.premium_pct).replace('_', ' ').toUpperCase();
+    const rows = bills.items.map(row => `
+      <div class="rfv-bill">
+        <span class="rfv-bill-name">${escapeHtml(row.label)}${row.detail ? ` <small>${escapeHtml(row.detail)}</small>` : ''}</span>
+        <span class="rfv-bill-amount">£${formatNum(row.monthly)}</span>
+      </div>
+    `).join('');
+    return `
+      <div class="rfv-bills">
+        <div class="rfv-bills-line">
+          Bills included: <strong>${sign}${bills.premium_pct}%</strong> ${label}
+          at £${formatNum(bills.asking_price)}/mo without bills
+        </div>
+        <details>
+          <summary class="rfv-bills-title">Bills taken off (£${formatNum(bills.deduction)}/mo)</summary>
+          ${rows}
+          <div class="rfv-bills-source">Listing says: ${bills.phrases.map(p => `"${escapeHtml(p)}"`).join(', ')}</div>
+        </details>
+      </div>
+    `;
+  }
+
+  // Size note; a size from the floorplan (or a figure rejected as misread) opens to show what was read
+  function renderSizeNote(sizeNote, source, evidence) {
+    if (!evidence?.length || (source !== 'ocr' && source !== 'estimated')) {
+      return `<div class="rfv-size-note">${escapeHtml(sizeNote)}</div>`;
+    }
+
+    const warning = evidence.map(e => window.RFVFloorplan.formatSizeWarning(e)).find(Boolean);
+    const items = evidence.map(e => {
+      const image = typeof e.image === 'string' && e.image.startsWith('data:image/png;base64,')
+        ? `<img class="rfv-evidence-image" src="${escapeHtml(e.image)}" alt="Floorplan text the size was read from">`
+        : '';
+      const words = e.words.map(w => `
+        <span class="rfv-evidence-word ${w.confidence < window.RFVFloorplan.LOW_WORD_CONFIDENCE ? 'rfv-evidence-word-low' : ''}">
+          ${escapeHtml(w.text)} <small>${w.confidence}%</small>
+        </span>
+      `).join('');
+      const result = e.sqft ? `${formatNum(e.sqft)} sqft` : 'not used';
+      return `
+        <div class="rfv-evidence">
+          ${image}
+          <div class="rfv-evidence-snippet">Read "${escapeHtml(e.snippet)}" → ${result}</div>
+          ${words ? `<div class="rfv-evidence-words">${words}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    return `
+      ${warning ? `<div class="rfv-size-warning">⚠️ ${escapeHtml(warning)}</div>` : ''}
+      <details class="rfv-size-evidence">
+        <summary class="rfv-size-note" title="Show what was read from the floorplan">${escapeHtml(sizeNote)}</summary>
+        ${items}
+      </details>
+    `;
+  }
+
+  // Rooms read from the floorplan, with the quoted total checked against them
+  function renderRooms(check) {
+    if (!check) return '';
+    const rows = check.rooms.map(room => `
+      <div class="rfv-room">
+        <span class="rfv-room-name">${escapeHtml(room.name)}</span>
+        <span class="rfv-room-dims">${room.width_m.toFixed(2)} × ${room.length_m.toFixed(2)} m</span>
+        <span class="rfv-room-area">${formatNum(room.sqft)} sqft</span>
+      </div>
+    `).join('');
+    return `
+      <div class="rfv-rooms rfv-rooms-${check.status}">
+        <div class="rfv-rooms-check">${escapeHtml(window.RFVFloorplan.formatRoomCheck(check))}</div>
+        <details>
+          <summary class="rfv-rooms-title">Rooms (${check.rooms.length})</summary>
+          ${rows}
+        </details>
+      </div>
+    `;
+  }
+
+  function renderDrivers(drivers) {
+    if (!drivers || drivers.length === 0) return '';
+
+    const items = drivers.map(d => {
+      const sign = d.amount > 0 ? '+' : '−';
+      const dirClass = d.amount > 0 ? 'rfv-driver-up' : 'rfv-driver-down';
+      return `
+        <div class="rfv-driver">
+          <span class="rfv-driver-amount ${dirClass}">${sign}£${formatNum(Math.abs(d.amount))}</span>
+          <span class="rfv-driver-label">${escapeHtml(d.label)}</span>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="rfv-drivers">
+        <div class="rfv-drivers-title">Price Drivers</div>
+        ${items}
+      </div>
+    `;
+  }
+
+  // ============================================
+  // ANALYST MODE (champion/challenger)
+  // ============================================
+
+  function renderChallenger(r) {
+    const c = r.challenger;
+    if (!c) return '';
+    const sign = c.delta > 0 ? '+' : c.delta < 0 ? '−' : '';
+    const verdict = c.verdict_changed
+      ? `<div class="rfv-analyst-flag">Verdict changes: ${escapeHtml(c.assessment.replace('_', ' '))}</div>`
+      : '';
+    return `
+      <div class="rfv-analyst ${c.disagrees ? 'rfv-analyst-disagrees' : ''}">
+        <div class="rfv-analyst-title">Analyst mode</div>
+        <div class="rfv-analyst-row">
+          <span>${escapeHtml(r.model_label)}</span>
+          <span>£${formatNum(r.fair_value)}</span>
+        </div>
+        <div class="rfv-analyst-row">
+          <span>${escapeHtml(c.label)}</span>
+          <span>£${formatNum(c.fair_value)}</span>
+        </div>
+        <div class="rfv-analyst-row rfv-analyst-delta">
+          <span>Delta</span>
+          <span>${sign}£${formatNum(Math.abs(c.delta))} (${c.delta_pct > 0 ? '+' : ''}${c.delta_pct}%)</span>
+        </div>
+        ${verdict}
+      </div>
+    `;
+  }
+
+  function recordComparison(propertyId, r) {
+    const c = r.challenger;
+    return window.RFVHistory.recordComparison(currentSite, propertyId, {
+      url: window.location.href,
+      postcode_district: r.postcode_district,
+      beds: r.beds,
+      asking_price: r.asking_price,
+      champion: { version: r.model_version, fair_value: r.fair_value, assessment: getAssessment(r.premium_pct) },
+      challenger: { version: c.version, fair_value: c.fair_value, assessment: c.assessment },
+      delta: c.delta,
+      delta_pct: c.delta_pct,
+    });
+  }
+
+  // ============================================
+  // EDITABLE ASSUMPTIONS
+  // ============================================
+
+  const PROPERTY_TYPE_OPTIONS = [
+    ['flat', 'Flat'], ['apartment', 'Apartment'], ['studio', 'Studio'],
+    ['maisonette', 'Maisonette'], ['duplex', 'Duplex'], ['penthouse', 'Penthouse'],
+    ['house', 'House'], ['terraced', 'Terraced house'], ['semi-detached', 'Semi-detached'],
+    ['detached', 'Detached house'], ['town house', 'Town house'], ['mews', 'Mews house'],
+  ];
+  const FURNISHED_LABELS = {
+    furnished: 'Furnished', part_furnished: 'Part furnished', unfurnished: 'Unfurnished', unknown: 'Not stated',
+  };
+  const FLOOR_LEVEL_LABELS = {
+    basement: 'B', ground: 'G', first: '1', second: '2', third: '3', fourth_plus: '4+',
+  };
+  const OUTDOOR_SPACE_LABELS = {
+    balcony: 'Balcony', terrace: 'Terrace', roof_terrace: 'Roof terrace', garden: 'Garden',
+  };
+
+  // What the model assumed, as fields the user can correct; edited fields are highlighted
+  function renderAssumptions(r) {
+    if (!r.assumptions) return '';
+    const a = r.assumptions;
+    const edited = key => (r.overrides?.[key] !== undefined ? 'rfv-edited' : '');
+
+    const types = PROPERTY_TYPE_OPTIONS.some(([value]) => value === a.property_type)
+      ? PROPERTY_TYPE_OPTIONS
+      : [[a.property_type, a.property_type], ...PROPERTY_TYPE_OPTIONS];
+    const options = (pairs, selected) => pairs.map(([value, text]) =>
+      `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(text)}</option>`).join('');
+    const chips = (field, labels, active) => Object.entries(labels).map(([value, text]) =>
+      `<button type="button" class="rfv-chip ${active.includes(value) ? 'rfv-chip-on' : ''}"
+        data-field="${field}" data-value="${value}">${escapeHtml(text)}</button>`).join('');
+
+    return `
+      <details class="rfv-assumptions" id="rfv-assumptions" ${r.assumptions_open ? 'open' : ''}>
+        <summary class="rfv-assumptions-title">
+          Assumptions${Object.keys(r.overrides || {}).length ? ' · edited' : ''}
+        </summary>
+        <div class="rfv-assumption-grid">
+          <label class="rfv-assumption ${edited('size_sqft')}">
+            <span>Size (sqft)</span>
+            <input type="number" min="100" max="50000" step="10" data-field="size_sqft" value="${a.size_sqft}">
+          </label>
+          <label class="rfv-assumption ${edited('beds')}">
+            <span>Beds</span>
+            <input type="number" min="0" max="10" step="1" data-field="beds" value="${a.beds}">
+          </label>
+          <label class="rfv-assumption ${edited('baths')}">
+            <span>Baths</span>
+            <input type="number" min="1" max="10" step="1" data-field="baths" value="${a.baths}">
+          </label>
+          <label class="rfv-assumption ${edited('property_type')}">
+            <span>Type</span>
+            <select data-field="property_type">${options(types, a.property_type)}</select>
+          </label>
+          <label class="rfv-assumption rfv-assumption-wide ${edited('furnished')}">
+            <span>Furnishing</span>
+            <select data-field="furnished">${options(Object.entries(FURNISHED_LABELS), a.furnished)}</select>
+          </label>
+        </div>
+        <div class="rfv-assumption ${edited('floor_levels')}">
+          <span>Floor</span>
+          <div class="rfv-chips">${chips('floor_levels', FLOOR_LEVEL_LABELS, a.floor_levels)}</div>
+        </div>
+        <div class="rfv-assumption ${edited('outdoor_space')}">
+          <span>Outdoor space</span>
+          <div class="rfv-chips">${chips('outdoor_space', OUTDOOR_SPACE_LABELS, a.outdoor_space)}</div>
+        </div>
+        ${Object.keys(r.overrides || {}).length ? `
+          <button type="button" class="rfv-link-btn rfv-assumptions-reset" id="rfv-assumptions-reset">
+            Reset to listing values
+          </button>
+        ` : ''}
+      </details>
+    `;
+  }
+
+  function bindAssumptions(r) {
+    const panel = document.getElementById('rfv-assumptions');
+    if (!panel || !r.feature_input) return;
+
+    panel.addEventListener('toggle', () => { r.assumptions_open = panel.open; });
+
+    panel.querySelectorAll('input[data-field], select[data-field]').forEach(input => {
+      input.addEventListener('change', () => {
+        const field = input.dataset.field;
+        let value = input.value;
+        if (input.type === 'number') {
+          value = parseInt(value, 10);
+          if (Number.isNaN(value) || value < Number(input.min)) {
+            input.value = r.assumptions[field];
+            return;
+          }
+        }
+        updateAssumption(r, field, value);
+      });
+    });
+
+    panel.querySelectorAll('.rfv-chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        const field = chip.dataset.field;
+        const current = r.assumptions[field];
+        const value = current.includes(chip.dataset.value)
+          ? current.filter(v => v !== chip.dataset.value)
+          : [...current, chip.dataset.value];
+        updateAssumption(r, field, value);
+      });
+    });
+
+    document.getElementById('rfv-assumptions-reset')?.addEventListener('click', async () => {
+      const before = r.fair_value;
+      await applyOverrides(r, {});
+      Analytics.assumptionEdited({ field: 'reset', fairValueBefore: before, fairValueAfter: r.fair_value });
+    });
+  }
+
+  async function updateAssumption(r, field, value) {
+    const before = r.fair_value;
+    const overrides = { ...r.overrides, [field]: value };
+    await applyOverrides(r, overrides);
+    Analytics.assumptionEdited({ field, fairValueBefore: before, fairValueAfter: r.fair_value });
+  }
+
+  // Re-predict with new corrections, persist them and re-render the sidebar
+  async function applyOverrides(r, overrides) {
+    try {
+      await loadModel();  // Dropped if the options page switched model since the last render
+      Object.assign(r, await predictWithOverrides(r, overrides));
+      r.assumptions_open = true;
+      displayResult(r, r.size_source, { refresh: true });
+
+      if (r.property_id && window.RFVHistory) {
+        await window.RFVHistory.setOverrides(currentSite, r.property_id, overrides);
+        await recordHistory(r.property_id, r);
+      }
+    } catch (e) {
+      logError(' Assumption update failed:', e);
+    }
+  }
+
   function renderSimilarProperties(properties) {
     if (!properties || properties.length === 0) return '';
 
@@ -2036,13 +1987,17 @@
     const params = new URLSearchParams({
       address: address,
       postcode: postcode,
-      beds: result.beds || 2,
+      beds: result.beds ?? 2,
       sqft: result.size_sqft || 0,
       price: result.asking_price,
       fairValue: result.fair_value,
       type: extractPropertyType(propertyData),
       url: window.location.href,
       propertyId: propertyId || '',
+      confidence: result.confidence?.grade || '',
+      confidenceReasons: (result.confidence?.reasons || []).join('|'),
+      roomCheck: result.room_check ? JSON.stringify(result.room_check) : '',
+      quotedRent: window.RFVRent.describeQuote(result.asking_rent, result.feature_input?.bedrooms),
     });
 
     // Open compare page in new tab
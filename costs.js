@@ -0,0 +1,354 @@
+/**
+ * Running Costs for Rent Fair Value Chrome Extension
+ * Typical monthly bills for a London rental, used to take bills back out of
+ * "all bills included" rents before they are compared with the model (which is
+ * trained mostly on rents that exclude bills), and to total the monthly cost of living there.
+ *
+ * All figures are approximate:
+ * - energy, water and broadband: typical London costs by bedrooms (studio to 4+),
+ *   editable on the options page (stored as rfv_bill_costs). With an EPC rating, energy
+ *   is estimated from the floor area and the typical use for that band instead.
+ * - council tax: the 2024/25 Band D charge (including the GLA precept) of the borough
+ *   a postcode district mostly falls in, scaled by band. Without a band, a typical
+ *   band for the bedrooms is assumed.
+ *
+ * Service charges aren't adjusted for: a tenancy in England can't charge them on top of
+ * the rent (Tenant Fees Act 2019), so the asking rent already covers them.
+ */
+
+(function() {
+  'use strict';
+
+  const COSTS_KEY = 'rfv_bill_costs';
+
+  const BILL_LABELS = {
+    energy: 'Energy',
+    water: 'Water',
+    broadband: 'Broadband',
+    council_tax: 'Council tax',
+  };
+
+  // Monthly £ by bedrooms: [studio, 1, 2, 3, 4+]
+  const DEFAULT_BILL_COSTS = {
+    energy: [75, 95, 120, 150, 180],
+    water: [35, 40, 50, 60, 70],
+    broadband: [30, 30, 35, 35, 40],
+  };
+
+  // Annual Band D council tax 2024/25, £
+  const BAND_D_ANNUAL = {
+    'Barking and Dagenham': 1794,
+    'Barnet': 1944,
+    'Bexley': 2055,
+    'Brent': 2045,
+    'Bromley': 1877,
+    'Camden': 1984,
+    'City of London': 1232,
+    'Croydon': 2330,
+    'Ealing': 1964,
+    'Enfield': 1982,
+    'Greenwich': 1836,
+    'Hackney': 1745,
+    'Hammersmith and Fulham': 1406,
+    'Haringey': 2002,
+    'Harrow': 2208,
+    'Havering': 2157,
+    'Hillingdon': 1868,
+    'Hounslow': 1904,
+    'Islington': 1706,
+    'Kensington and Chelsea': 1478,
+    'Kingston upon Thames': 2346,
+    'Lambeth': 1820,
+    'Lewisham': 2000,
+    'Merton': 1918,
+    'Newham': 1572,
+    'Redbridge': 2052,
+    'Richmond upon Thames': 2256,
+    'Southwark': 1688,
+    'Sutton': 2061,
+    'Tower Hamlets': 1634,
+    'Waltham Forest': 2066,
+    'Wandsworth': 1018,
+    'Westminster': 971,
+  };
+  // Districts outside the table, or split across boroughs, use the median borough
+  const LONDON_BAND_D_ANNUAL = 1944;
+
+  // Borough most of each inner London district falls in
+  const DISTRICT_BOROUGH = {
+    EC1: 'Islington', EC2: 'City of London', EC3: 'City of London', EC4: 'City of London',
+    WC1: 'Camden', WC2: 'Westminster',
+    W1: 'Westminster', W2: 'Westminster', W3: 'Ealing', W4: 'Hounslow', W5: 'Ealing',
+    W6: 'Hammersmith and Fulham', W7: 'Ealing', W8: 'Kensington and Chelsea', W9: 'Westminster',
+    W10: 'Kensington and Chelsea', W11: 'Kensington and Chelsea', W12: 'Hammersmith and Fulham',
+    W13: 'Ealing', W14: 'Hammersmith and Fulham',
+    SW1: 'Westminster', SW2: 'Lambeth', SW3: 'Kensington and Chelsea', SW4: 'Lambeth',
+    SW5: 'Kensington and Chelsea', SW6: 'Hammersmith and Fulham', SW7: 'Kensington and Chelsea',
+    SW8: 'Lambeth', SW9: 'Lambeth', SW10: 'Kensington and Chelsea', SW11: 'Wandsworth',
+    SW12: 'Wandsworth', SW13: 'Richmond upon Thames', SW14: 'Richmond upon Thames',
+    SW15: 'Wandsworth', SW16: 'Lambeth', SW17: 'Wandsworth', SW18: 'Wandsworth',
+    SW19: 'Merton', SW20: 'Merton',
+    NW1: 'Camden', NW2: 'Brent', NW3: 'Camden', NW4: 'Barnet', NW5: 'Camden', NW6: 'Camden',
+    NW7: 'Barnet', NW8: 'Westminster', NW9: 'Barnet', NW10: 'Brent', NW11: 'Barnet',
+    N1: 'Islington', N2: 'Barnet', N3: 'Barnet', N4: 'Haringey', N5: 'Islington', N6: 'Haringey',
+    N7: 'Islington', N8: 'Haringey', N9: 'Enfield', N10: 'Haringey', N11: 'Enfield', N12: 'Barnet',
+    N13: 'Enfield', N14: 'Enfield', N15: 'Haringey', N16: 'Hackney', N17: 'Haringey',
+    N18: 'Enfield', N19: 'Islington', N20: 'Barnet', N21: 'Enfield', N22: 'Haringey',
+    E1: 'Tower Hamlets', E2: 'Tower Hamlets', E3: 'Tower Hamlets', E4: 'Waltham Forest',
+    E5: 'Hackney', E6: 'Newham', E7: 'Newham', E8: 'Hackney', E9: 'Hackney',
+    E10: 'Waltham Forest', E11: 'Waltham Forest', E12: 'Newham', E13: 'Newham',
+    E14: 'Tower Hamlets', E15: 'Newham', E16: 'Newham', E17: 'Waltham Forest',
+    E18: 'Redbridge', E20: 'Newham',
+    SE1: 'Southwark', SE2: 'Bexley', SE3: 'Greenwich', SE4: 'Lewisham', SE5: 'Southwark',
+    SE6: 'Lewisham', SE7: 'Greenwich', SE8: 'Lewisham', SE9: 'Greenwich', SE10: 'Greenwich',
+    SE11: 'Lambeth', SE12: 'Lewisham', SE13: 'Lewisham', SE14: 'Lewisham', SE15: 'Southwark',
+    SE16: 'Southwark', SE17: 'Southwark', SE18: 'Greenwich', SE19: 'Croydon', SE20: 'Bromley',
+    SE21: 'Southwark', SE22: 'Southwark', SE23: 'Lewisham', SE24: 'Lambeth', SE25: 'Croydon',
+    SE26: 'Lewisham', SE27: 'Lambeth', SE28: 'Greenwich',
+  };
+  // Outer London postcode areas, by the borough most of the area is in
+  const AREA_BOROUGH = {
+    HA: 'Harrow', UB: 'Hillingdon', TW: 'Hounslow', KT: 'Kingston upon Thames', CR: 'Croydon',
+    BR: 'Bromley', RM: 'Havering', IG: 'Redbridge', EN: 'Enfield', DA: 'Bexley', SM: 'Sutton',
+  };
+
+  // Charge relative to Band D
+  const BAND_RATIO = { A: 6 / 9, B: 7 / 9, C: 8 / 9, D: 1, E: 11 / 9, F: 13 / 9, G: 15 / 9, H: 18 / 9 };
+  // Band assumed when the listing doesn't give one, by bedrooms [studio, 1, 2, 3, 4+]
+  const TYPICAL_BAND = ['B', 'C', 'D', 'E', 'F'];
+
+  // Typical delivered energy use by EPC band, kWh per m² per year
+  const EPC_KWH_PER_SQM = { A: 50, B: 90, C: 140, D: 200, E: 260, F: 320, G: 400 };
+  // Blended gas/electricity unit price, £/kWh, and standing charges, £/month
+  const ENERGY_PRICE_PER_KWH = 0.12;
+  const ENERGY_STANDING_MONTHLY = 25;
+  const SQM_PER_SQFT = 0.0929;
+
+  const COUNCIL_TAX_BAND = /\bcouncil\s*tax(\s*band)?\s*(?::|-|–|is)?\s*(band\s*)?([A-H])\b/gi;
+
+  // Inclusive-rent wording: "all bills included", "gas, electricity and water inclusive",
+  // "including council tax", "rent includes wifi"
+  // "Central heating" (or underfloor) is a feature of the flat, not a bill - "gas central heating included"
+  const ITEM = String.raw`(?:all\s+)?(?:(?:the\s+)?bills|utilit(?:y|ies)(?:\s+bills)?|council\s+tax|gas|electric(?:ity)?|energy|(?<!(?:central|underfloor)\s+)heating|(?:hot\s+)?water(?:\s+rates)?|wi-?fi|broadband|internet)`;
+  // After "including", only bill words - "includes gas hob" or "including water softener" aren't bills
+  const BILL_ITEM = String.raw`(?:all\s+)?(?:(?:the\s+)?bills|utilit(?:y|ies)(?:\s+bills)?|council\s+tax|wi-?fi|broadband|internet)`;
+  const list = item => String.raw`${item}(?:\s*(?:,|and|&|\+|\/)\s*${item})*`;
+  const INCLUSIVE_PATTERNS = [
+    new RegExp(String.raw`\b(${list(ITEM)})\s+(?:(?:are|is)\s+)?(?:all\s+)?(?:included|inclusive|incl\b\.?)`, 'gi'),
+    new RegExp(String.raw`\b(?:including|includes|inclusive\s+of|incl\.?)\s+(${list(BILL_ITEM)})\b`, 'gi'),
+  ];
+  const NEGATED = /\b(?:not|no|excluding|exclusive\s+of|plus)\s+$/i;
+  // Bills carved back out after the inclusive wording: "bills included except council tax"
+  const EXCEPTED = new RegExp(
+    String.raw`^\s*[,(-]?\s*(?:except(?:\s+for)?|excluding|excl\.?|exc\.?|but\s+not|apart\s+from|other\s+than|not\s+including)\s+(${list(ITEM)})\)?`, 'i');
+
+  // Bills each word covers; "all bills" is taken to include council tax, as London listings usually mean
+  const ITEM_BILLS = [
+    [/bills/i, ['energy', 'water', 'broadband', 'council_tax']],
+    [/utilit/i, ['energy', 'water']],
+    [/council/i, ['council_tax']],
+    [/gas|electric|energy|heating/i, ['energy']],
+    [/water/i, ['water']],
+    [/wi-?fi|broadband|internet/i, ['broadband']],
+  ];
+
+  function bedroomIndex(bedrooms) {
+    return Math.min(4, Math.max(0, Math.round(bedrooms || 0)));
+  }
+
+  // Bills an inclusive-rent item list covers
+  function billsFor(itemText) {
+    const bills = new Set();
+    for (const [word, covered] of ITEM_BILLS) {
+      if (word.test(itemText)) covered.forEach(bill => bills.add(bill));
+    }
+    return bills;
+  }
+
+  /**
+   * Bills a listing says are included in the rent
+   * "Except"/"excluding" clauses straight after the wording take their bills back out.
+   * @param {string} text - Description, property phrase and key features
+   * @returns {{items: string[], phrases: string[]}} items: keys of BILL_LABELS; empty if none
+   */
+  function detectInclusions(text) {
+    const items = new Set();
+    const phrases = [];
+    for (const pattern of INCLUSIVE_PATTERNS) {
+      for (const match of (text || '').matchAll(pattern)) {
+        if (NEGATED.test(text.slice(Math.max(0, match.index - 20), match.index))) continue;
+        const end = match.index + match[0].length;
+        const excepted = text.slice(end).match(EXCEPTED);
+        const excluded = excepted ? billsFor(excepted[1]) : new Set();
+        const included = [...billsFor(match[1])].filter(bill => !excluded.has(bill));
+        if (included.length === 0) continue;
+        included.forEach(bill => items.add(bill));
+        phrases.push(text.slice(match.index, excepted ? end + excepted[0].length : end).replace(/\s+/g, ' ').trim());
+      }
+    }
+    return {
+      items: Object.keys(BILL_LABELS).filter(item => items.has(item)),
+      phrases: [...new Set(phrases)],
+    };
+  }
+
+  // Band letter after a label; a lone letter must be a capital ("Council tax: D", not "council tax a...")
+  function findBand(text, pattern) {
+    for (const match of (text || '').matchAll(pattern)) {
+      const letter = match[3];
+      if (match[1] || match[2] || letter === letter.toUpperCase()) return letter.toUpperCase();
+    }
+    return null;
+  }
+
+  // Council tax band ('A'-'H') stated in listing text, e.g. "Council Tax Band: D"
+  function findCouncilTaxBand(text) {
+    return findBand(text, COUNCIL_TAX_BAND);
+  }
+
+  // Borough a postcode district (e.g. 'SW1X', 'HA1') is mostly in, or null
+  function boroughForDistrict(postcodeDistrict) {
+    const district = (postcodeDistrict || '').toUpperCase().trim();
+    return DISTRICT_BOROUGH[district] ||
+           DISTRICT_BOROUGH[district.replace(/[A-Z]$/, '')] ||  // SW1X -> SW1
+           AREA_BOROUGH[district.replace(/\d.*$/, '')] ||
+           null;
+  }
+
+  /**
+   * Monthly council tax for a property
+   * @param {object} opts
+   * @param {string} opts.postcodeDistrict
+   * @param {string|null} opts.band - 'A'-'H' if the listing gives it
+   * @param {number} opts.bedrooms - Picks a typical band when there is none
+   * @returns {{monthly, band, band_estimated, borough}} borough null if the district isn't mapped
+   */
+  function councilTaxMonthly({ postcodeDistrict, band = null, bedrooms = 0 }) {
+    const borough = boroughForDistrict(postcodeDistrict);
+    const bandD = BAND_D_ANNUAL[borough] || LONDON_BAND_D_ANNUAL;
+    const knownBand = band && BAND_RATIO[band.toUpperCase()] ? band.toUpperCase() : null;
+    const usedBand = knownBand || TYPICAL_BAND[bedroomIndex(bedrooms)];
+    return {
+      monthly: Math.round(bandD * BAND_RATIO[usedBand] / 12),
+      band: usedBand,
+      band_estimated: !knownBand,
+      borough,
+    };
+  }
+
+  /**
+   * Monthly cost of one bill, with how it was worked out
+   * @param {string} item - Key of BILL_LABELS
+   * @param {object} opts - { bedrooms, postcodeDistrict, councilTaxBand, epcRating, sizeSqft, costs (getBillCosts) }
+   * @returns {{item, label, monthly, detail}}
+   */
+  function billCost(item, { bedrooms = 0, postcodeDistrict = null, councilTaxBand = null,
+                            epcRating = null, sizeSqft = null, costs = DEFAULT_BILL_COSTS }) {
+    const row = { item, label: BILL_LABELS[item], monthly: 0, detail: '' };
+    if (item === 'council_tax') {
+      const tax = councilTaxMonthly({ postcodeDistrict, band: councilTaxBand, bedrooms });
+      row.monthly = tax.monthly;
+      row.detail = `Band ${tax.band}${tax.band_estimated ? ' assumed' : ''}${tax.borough ? `, ${tax.borough}` : ''}`;
+    } else if (item === 'energy' && EPC_KWH_PER_SQM[epcRating] && sizeSqft > 0) {
+      const kwh = sizeSqft * SQM_PER_SQFT * EPC_KWH_PER_SQM[epcRating];
+      row.monthly = Math.round(kwh * ENERGY_PRICE_PER_KWH / 12 + ENERGY_STANDING_MONTHLY);
+      row.detail = `EPC ${epcRating}, ${Math.round(sizeSqft).toLocaleString('en-GB')} sqft`;
+    } else {
+      row.monthly = (costs[item] || DEFAULT_BILL_COSTS[item])[bedroomIndex(bedrooms)];
+    }
+    return row;
+  }
+
+  /**
+   * What bills included in the rent are worth
+   * @param {string[]} items - detectInclusions().items
+   * @param {object} opts - As billCost
+   * @returns {{items: Array<{item, label, monthly, detail}>, total: number}}
+   */
+  function billsDeduction(items, opts) {
+    const rows = items.map(item => billCost(item, opts));
+    return { items: rows, total: rows.reduce((sum, row) => sum + row.monthly, 0) };
+  }
+
+  /**
+   * Premium with included bills taken off the asking rent
+   * @param {{items, phrases}} inclusions - detectInclusions result
+   * @param {object} opts - { askingPrice, fairValue } and billCost's options
+   * @returns {object|null} null if no bills are included:
+   *   { included, phrases, items, deduction, asking_price, premium_pct }
+   */
+  function billsAdjustment(inclusions, { askingPrice, fairValue, ...opts }) {
+    if (!inclusions?.items.length || !fairValue) return null;
+    const { items, total } = billsDeduction(inclusions.items, opts);
+    const adjustedAsking = Math.max(0, askingPrice - total);
+    return {
+      included: inclusions.items,
+      phrases: inclusions.phrases,
+      items,
+      deduction: total,
+      asking_price: adjustedAsking,
+      premium_pct: Math.round((adjustedAsking - fairValue) / fairValue * 100),
+    };
+  }
+
+  /**
+   * Rent plus every bill, so listings can be compared on what living there costs
+   * Bills the rent already includes aren't added to the asking rent; the fair rent is
+   * for an exclusive let, so every bill is added to it.
+   * @param {object} opts - { askingPrice, fairValue, included (detectInclusions().items) } and billCost's options
+   * @returns {{items: Array<{item, label, monthly, detail, included}>, asking_total, fair_total}}
+   */
+  function monthlyCosts({ askingPrice, fairValue, included = [], ...opts }) {
+    const items = Object.keys(BILL_LABELS).map(item => ({
+      ...billCost(item, opts),
+      included: included.includes(item),
+    }));
+    const sum = rows => rows.reduce((total, row) => total + row.monthly, 0);
+    return {
+      items,
+      asking_total: askingPrice + sum(items.filter(row => !row.included)),
+      fair_total: fairValue + sum(items),
+    };
+  }
+
+  // Bill costs with the user's edits from the options page over the defaults
+  async function getBillCosts() {
+    const result = await chrome.storage.local.get(COSTS_KEY);
+    const saved = result[COSTS_KEY] || {};
+    const costs = {};
+    for (const [item, defaults] of Object.entries(DEFAULT_BILL_COSTS)) {
+      const values = saved[item];
+      costs[item] = Array.isArray(values) && values.length === defaults.length &&
+                    values.every(v => Number.isFinite(v) && v >= 0)
+        ? values
+        : defaults;
+    }
+    return costs;
+  }
+
+  // Save edited bill costs; null restores the defaults
+  async function setBillCosts(costs) {
+    if (costs) {
+      await chrome.storage.local.set({ [COSTS_KEY]: costs });
+    } else {
+      await chrome.storage.local.remove(COSTS_KEY);
+    }
+  }
+
+  // Expose globally for content.js and the options page
+  window.RFVCosts = {
+    BILL_LABELS,
+    DEFAULT_BILL_COSTS,
+    detectInclusions,
+    findCouncilTaxBand,
+    boroughForDistrict,
+    councilTaxMonthly,
+    billCost,
+    billsDeduction,
+    billsAdjustment,
+    monthlyCosts,
+    getBillCosts,
+    setBillCosts,
+  };
+
+})();
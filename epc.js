@@ -0,0 +1,205 @@
+/**
+ * EPC Ratings for Rent Fair Value Chrome Extension
+ * Reads the Energy Performance Certificate rating from listing text ("EPC rating: C (72)")
+ * or from the OCR text of the EPC graph image listings show, and checks it against the
+ * minimum energy-efficiency standard (MEES) for rented homes.
+ *
+ * A rating is { band, score, potential_band, potential_score }: band 'A'-'G', score the
+ * 1-100 energy efficiency rating behind it (null when only the band is known).
+ */
+
+(function() {
+  'use strict';
+
+  // Energy efficiency rating ranges for each band, best first
+  const BANDS = [
+    { band: 'A', min: 92 },
+    { band: 'B', min: 81 },
+    { band: 'C', min: 69 },
+    { band: 'D', min: 55 },
+    { band: 'E', min: 39 },
+    { band: 'F', min: 21 },
+    { band: 'G', min: 1 },
+  ];
+  const BAND_ORDER = BANDS.map(b => b.band).join('');
+
+  // Lowest band a home can be let at without a registered exemption (all tenancies since April 2020)
+  const MEES_MINIMUM = 'E';
+  // Minimum proposed for privately rented homes from 2030
+  const PROPOSED_MINIMUM = 'C';
+
+  // "EPC: C", "EPC rating C (72)", "EPC Rating = D/68", "Energy rating: 72 C", "EPC band c"
+  const RATING = /\b(?:EPC|energy\s+(?:performance\s+|efficiency\s+)?rating)(\s*(?:rating|band|grade))?\s*(?::|-|–|=|is|of)?\s*(?:(band\s*)?([A-G])(?:\s*\(\s*(\d{1,3})\s*\)|\s*[/-]?\s*(\d{1,3}))?|(\d{1,3})\s*\(?\s*([A-G])\)?)(?![A-Za-z\d])/gi;
+  const POTENTIAL = /\bpotential(?:\s+(?:energy\s+)?(?:rating|band))?\s*(?::|-|–|=|is|of)?\s*(?:band\s*)?([A-G])(?:\s*\(\s*(\d{1,3})\s*\)|\s*[/-]?\s*(\d{1,3}))?(?![A-Za-z\d])/i;
+
+  // Graph OCR: a rating is a lone number, maybe followed by its band ("72", "72C");
+  // band ranges ("(81-91)", "(92 plus)") and "2002/91/EC" are never lone numbers
+  const SCORE_WORD = /^[|'‘’.,:]*(\d{1,3})[A-G]?[|'‘’.,:]*$/;
+  const RANGE_NEIGHBOUR = /^(?:\(|plus\)?|\+|[-–]\S*)$/i;
+  const GRAPH_TEXT = /energy|efficien|potential|current|EPC/i;
+
+  /**
+   * Band for an energy efficiency rating
+   * @param {number} score - 1-100 (scores above 100, for homes that export energy, are A)
+   * @returns {string|null}
+   */
+  function bandForScore(score) {
+    if (!(score >= 1)) return null;
+    return BANDS.find(b => score >= b.min).band;
+  }
+
+  function validScore(value) {
+    const score = parseInt(value, 10);
+    return score >= 1 && score <= 150 ? score : null;
+  }
+
+  // Band and score from one pattern match; a score contradicting its band is dropped
+  function rating(letter, scoreText) {
+    const band = letter.toUpperCase();
+    const score = validScore(scoreText);
+    return { band, score: score && bandForScore(score) === band ? score : null };
+  }
+
+  /**
+   * EPC rating stated in listing text
+   * A lone letter must be a capital ("EPC: C", but not "EPC: call us"), unless after "band"/"rating".
+   * @param {string} text - Description, property phrase and key features
+   * @returns {object|null} { band, score, potential_band, potential_score }
+   */
+  function findRating(text) {
+    for (const match of (text || '').matchAll(RATING)) {
+      const [, label, bandWord, letter, bracketed, trailing, leading, after] = match;
+      let current;
+      if (letter) {
+        if (!label && !bandWord && letter !== letter.toUpperCase()) continue;
+        current = rating(letter, bracketed || trailing);
+      } else {
+        if (after !== after.toUpperCase()) continue;
+        current = rating(after, leading);
+      }
+
+      const potential = text.slice(match.index, match.index + 120).match(POTENTIAL);
+      const better = potential ? rating(potential[1], potential[2] || potential[3]) : null;
+      const valid = better && BAND_ORDER.indexOf(better.band) <= BAND_ORDER.indexOf(current.band);
+      return {
+        ...current,
+        potential_band: valid ? better.band : null,
+        potential_score: valid ? better.score : null,
+      };
+    }
+    return null;
+  }
+
+  // Lone numbers in graph OCR words, with where they are if the OCR gave boxes
+  function scoreCandidates(words) {
+    return words.flatMap((word, i) => {
+      const match = word.text.trim().match(SCORE_WORD);
+      const score = match && validScore(match[1]);
+      if (!score || score > 100) return [];
+      if (RANGE_NEIGHBOUR.test(words[i - 1]?.text.trim() || '') ||
+          RANGE_NEIGHBOUR.test(words[i + 1]?.text.trim() || '')) return [];
+      return [{ score, confidence: word.confidence ?? null, bbox: word.bbox || null }];
+    });
+  }
+
+  const centreX = bbox => (bbox.x0 + bbox.x1) / 2;
+
+  // Best candidate under a column header ("Current", "Potential"), or null
+  function scoreInColumn(candidates, header) {
+    const width = Math.max(header.bbox.x1 - header.bbox.x0, 40);
+    return candidates
+      .filter(c => c.bbox && c.bbox.y0 >= header.bbox.y0 && Math.abs(centreX(c.bbox) - centreX(header.bbox)) <= width)
+      .sort((a, b) => (b.confidence ?? 0) - (a.confidence ?? 0))[0] || null;
+  }
+
+  /**
+   * Current and potential rating from the OCR of an EPC graph image
+   * With word boxes, each number is matched to the "Current" / "Potential" column it sits
+   * under. Without, two numbers are taken as current and potential (the potential is never
+   * the lower); more than two can't be told apart.
+   * @param {string} text - OCR text
+   * @param {Array<{text, confidence, bbox}>} words - Tesseract words, if available
+   * @returns {object|null} { band, score, potential_band, potential_score, confidence }
+   *   confidence: lowest Tesseract confidence (0-100) of the numbers used, null without words
+   */
+  function readGraph(text, words = []) {
+    if (!GRAPH_TEXT.test(text || '')) return null;
+    const tokens = words.length > 0
+      ? words
+      : (text.match(/\S+/g) || []).map(token => ({ text: token }));
+    const candidates = scoreCandidates(tokens);
+
+    let current = null, potential = null;
+    const header = name => words.find(w => w.bbox && new RegExp(`^${name}$`, 'i').test(w.text.trim()));
+    const currentHeader = header('current');
+    const potentialHeader = header('potential');
+    if (currentHeader && potentialHeader) {
+      current = scoreInColumn(candidates, currentHeader);
+      potential = scoreInColumn(candidates, potentialHeader);
+    } else if (candidates.length === 1 || candidates.length === 2) {
+      [current, potential = null] = candidates;
+    }
+    if (!current) return null;
+
+    if (potential && potential.score < current.score) [current, potential] = [potential, current];
+    const confidences = [current, potential].filter(c => c?.confidence != null).map(c => c.confidence);
+    return {
+      band: bandForScore(current.score),
+      score: current.score,
+      potential_band: potential ? bandForScore(potential.score) : null,
+      potential_score: potential ? potential.score : null,
+      confidence: confidences.length > 0 ? Math.round(Math.min(...confidences)) : null,
+    };
+  }
+
+  // EPC certificates linked as PDFs can't be read here, only linked to
+  function isPdf(url) {
+    return /\.pdf(?:[?#]|$)/i.test(url || '');
+  }
+
+  /**
+   * Letting risk for landlords under the minimum energy-efficiency standard
+   * @param {string|null} band
+   * @returns {object|null} { level: 'high' | 'watch', message }, null for C or better (or unknown)
+   */
+  function complianceRisk(band) {
+    const index = BAND_ORDER.indexOf(band);
+    if (!band || index < 0) return null;
+    if (index > BAND_ORDER.indexOf(MEES_MINIMUM)) {
+      return {
+        level: 'high',
+        message: `EPC ${band} is below the legal minimum of ${MEES_MINIMUM} for rented homes. ` +
+                 'It can only be let with a registered exemption; ask the agent for it.',
+      };
+    }
+    if (index > BAND_ORDER.indexOf(PROPOSED_MINIMUM)) {
+      return {
+        level: 'watch',
+        message: `EPC ${band} is below the ${PROPOSED_MINIMUM} proposed for rented homes from 2030, ` +
+                 'so the landlord may need to make improvements.',
+      };
+    }
+    return null;
+  }
+
+  // "EPC C (72), potential B (84)"
+  function formatRating(epc) {
+    const part = (band, score) => score ? `${band} (${score})` : band;
+    let text = `EPC ${part(epc.band, epc.score)}`;
+    if (epc.potential_band) text += `, potential ${part(epc.potential_band, epc.potential_score)}`;
+    return text;
+  }
+
+  // Expose globally for content.js, the site adapters and the offscreen engine
+  window.RFVEpc = {
+    MEES_MINIMUM,
+    PROPOSED_MINIMUM,
+    bandForScore,
+    findRating,
+    readGraph,
+    isPdf,
+    complianceRisk,
+    formatRating,
+  };
+
+})();
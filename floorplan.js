@@ -0,0 +1,315 @@
+/**
+ * Floorplan Text Parsing for Rent Fair Value Chrome Extension
+ * Reads the quoted total area and the room schedule printed on floorplans from OCR text, e.g.
+ *   "Reception 5.20 x 4.10m (17'1 x 13'5)"
+ *   "Bedroom 1 14'9\" x 10'6\" (4.50 x 3.20m)"
+ * and checks the agent's quoted total against the sum of the rooms.
+ *
+ * Room dimensions leave out hallways, stairs, cupboards and walls, so measured rooms
+ * normally add up to 70-85% of a quoted gross internal area. A total far above
+ * that has usually been padded (or includes space that isn't living space).
+ */
+
+(function() {
+  'use strict';
+
+  const DEBUG = true;
+
+  function log(...args) {
+    if (DEBUG) console.log('[RFV]', ...args);
+  }
+
+  const SQFT_PER_SQM = 10.764;
+  const METRES_PER_FOOT = 0.3048;
+
+  // Fewer rooms than this and the sum says more about OCR than the agent's total
+  const MIN_ROOMS_TO_CHECK = 3;
+  // Quoted total this far above the room sum is more than unmeasured space explains
+  const PADDED_PCT = 40;
+  // Quoted total this far below the room sum means a total or a room was misread
+  const SHORT_PCT = 10;
+
+  // 5.20 x 4.10m, 5.20m x 4.10m, 5,20 X 4,10 m
+  const METRIC_DIMENSIONS = /(\d{1,2}[.,]\d{1,2})\s*m?\s*[x×*]\s*(\d{1,2}[.,]\d{1,2})\s*m?\b/gi;
+  // 17'1 x 13'5, 17'1" x 13'5", 17ft 1in x 13ft 5in, 12' x 10'
+  const IMPERIAL_DIMENSIONS = /(\d{1,2})\s*(?:['’′]|ft)\s*(?:(\d{1,2})\s*(?:["”″]|''|in)?)?\s*[x×*]\s*(\d{1,2})\s*(?:['’′]|ft)\s*(?:(\d{1,2})\s*(?:["”″]|''|in)?)?/gi;
+
+  // Labels printed next to areas that aren't rooms
+  const NOT_A_ROOM = /\b(?:total|approx|gross|internal|floor|not\s+to\s+scale|ceiling)\b/i;
+
+  const MIN_SIDE_M = 0.8;
+  const MAX_SIDE_M = 20;
+
+  function parseNumber(text) {
+    return parseFloat(text.replace(',', '.'));
+  }
+
+  function feetToMetres(feet, inches) {
+    return (parseInt(feet, 10) + (parseInt(inches, 10) || 0) / 12) * METRES_PER_FOOT;
+  }
+
+  // Room name from the text before a dimension, or '' if it isn't one
+  function roomName(text) {
+    const name = text.replace(/[^A-Za-z0-9& -]+/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!/[a-z]{3,}/i.test(name) || NOT_A_ROOM.test(name)) return '';
+    // Two-column floorplans can run a previous label into this one; keep the nearest words
+    return name.split(' ').slice(-4).join(' ');
+  }
+
+  // Dimension pairs on a line, metric and imperial, in reading order
+  function findDimensions(line) {
+    const metric = [...line.matchAll(METRIC_DIMENSIONS)].map(m => ({
+      index: m.index,
+      end: m.index + m[0].length,
+      metric: true,
+      width: parseNumber(m[1]),
+      length: parseNumber(m[2]),
+    }));
+    const imperial = [...line.matchAll(IMPERIAL_DIMENSIONS)].map(m => ({
+      index: m.index,
+      end: m.index + m[0].length,
+      metric: false,
+      width: feetToMetres(m[1], m[2]),
+      length: feetToMetres(m[3], m[4]),
+    }));
+    return [...metric, ...imperial].sort((a, b) => a.index - b.index);
+  }
+
+  const SQFT_PATTERNS = [
+    /(\d{1,4}(?:,\d{3})?)\s*(?:sq\.?\s*ft|sqft|square\s*feet)/gi,
+    /(\d{1,4}(?:,\d{3})?)\s*ft²/gi,
+    /total[:\s]+(\d{1,4}(?:,\d{3})?)\s*(?:sq\s*ft|sqft)/gi,
+    /approx[:\s]+(\d{1,4}(?:,\d{3})?)\s*(?:sq|ft)/gi,
+  ];
+  const SQM_PATTERNS = [
+    /(\d{1,4}(?:,\d{3})?)\s*(?:sq\.?\s*m|sqm|square\s*m|m²)/gi,
+    /(\d{1,4}(?:,\d{3})?)\s*m²/gi,
+    /total[:\s]+(\d{1,4}(?:,\d{3})?)\s*(?:sq\s*m|sqm|m)/gi,
+  ];
+
+  // Digits, separators and the letters OCR mistakes for digits ("1,O45", "l2,450")
+  const NUMBER_LIKE = /^[\dOoIl|S,.]+$/;
+
+  // Word confidence (0-100) below which a read size is flagged for checking
+  const LOW_WORD_CONFIDENCE = 60;
+
+  /**
+   * Total floor area quoted in floorplan text, with the text it was read from
+   * A figure glued to a digit-like word has lost its leading digits ("1,O45 sq ft" matches
+   * as 45); it is passed over, and returned with sqft null if nothing else is found.
+   * @returns {{sqft: number|null, snippet: string, cut_off: boolean}|null} null if no size pattern matched
+   */
+  function findSize(text) {
+    let cutOff = null;
+    const candidates = [
+      ...SQFT_PATTERNS.map(pattern => ({ pattern, toSqft: n => n, min: 100, max: 15000 })),
+      ...SQM_PATTERNS.map(pattern => ({ pattern, toSqft: n => Math.round(n * SQFT_PER_SQM), min: 10, max: 1500 })),
+    ];
+
+    for (const { pattern, toSqft, min, max } of candidates) {
+      for (const match of (text || '').matchAll(pattern)) {
+        const numberStart = match.index + match[0].indexOf(match[1]);
+        const word = /\S*$/.exec(text.slice(0, numberStart))[0];
+        if (word && NUMBER_LIKE.test(word)) {
+          cutOff = cutOff || { sqft: null, snippet: (word + text.slice(numberStart, match.index + match[0].length)).trim(), cut_off: true };
+          continue;
+        }
+        const value = parseInt(match[1].replace(',', ''), 10);
+        if (value >= min && value <= max) {
+          const sqft = toSqft(value);
+          log(' Found size via OCR:', match[0].trim(), '-> sqft:', sqft);
+          return { sqft, snippet: match[0].trim(), cut_off: false };
+        }
+      }
+    }
+
+    if (cutOff) log(' Size in OCR text looks cut off:', cutOff.snippet);
+    else log(' No size pattern found in OCR text');
+    return cutOff;
+  }
+
+  // Total floor area from floorplan text, in sqft (null if none found)
+  function parseSize(text) {
+    return findSize(text)?.sqft ?? null;
+  }
+
+  /**
+   * What a size was read from, for the sidebar to show
+   * @param {string} text - OCR text of one read
+   * @param {Array<{text, confidence, bbox}>} words - Tesseract words of the same read
+   * @returns {object|null} { sqft, snippet, cut_off, words: [{text, confidence}], confidence, bbox }
+   *   confidence: the least confident word of the snippet (null if its words weren't located);
+   *   bbox: where those words are in the image that was read
+   */
+  function sizeEvidence(text, words = []) {
+    const found = findSize(text);
+    if (!found) return null;
+
+    const matched = findWords(words, found.snippet);
+    return {
+      ...found,
+      words: matched.map(w => ({ text: w.text, confidence: Math.round(w.confidence) })),
+      confidence: matched.length > 0 ? Math.round(Math.min(...matched.map(w => w.confidence))) : null,
+      bbox: matched.length > 0 ? {
+        x0: Math.min(...matched.map(w => w.bbox.x0)),
+        y0: Math.min(...matched.map(w => w.bbox.y0)),
+        x1: Math.max(...matched.map(w => w.bbox.x1)),
+        y1: Math.max(...matched.map(w => w.bbox.y1)),
+      } : null,
+    };
+  }
+
+  // Shortest run of consecutive words whose text contains the snippet (spacing ignored)
+  function findWords(words, snippet) {
+    const target = snippet.replace(/\s+/g, '');
+    for (let i = 0; i < words.length; i++) {
+      let joined = '';
+      for (let j = i; j < words.length && joined.length < target.length + 40; j++) {
+        joined += words[j].text.replace(/\s+/g, '');
+        if (joined.includes(target)) {
+          // The run can start with a word before the snippet; drop those from the front
+          let start = i;
+          while (start < j && words.slice(start + 1, j + 1).map(w => w.text.replace(/\s+/g, '')).join('').includes(target)) {
+            start++;
+          }
+          return words.slice(start, j + 1);
+        }
+      }
+    }
+    return [];
+  }
+
+  // Why a size read needs checking, for the sidebar (null if it looks sound)
+  function formatSizeWarning(evidence) {
+    if (evidence.cut_off) {
+      return `Floorplan figure "${evidence.snippet}" looks misread, so it wasn't used`;
+    }
+    if (evidence.confidence != null && evidence.confidence < LOW_WORD_CONFIDENCE) {
+      return `"${evidence.snippet}" was read with ${evidence.confidence}% confidence - check it against the floorplan`;
+    }
+    return null;
+  }
+
+  /**
+   * Rooms listed on a floorplan
+   * A name with no dimensions on its line is kept for the next line, since OCR often
+   * splits a label from its measurements. Metric figures win over the imperial
+   * conversion of the same room; a room repeated on several images counts once.
+   * @param {string} text - OCR text (all floorplan images joined)
+   * @returns {Array<{name, width_m, length_m, sqm, sqft}>}
+   */
+  function parseRooms(text) {
+    const rooms = [];
+    const seen = new Set();
+    let pendingName = '';
+
+    for (const line of (text || '').split('\n')) {
+      const dimensions = findDimensions(line);
+      if (dimensions.length === 0) {
+        pendingName = roomName(line);
+        continue;
+      }
+
+      let cursor = 0;
+      let current = null;
+      for (const d of dimensions) {
+        const name = roomName(line.slice(cursor, d.index));
+        cursor = d.end;
+        if (!name && current) {
+          // Same room in the other units, e.g. "(17'1 x 13'5)" after "5.20 x 4.10m"
+          if (d.metric && !current.metric) Object.assign(current, d);
+          continue;
+        }
+        current = { name: name || pendingName, ...d };
+        pendingName = '';
+        if (current.name) rooms.push(current);
+      }
+    }
+
+    return rooms
+      .filter(r => [r.width, r.length].every(side => side >= MIN_SIDE_M && side <= MAX_SIDE_M))
+      .map(r => {
+        const sqm = r.width * r.length;
+        return {
+          name: r.name,
+          width_m: Math.round(r.width * 100) / 100,
+          length_m: Math.round(r.length * 100) / 100,
+          sqm: Math.round(sqm * 10) / 10,
+          sqft: Math.round(sqm * SQFT_PER_SQM),
+        };
+      })
+      .filter(room => {
+        const key = `${room.name.toLowerCase()}|${room.width_m}|${room.length_m}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Compare the quoted total with the sum of the rooms
+   * @param {Array} rooms - parseRooms result
+   * @param {number|null} claimedSqft - Total quoted on the listing or floorplan (null if none)
+   * @param {number} bedrooms - Listed bedrooms; a schedule missing some wasn't fully read
+   * @returns {{status, rooms_sqft, claimed_sqft, gap_pct}}
+   *   status: 'consistent' | 'padded' | 'short' | 'incomplete' | 'unchecked'
+   */
+  function checkClaimedTotal(rooms, claimedSqft, bedrooms = 0) {
+    const roomsSqft = rooms.reduce((sum, room) => sum + room.sqft, 0);
+    const result = { status: 'unchecked', rooms_sqft: roomsSqft, claimed_sqft: claimedSqft || null, gap_pct: null };
+    if (!claimedSqft || rooms.length < MIN_ROOMS_TO_CHECK) return result;
+
+    const bedroomsRead = rooms.filter(room => /\bbed/i.test(room.name)).length;
+    if (bedroomsRead < bedrooms) {
+      result.status = 'incomplete';
+      return result;
+    }
+
+    result.gap_pct = Math.round((claimedSqft - roomsSqft) / roomsSqft * 100);
+    result.status = result.gap_pct > PADDED_PCT ? 'padded' :
+                    result.gap_pct < -SHORT_PCT ? 'short' : 'consistent';
+    return result;
+  }
+
+  /**
+   * Rooms and total check for one listing
+   * @returns {object|null} { rooms, status, rooms_sqft, claimed_sqft, gap_pct }, null if no rooms were read
+   */
+  function parseFloorplan(text, { claimedSqft = null, bedrooms = 0 } = {}) {
+    const rooms = parseRooms(text);
+    if (rooms.length === 0) return null;
+    return { rooms, ...checkClaimedTotal(rooms, claimedSqft, bedrooms) };
+  }
+
+  // One-line summary of a parseFloorplan result for the sidebar and compare page
+  function formatRoomCheck(check) {
+    const fmt = n => n.toLocaleString('en-GB');
+    const measured = `${fmt(check.rooms_sqft)} sqft`;
+    switch (check.status) {
+      case 'padded':
+        return `Quoted ${fmt(check.claimed_sqft)} sqft is ${check.gap_pct}% more than the rooms add up to (${measured})`;
+      case 'short':
+        return `Quoted ${fmt(check.claimed_sqft)} sqft is less than the rooms add up to (${measured}) - a figure may be misread`;
+      case 'consistent':
+        return `Quoted ${fmt(check.claimed_sqft)} sqft fits the rooms (${measured} measured)`;
+      case 'incomplete':
+        return `Rooms read add up to ${measured}; not every bedroom was read, so the quoted total isn't checked`;
+      default:
+        return `Rooms add up to ${measured}`;
+    }
+  }
+
+  // Expose globally for content.js, the offscreen engine and the compare page
+  window.RFVFloorplan = {
+    parseSize,
+    findSize,
+    sizeEvidence,
+    formatSizeWarning,
+    LOW_WORD_CONFIDENCE,
+    parseRooms,
+    checkClaimedTotal,
+    parseFloorplan,
+    formatRoomCheck,
+  };
+
+})();
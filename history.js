@@ -0,0 +1,261 @@
+/**
+ * Viewing History & Watchlist for Rent Fair Value Chrome Extension
+ * Persists every analysis in chrome.storage.local so past listings can be revisited
+ *
+ * Storage layout (one key per property):
+ * - rfv_property:<site>:<propertyId> -> {
+ *     site, property_id, url, address, postcode_district, beds, baths,
+ *     asking_price, fair_value, premium_pct, size_sqft, size_source, model_version,
+ *     first_seen, last_seen, saved, saved_at,
+ *     price_history: [{ price, fair_value, first_seen, last_seen }]  // one item per distinct asking price
+ *   }
+ * - rfv_overrides:<site>:<propertyId> -> {
+ *     size_sqft, beds, baths, property_type, furnished, floor_levels, outdoor_space
+ *   }  // sidebar corrections to extracted values; only fields the user changed
+ * - rfv_comparison:<site>:<propertyId> -> {
+ *     site, property_id, url, postcode_district, beds, asking_price, recorded_at,
+ *     champion: { version, fair_value, assessment }, challenger: { version, fair_value, assessment },
+ *     delta, delta_pct
+ *   }  // analyst mode: latest champion/challenger valuation of the listing
+ *
+ * Eviction, whenever an analysis is recorded: listings not on the watchlist are dropped
+ * (with their corrections) once unseen for MAX_AGE_DAYS, then the least recently seen
+ * beyond MAX_ENTRIES. Saved listings are kept until removed.
+ *
+ * Used by content.js (record + save button) and saved.html (watchlist page).
+ */
+
+(function() {
+  'use strict';
+
+  const KEY_PREFIX = 'rfv_property:';
+  const OVERRIDES_PREFIX = 'rfv_overrides:';
+  const COMPARISON_PREFIX = 'rfv_comparison:';
+
+  const MAX_ENTRIES = 1000;
+  const MAX_AGE_DAYS = 180;
+
+  function storageKey(site, propertyId) {
+    return `${KEY_PREFIX}${site}:${propertyId}`;
+  }
+
+  function overridesKey(site, propertyId) {
+    return `${OVERRIDES_PREFIX}${site}:${propertyId}`;
+  }
+
+  function comparisonKey(site, propertyId) {
+    return `${COMPARISON_PREFIX}${site}:${propertyId}`;
+  }
+
+  /**
+   * Get the stored entry for a property
+   * @param {string} site - Site identifier (e.g. 'rightmove')
+   * @param {string} propertyId - ID from extractPropertyId
+   * @returns {Promise<object|null>}
+   */
+  async function getEntry(site, propertyId) {
+    if (!site || !propertyId) return null;
+    const key = storageKey(site, propertyId);
+    const result = await chrome.storage.local.get(key);
+    return result[key] || null;
+  }
+
+  /**
+   * Record (or refresh) an analysis for a property
+   * Keeps first_seen and the saved flag from any previous visit, and appends to
+   * price_history when the asking price differs from the last one seen, then evicts
+   * @param {string} site - Site identifier
+   * @param {string} propertyId - ID from extractPropertyId
+   * @param {object} details - Analysis fields to store
+   * @returns {Promise<object|null>} The stored entry
+   */
+  async function recordAnalysis(site, propertyId, details) {
+    if (!site || !propertyId) return null;
+    const now = new Date().toISOString();
+    const previous = await getEntry(site, propertyId);
+
+    const entry = {
+      ...previous,
+      ...details,
+      site,
+      property_id: propertyId,
+      first_seen: previous?.first_seen || now,
+      last_seen: now,
+      saved: previous?.saved || false,
+      saved_at: previous?.saved_at || null,
+      price_history: updatePriceHistory(previous, details, now),
+    };
+
+    await chrome.storage.local.set({ [storageKey(site, propertyId)]: entry });
+    await evict();
+    return entry;
+  }
+
+  async function evict() {
+    const cutoff = new Date(Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const unsaved = (await listEntries()).filter(entry => !entry.saved);
+
+    // Most recently seen first, so everything past MAX_ENTRIES is the least recent
+    const stale = unsaved.filter((entry, i) => i >= MAX_ENTRIES || (entry.last_seen || '') < cutoff);
+    if (stale.length === 0) return;
+
+    await chrome.storage.local.remove(stale.flatMap(entry => [
+      storageKey(entry.site, entry.property_id),
+      overridesKey(entry.site, entry.property_id),
+    ]));
+  }
+
+  function updatePriceHistory(previous, details, now) {
+    const history = (previous?.price_history || []).map(item => ({ ...item }));
+
+    // Entries recorded before price tracking only have the last asking price
+    if (history.length === 0 && previous?.asking_price) {
+      history.push({
+        price: previous.asking_price,
+        fair_value: previous.fair_value,
+        first_seen: previous.first_seen,
+        last_seen: previous.last_seen,
+      });
+    }
+
+    if (!details.asking_price) return history;
+
+    const last = history[history.length - 1];
+    if (last && last.price === details.asking_price) {
+      last.last_seen = now;
+      last.fair_value = details.fair_value ?? last.fair_value;
+    } else {
+      history.push({
+        price: details.asking_price,
+        fair_value: details.fair_value,
+        first_seen: now,
+        last_seen: now,
+      });
+    }
+    return history;
+  }
+
+  /**
+   * Latest asking-price change for an entry, if the price has ever changed
+   * premium_vs_stored compares the current price with the fair value stored
+   * alongside the previous price
+   * @returns {{previous_price: number, current_price: number, change: number,
+   *            since: string, stored_fair_value: number, premium_vs_stored: number|null}|null}
+   */
+  function getPriceChange(entry) {
+    const history = entry?.price_history || [];
+    if (history.length < 2) return null;
+
+    const current = history[history.length - 1];
+    const previous = history[history.length - 2];
+    const storedFairValue = previous.fair_value;
+
+    return {
+      previous_price: previous.price,
+      current_price: current.price,
+      change: current.price - previous.price,
+      since: previous.last_seen,
+      stored_fair_value: storedFairValue,
+      premium_vs_stored: storedFairValue
+        ? Math.round((current.price / storedFairValue - 1) * 100 * 10) / 10
+        : null,
+    };
+  }
+
+  /**
+   * Add or remove a property from the watchlist
+   * @returns {Promise<object|null>} The updated entry (null if never analysed)
+   */
+  async function setSaved(site, propertyId, saved) {
+    const entry = await getEntry(site, propertyId);
+    if (!entry) return null;
+
+    entry.saved = saved;
+    entry.saved_at = saved ? new Date().toISOString() : null;
+    await chrome.storage.local.set({ [storageKey(site, propertyId)]: entry });
+    return entry;
+  }
+
+  /**
+   * List stored properties, most recently seen first
+   * @param {object} options
+   * @param {boolean} options.savedOnly - Only return watchlist entries
+   * @returns {Promise<object[]>}
+   */
+  async function listEntries({ savedOnly = false } = {}) {
+    const all = await chrome.storage.local.get(null);
+    return Object.entries(all)
+      .filter(([key, entry]) => key.startsWith(KEY_PREFIX) && (!savedOnly || entry.saved))
+      .map(([, entry]) => entry)
+      .sort((a, b) => (b.last_seen || '').localeCompare(a.last_seen || ''));
+  }
+
+  async function removeEntry(site, propertyId) {
+    await chrome.storage.local.remove([storageKey(site, propertyId), overridesKey(site, propertyId)]);
+  }
+
+  /**
+   * Sidebar corrections for a property (kept separately so they apply before analysis)
+   * @returns {Promise<object>} Only the fields the user changed ({} if none)
+   */
+  async function getOverrides(site, propertyId) {
+    if (!site || !propertyId) return {};
+    const key = overridesKey(site, propertyId);
+    const result = await chrome.storage.local.get(key);
+    return result[key] || {};
+  }
+
+  // Save corrections; an empty object clears them
+  async function setOverrides(site, propertyId, overrides) {
+    if (!site || !propertyId) return;
+    const key = overridesKey(site, propertyId);
+    if (Object.keys(overrides).length === 0) {
+      await chrome.storage.local.remove(key);
+    } else {
+      await chrome.storage.local.set({ [key]: overrides });
+    }
+  }
+
+  // Analyst mode: keep the latest champion/challenger valuation of a listing
+  async function recordComparison(site, propertyId, comparison) {
+    if (!site || !propertyId) return;
+    await chrome.storage.local.set({
+      [comparisonKey(site, propertyId)]: {
+        ...comparison,
+        site,
+        property_id: propertyId,
+        recorded_at: new Date().toISOString(),
+      },
+    });
+  }
+
+  // Largest disagreement first
+  async function listComparisons() {
+    const all = await chrome.storage.local.get(null);
+    return Object.entries(all)
+      .filter(([key]) => key.startsWith(COMPARISON_PREFIX))
+      .map(([, comparison]) => comparison)
+      .sort((a, b) => Math.abs(b.delta_pct) - Math.abs(a.delta_pct));
+  }
+
+  async function clearComparisons() {
+    const all = await chrome.storage.local.get(null);
+    await chrome.storage.local.remove(Object.keys(all).filter(key => key.startsWith(COMPARISON_PREFIX)));
+  }
+
+  // Expose globally for content.js and extension pages
+  window.RFVHistory = {
+    getEntry,
+    recordAnalysis,
+    setSaved,
+    listEntries,
+    removeEntry,
+    getPriceChange,
+    getOverrides,
+    setOverrides,
+    recordComparison,
+    listComparisons,
+    clearComparisons,
+  };
+
+})();
@@ -0,0 +1,150 @@
+/**
+ * Model Registry for Rent Fair Value Chrome Extension
+ * Reads the bundled model manifest and loads the version picked on the options page,
+ * so a new model can ship next to the current one and be switched without a code change.
+ *
+ * api/models.json:
+ *   {
+ *     default: 'v20',
+ *     models: [{
+ *       version, label,                  // e.g. 'v20', 'XGBoost V20'
+ *       model, features, intervals,      // paths from the extension root (intervals optional)
+ *       trained,                         // ISO date or null if not recorded
+ *       coverage: ['SW3', ...],          // districts with good training data
+ *       metrics: { n_train, accuracy_pct, median_error_pct }
+ *     }]
+ *   }
+ *
+ * Selected version: chrome.storage.local rfv_model_version (absent = manifest default)
+ * Offscreen documents can't read chrome.storage, so callers there pass versions explicitly.
+ * Analyst mode: chrome.storage.local rfv_analyst -> { enabled, challenger }
+ *   The selected version is the champion; the challenger runs on the same features
+ *   so a retrained model can be checked against it before switching.
+ */
+
+(function() {
+  'use strict';
+
+  const MANIFEST_URL = chrome.runtime.getURL('api/models.json');
+  const SELECTED_KEY = 'rfv_model_version';
+  const ANALYST_KEY = 'rfv_analyst';
+
+  let manifestPromise = null;
+  const predictors = {};  // version -> Promise<XGBoostPredictor>
+
+  function getManifest() {
+    if (!manifestPromise) {
+      manifestPromise = fetch(MANIFEST_URL).then(res => res.json()).catch(e => {
+        manifestPromise = null;  // Retry on the next call
+        throw e;
+      });
+    }
+    return manifestPromise;
+  }
+
+  async function listModels() {
+    return (await getManifest()).models;
+  }
+
+  async function getDefaultVersion() {
+    return (await getManifest()).default;
+  }
+
+  async function getSelectedVersion() {
+    const result = await chrome.storage.local.get(SELECTED_KEY);
+    return result[SELECTED_KEY] || null;
+  }
+
+  // null goes back to the manifest default
+  async function setSelectedVersion(version) {
+    if (version) {
+      await chrome.storage.local.set({ [SELECTED_KEY]: version });
+    } else {
+      await chrome.storage.local.remove(SELECTED_KEY);
+    }
+  }
+
+  async function getAnalystSettings() {
+    const result = await chrome.storage.local.get(ANALYST_KEY);
+    return { enabled: false, challenger: null, ...result[ANALYST_KEY] };
+  }
+
+  async function setAnalystSettings(settings) {
+    await chrome.storage.local.set({ [ANALYST_KEY]: settings });
+  }
+
+  /**
+   * Challenger manifest entry for analyst mode
+   * @returns {Promise<object|null>} null when analyst mode is off or the
+   *          challenger is the model already in use
+   */
+  async function getChallenger() {
+    const settings = await getAnalystSettings();
+    if (!settings.enabled || !settings.challenger) return null;
+    const [champion, challenger] = await Promise.all([getModel(), getModel(settings.challenger)]);
+    if (challenger.version !== settings.challenger || challenger.version === champion.version) return null;
+    return challenger;
+  }
+
+  /**
+   * Manifest entry for a version
+   * @param {string|null} version - null for the selected version (or the default)
+   * @returns {Promise<object>} Falls back to the default if the version is no longer bundled
+   */
+  async function getModel(version = null) {
+    const manifest = await getManifest();
+    const wanted = version || await getSelectedVersion() || manifest.default;
+    return manifest.models.find(m => m.version === wanted) ||
+           manifest.models.find(m => m.version === manifest.default);
+  }
+
+  /**
+   * Loaded predictor for a version, with its manifest entry as predictor.info
+   * Each version is loaded once per page.
+   * @param {string|null} version - null for the selected version
+   * @returns {Promise<XGBoostPredictor>}
+   */
+  async function loadPredictor(version = null) {
+    const info = await getModel(version);
+    if (!predictors[info.version]) {
+      predictors[info.version] = (async () => {
+        const predictor = new XGBoostPredictor();
+        await predictor.load(
+          chrome.runtime.getURL(info.model),
+          chrome.runtime.getURL(info.features),
+          info.intervals ? chrome.runtime.getURL(info.intervals) : null
+        );
+        predictor.info = info;
+        return predictor;
+      })().catch(e => {
+        delete predictors[info.version];
+        throw e;
+      });
+    }
+    return predictors[info.version];
+  }
+
+  // Call back when the options page switches model or changes analyst mode
+  function onSettingsChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && (SELECTED_KEY in changes || ANALYST_KEY in changes)) {
+        callback();
+      }
+    });
+  }
+
+  // Expose globally for content.js and extension pages
+  window.RFVModels = {
+    listModels,
+    getModel,
+    getDefaultVersion,
+    getSelectedVersion,
+    setSelectedVersion,
+    loadPredictor,
+    getAnalystSettings,
+    setAnalystSettings,
+    getChallenger,
+    onSettingsChanged,
+  };
+
+})();
@@ -0,0 +1,123 @@
+/**
+ * Floorplan and EPC Graph OCR for Rent Fair Value Chrome Extension
+ * The reads behind the offscreen engine's ocr and epc ops, shared with content.js so a
+ * page that has to run Tesseract itself (the engine's worker couldn't start) reads images
+ * the same way. Floorplans are preprocessed and retried until a size is found, and the
+ * size's evidence includes a snapshot of the words it was read from wherever the read ran.
+ * Callers bring their own Tesseract worker; page segmentation mode is set per read, so a
+ * worker must only run one of these at a time.
+ */
+
+(function() {
+  'use strict';
+
+  // Page segmentation modes tried when the first read finds no size. The worker's own
+  // default (SINGLE_BLOCK) is the first read.
+  const RETRY_MODES = [
+    Tesseract.PSM.SPARSE_TEXT,  // Labels scattered around the drawing
+    Tesseract.PSM.AUTO,         // Plans with a separate text panel
+  ];
+
+  async function recognize(worker, image, mode) {
+    await worker.setParameters({ tessedit_pageseg_mode: mode });
+    return (await worker.recognize(image)).data;
+  }
+
+  /**
+   * OCR a floorplan, retrying until a size is found
+   * 1. Preprocessed image (upscaled, binarised, straightened) as one block
+   * 2. Closer crops of the lines mentioning "Total"/"Approx"
+   * 3. The whole image again with each RETRY_MODES segmentation
+   * Only one full-page text is returned, so rooms aren't counted once per read.
+   * @param {Tesseract.Worker} worker
+   * @param {Blob} blob - Image as fetched
+   * @returns {Promise<{text, confidence, pass, evidence}>} confidence: Tesseract's mean word confidence
+   *          (0-100) for the read that found the size
+   */
+  async function recognizeFloorplan(worker, blob) {
+    let image = blob;
+    let canvas = null;  // Only a preprocessed image can be snapshotted for evidence
+    try {
+      const prepared = await window.RFVPreprocess.prepare(blob);
+      image = canvas = prepared.canvas;
+      console.log(`[RFV OCR] Preprocessed floorplan: scale=${prepared.scale.toFixed(2)}, skew=${prepared.skew}°`);
+    } catch (e) {
+      console.warn('[RFV OCR] Preprocessing failed, reading the original image:', e.message);
+    }
+
+    const first = await recognize(worker, image, Tesseract.PSM.SINGLE_BLOCK);
+    if (window.RFVFloorplan.parseSize(first.text)) {
+      return { text: first.text, confidence: first.confidence, pass: 'full', evidence: await evidenceFor(first, canvas) };
+    }
+
+    if (canvas) {
+      for (const crop of window.RFVPreprocess.cropTotalLines(canvas, first.lines || [])) {
+        const read = await recognize(worker, crop, Tesseract.PSM.SINGLE_BLOCK);
+        if (window.RFVFloorplan.parseSize(read.text)) {
+          return {
+            text: first.text + '\n' + read.text,
+            confidence: read.confidence,
+            pass: 'total_crop',
+            evidence: await evidenceFor(read, crop),
+          };
+        }
+      }
+    }
+
+    for (const mode of RETRY_MODES) {
+      const read = await recognize(worker, image, mode);
+      if (window.RFVFloorplan.parseSize(read.text)) {
+        return { text: read.text, confidence: read.confidence, pass: `psm_${mode}`, evidence: await evidenceFor(read, canvas) };
+      }
+    }
+
+    // No size, but a misread figure ("1,O45 sq ft") is still worth showing
+    return { text: first.text, confidence: first.confidence, pass: null, evidence: await evidenceFor(first, canvas) };
+  }
+
+  /**
+   * OCR an EPC graph: the ratings are short labels spread over the chart
+   * The scores are printed on coloured arrows, which binarising can blank out, so the
+   * original image is read first and the preprocessed one only if no rating was found.
+   * @param {Tesseract.Worker} worker
+   * @param {Blob} blob - Image as fetched
+   * @returns {Promise<{text, confidence, rating}>}
+   */
+  async function recognizeEpcGraph(worker, blob) {
+    const first = await recognize(worker, blob, Tesseract.PSM.SPARSE_TEXT);
+    const rating = window.RFVEpc.readGraph(first.text, first.words || []);
+    if (rating) return { text: first.text, confidence: first.confidence, rating };
+
+    try {
+      const { canvas } = await window.RFVPreprocess.prepare(blob);
+      const read = await recognize(worker, canvas, Tesseract.PSM.SPARSE_TEXT);
+      return { text: read.text, confidence: read.confidence, rating: window.RFVEpc.readGraph(read.text, read.words || []) };
+    } catch (e) {
+      console.warn('[RFV OCR] Preprocessing EPC graph failed:', e.message);
+      return { text: first.text, confidence: first.confidence, rating: null };
+    }
+  }
+
+  // Size evidence for one read, with a snapshot of its words from the image that was read
+  async function evidenceFor(data, canvas) {
+    const evidence = window.RFVFloorplan.sizeEvidence(data.text, data.words || []);
+    if (!evidence) return null;
+
+    const { bbox, ...rest } = evidence;
+    let image = null;
+    if (canvas && bbox) {
+      image = await window.RFVPreprocess.snapshot(canvas, bbox).catch(e => {
+        console.warn('[RFV OCR] Evidence snapshot failed:', e.message);
+        return null;
+      });
+    }
+    return { ...rest, image };
+  }
+
+  // Expose globally for content.js and the offscreen engine
+  window.RFVOcr = {
+    recognizeFloorplan,
+    recognizeEpcGraph,
+  };
+
+})();
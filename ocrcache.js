@@ -0,0 +1,127 @@
+/**
+ * Floorplan OCR Cache for Rent Fair Value Chrome Extension
+ * Keeps OCR results in IndexedDB so revisiting a listing (or SPA navigation back to it)
+ * doesn't read its floorplans again. Used by the offscreen engine, so the database
+ * belongs to the extension and is shared by every tab.
+ *
+ * Database rfv_ocr, store 'results', keyed by the SHA-256 of the image bytes:
+ *   floorplans: { hash, url, version, text, sqft, floors, confidence, pass, evidence, created_at, last_used }
+ *   EPC graphs: { hash, url, version, kind: 'epc', text, confidence, rating, created_at, last_used }
+ * A new image at the same URL gets a new hash and is read again; the same image
+ * under another URL (resized CDN links) is a hit. Entries from an older
+ * OCR_VERSION are treated as misses.
+ *
+ * Eviction, whenever a result is stored: entries unused for MAX_AGE_DAYS are dropped,
+ * then the least recently used beyond MAX_ENTRIES.
+ */
+
+(function() {
+  'use strict';
+
+  const DB_NAME = 'rfv_ocr';
+  const STORE = 'results';
+
+  // Bump when preprocessing, OCR passes or the stored result change, so earlier reads are redone
+  const OCR_VERSION = 2;
+
+  const MAX_ENTRIES = 500;
+  const MAX_AGE_DAYS = 90;
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE, { keyPath: 'hash' });
+          store.createIndex('last_used', 'last_used');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(e => {
+        dbPromise = null;  // Retry on the next call
+        throw e;
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run fn(store) in one transaction; resolves with the result of the request fn returns
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async function hashBlob(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Cached OCR result for an image
+   * Marks the entry as used, so floorplans of listings still being viewed aren't evicted.
+   * @param {string} hash - hashBlob of the image
+   * @param {string} kind - 'floorplan' or 'epc'; an image read as the other kind is a miss
+   * @returns {Promise<object|null>}
+   */
+  async function get(hash, kind = 'floorplan') {
+    const entry = await withStore('readonly', store => store.get(hash));
+    if (!entry || entry.version !== OCR_VERSION || (entry.kind || 'floorplan') !== kind) return null;
+    entry.last_used = Date.now();
+    await withStore('readwrite', store => store.put(entry));
+    return entry;
+  }
+
+  /**
+   * Store (or replace) the OCR result for an image, then evict
+   * @param {string} hash - hashBlob of the image
+   * @param {string} url - Where the image was fetched from (kept for debugging)
+   * @param {object} result - { text, sqft, floors, confidence, pass, evidence },
+   *   or { kind: 'epc', text, confidence, rating }
+   */
+  async function put(hash, url, result) {
+    const now = Date.now();
+    await withStore('readwrite', store => store.put({
+      ...result,
+      hash,
+      url,
+      version: OCR_VERSION,
+      created_at: now,
+      last_used: now,
+    }));
+    await evict();
+  }
+
+  function evict() {
+    const cutoff = Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    return withStore('readwrite', store => {
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - MAX_ENTRIES;
+        // Least recently used first; stop at the first entry that is recent and within the limit
+        store.index('last_used').openCursor().onsuccess = event => {
+          const cursor = event.target.result;
+          if (!cursor || (excess <= 0 && cursor.value.last_used >= cutoff)) return;
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        };
+      };
+    });
+  }
+
+  // Expose globally for the offscreen engine
+  window.RFVOcrCache = {
+    hashBlob,
+    get,
+    put,
+  };
+
+})();
@@ -0,0 +1,214 @@
+/**
+ * Offscreen Engine for Rent Fair Value Chrome Extension
+ * Runs model prediction and floorplan OCR in an extension-owned document instead of
+ * the listing page, so it doesn't compete with the site's own JavaScript and the model
+ * is parsed once and kept loaded for every tab.
+ *
+ * background.js creates this document and forwards content script requests:
+ *   { target: 'offscreen', op, payload } -> { success: true, data } | { success: false, error, code }
+ *
+ * Ops:
+ * - load  { versions }                          -> manifest entries of the loaded models
+ * - value { version, challengerVersion, items } -> one result per item:
+ *     items: [{ features, askingPrice, postcodeDistrict, explain }]  (features from encodeForMessage)
+ *     result: { estimate, drivers, challenger }
+ * - ocr   { url, refresh }                      -> { text, sqft, floors, confidence, pass, evidence, cached }
+ *     pass: which read found a size ('full', 'total_crop', 'psm_<mode>'), null if none did
+ *     evidence: what the size was read from (RFVFloorplan.sizeEvidence plus image, a PNG
+ *     data URL of those words), null if no size pattern matched
+ *     Results are cached by image content (see ocrcache.js); refresh reads the image again.
+ * - epc   { url, refresh }                      -> { text, confidence, rating, cached }
+ *     rating: RFVEpc.readGraph of an EPC graph image, null if no rating could be read
+ *
+ * Only chrome.runtime is available here, so model versions come from the caller.
+ */
+
+// Tesseract's worker and core must be local: extension pages can't run workers from a CDN.
+// They come from the same tesseract.js release as vendor/tesseract.min.js (5.1.1); with the
+// LSTM engine the worker loads tesseract-core[-simd]-lstm.wasm.js from corePath.
+// The English data is bundled too (@tesseract.js-data/eng 4.0.0_best_int, the LSTM data
+// the worker would otherwise download from jsDelivr), so offscreen OCR makes no requests.
+const TESSERACT_OPTIONS = {
+  workerPath: chrome.runtime.getURL('vendor/worker.min.js'),
+  corePath: chrome.runtime.getURL('vendor/tesseract-core'),
+  langPath: chrome.runtime.getURL('vendor/tessdata'),
+  workerBlobURL: false,
+};
+
+// A worker script that fails to load can leave createWorker pending rather than rejecting,
+// which would hold up every queued read. Kept under the content script's per-image timeout
+// so the caller still has time to fall back to reading in the page.
+const WORKER_START_TIMEOUT = 20000;
+
+let ocrWorker = null;  // Promise<Tesseract.Worker>, reused across requests
+let ocrQueue = Promise.resolve();  // Page segmentation mode is worker-wide, so reads run one at a time
+
+// ============================================
+// MODEL
+// ============================================
+
+async function loadModels({ versions }) {
+  const predictors = await Promise.all(versions.map(version => RFVModels.loadPredictor(version)));
+  return predictors.map(p => p.info);
+}
+
+async function value({ version, challengerVersion, items }) {
+  const predictor = await RFVModels.loadPredictor(version);
+  const challenger = challengerVersion ? await RFVModels.loadPredictor(challengerVersion) : null;
+
+  const features = items.map(item => XGBFeatures.decodeFromMessage(item.features));
+  const matrix = predictor.featureMatrix(features);
+  const predictions = predictor.predictBatch(matrix);
+  const challengerPredictions = challenger
+    ? challenger.predictBatch(challenger.featureMatrix(features))
+    : null;
+
+  return items.map((item, i) => {
+    const estimate = RFVValuation.estimateFromPrediction(
+      predictor, features[i], predictions[i], item.askingPrice, item.postcodeDistrict);
+    return {
+      estimate,
+      drivers: item.explain ? RFVValuation.explainPrediction(predictor, features[i], estimate.fair_value) : [],
+      challenger: challenger
+        ? compareWithChallenger(challenger, features[i], challengerPredictions[i], item, estimate)
+        : null,
+    };
+  });
+}
+
+// Analyst mode: the challenger's estimate for the same feature vector
+function compareWithChallenger(challenger, features, prediction, item, championEstimate) {
+  const estimate = RFVValuation.estimateFromPrediction(
+    challenger, features, prediction, item.askingPrice, item.postcodeDistrict);
+  return {
+    version: challenger.info.version,
+    label: challenger.info.label,
+    fair_value: estimate.fair_value,
+    premium_pct: estimate.premium_pct,
+    assessment: estimate.assessment,
+    ...RFVValuation.compareEstimates(championEstimate, estimate),
+  };
+}
+
+// ============================================
+// OCR
+// ============================================
+
+function getOcrWorker() {
+  if (!ocrWorker) {
+    const starting = Tesseract.createWorker('eng', 1, TESSERACT_OPTIONS);
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`no response after ${WORKER_START_TIMEOUT / 1000}s`)), WORKER_START_TIMEOUT);
+    });
+    ocrWorker = Promise.race([starting, timeout]).finally(() => clearTimeout(timer)).catch(e => {
+      ocrWorker = null;
+      starting.then(worker => worker.terminate()).catch(() => {});  // Started too late to be used
+      const error = new Error(`OCR worker failed to start: ${e.message || e}`);
+      error.code = 'ocr_unavailable';
+      throw error;
+    });
+  }
+  return ocrWorker;
+}
+
+// Image fetched here directly - extension pages aren't limited by the listing site's CORS
+async function fetchImage(url) {
+  const response = await fetch(url, { credentials: 'omit' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  return response.blob();
+}
+
+function enqueue(read, payload) {
+  const job = ocrQueue.then(() => read(payload));
+  ocrQueue = job.catch(() => {});
+  return job;
+}
+
+function ocr(payload) {
+  return enqueue(readFloorplan, payload);
+}
+
+function epc(payload) {
+  return enqueue(readEpcGraph, payload);
+}
+
+// Cached result for an image unless refreshing; cache failures count as misses
+async function cachedRead(hash, kind, refresh) {
+  if (refresh) return null;
+  return RFVOcrCache.get(hash, kind).catch(e => {
+    console.warn('[RFV Offscreen] OCR cache read failed:', e.message);
+    return null;
+  });
+}
+
+function cacheRead(hash, url, result) {
+  RFVOcrCache.put(hash, url, result).catch(e => {
+    console.warn('[RFV Offscreen] OCR cache write failed:', e.message);
+  });
+}
+
+// Cached read of the image if there is one, otherwise OCR it and cache the result
+async function readFloorplan({ url, refresh = false }) {
+  const blob = await fetchImage(url);
+  const hash = await RFVOcrCache.hashBlob(blob);
+
+  const cached = await cachedRead(hash, 'floorplan', refresh);
+  if (cached) {
+    const { text, sqft, floors, confidence, pass, evidence } = cached;
+    return { text, sqft, floors, confidence, pass, evidence, cached: true };
+  }
+
+  const read = await RFVOcr.recognizeFloorplan(await getOcrWorker(), blob);
+  const result = {
+    ...read,
+    sqft: RFVFloorplan.parseSize(read.text),
+    floors: XGBFeatures.extractFloors(read.text).floors_detected,
+  };
+  cacheRead(hash, url, result);
+  return { ...result, cached: false };
+}
+
+// Cached read of an EPC graph if there is one, otherwise OCR it and cache the result
+async function readEpcGraph({ url, refresh = false }) {
+  const blob = await fetchImage(url);
+  const hash = await RFVOcrCache.hashBlob(blob);
+
+  const cached = await cachedRead(hash, 'epc', refresh);
+  if (cached) {
+    const { text, confidence, rating } = cached;
+    return { text, confidence, rating, cached: true };
+  }
+
+  const result = await RFVOcr.recognizeEpcGraph(await getOcrWorker(), blob);
+  cacheRead(hash, url, { kind: 'epc', ...result });
+  return { ...result, cached: false };
+}
+
+// ============================================
+// MESSAGING
+// ============================================
+
+const OPS = { load: loadModels, value, ocr, epc };
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return;
+
+  const handler = OPS[message.op];
+  if (!handler) {
+    sendResponse({ success: false, error: `Unknown op: ${message.op}` });
+    return;
+  }
+
+  handler(message.payload || {})
+    .then(data => sendResponse({ success: true, data }))
+    .catch(error => {
+      console.error(`[RFV Offscreen] ${message.op} failed:`, error);
+      sendResponse({ success: false, error: error.message, code: error.code });
+    });
+  return true; // Required for async sendResponse
+});
+
+console.log('[RFV Offscreen] Engine loaded');
@@ -0,0 +1,255 @@
+/**
+ * Options Page
+ * Lists the bundled model versions from api/models.json and picks the one
+ * the sidebar, search badges and manual entry use. Also configures analyst mode
+ * (champion/challenger) and exports the listings where the two models disagree,
+ * and holds the bill costs taken off bills-included rents.
+ */
+
+// Columns of the disagreements export
+const CSV_COLUMNS = [
+  ['recorded_at', c => c.recorded_at],
+  ['site', c => c.site],
+  ['property_id', c => c.property_id],
+  ['url', c => c.url],
+  ['postcode_district', c => c.postcode_district],
+  ['beds', c => c.beds],
+  ['asking_price', c => c.asking_price],
+  ['champion_version', c => c.champion.version],
+  ['champion_fair_value', c => c.champion.fair_value],
+  ['champion_assessment', c => c.champion.assessment],
+  ['challenger_version', c => c.challenger.version],
+  ['challenger_fair_value', c => c.challenger.fair_value],
+  ['challenger_assessment', c => c.challenger.assessment],
+  ['delta', c => c.delta],
+  ['delta_pct', c => c.delta_pct],
+];
+
+// Format ISO date as "3 Oct 2026"
+function formatDate(iso) {
+  if (!iso) return 'Not recorded';
+  return new Date(iso).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function formatMetric(value, suffix = '') {
+  return value === null || value === undefined ? '–' : value.toLocaleString('en-GB') + suffix;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
+}
+
+function renderModels(models, activeVersion, defaultVersion) {
+  document.getElementById('model-rows').innerHTML = models.map(m => {
+    const metrics = m.metrics || {};
+    const coverage = m.coverage || [];
+    return `
+      <tr class="${m.version === activeVersion ? 'active' : ''}">
+        <td>
+          <input type="radio" name="model" value="${escapeHtml(m.version)}"
+            id="model-${escapeHtml(m.version)}" ${m.version === activeVersion ? 'checked' : ''}>
+        </td>
+        <td>
+          <label for="model-${escapeHtml(m.version)}" class="model-label">${escapeHtml(m.label)}</label>
+          <div class="model-meta">
+            ${escapeHtml(m.version)}${m.version === defaultVersion ? ' · default' : ''}
+          </div>
+        </td>
+        <td>${escapeHtml(formatDate(m.trained))}</td>
+        <td class="num">${formatMetric(metrics.n_train)}</td>
+        <td class="num">${formatMetric(metrics.accuracy_pct, '%')}</td>
+        <td class="num">${formatMetric(metrics.median_error_pct, '%')}</td>
+        <td title="${escapeHtml(coverage.join(', '))}">${coverage.length} districts</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+function showStatus(message) {
+  const el = document.getElementById('status');
+  el.textContent = message;
+  el.classList.remove('hidden');
+}
+
+async function handleModelChange(event) {
+  if (event.target.name !== 'model') return;
+  const version = event.target.value;
+
+  // Picking the default clears the setting, so a future default takes over
+  const defaultVersion = await RFVModels.getDefaultVersion();
+  await RFVModels.setSelectedVersion(version === defaultVersion ? null : version);
+  const model = await RFVModels.getModel();
+  showStatus(`Now using ${model.label}. Open listings will re-value with it.`);
+  await refresh();
+}
+
+// ============================================
+// Analyst mode
+// ============================================
+
+function renderAnalystSettings(models, active, settings) {
+  document.getElementById('analyst-enabled').checked = settings.enabled;
+  const select = document.getElementById('analyst-challenger');
+  const challengers = models.filter(m => m.version !== active.version);
+  select.innerHTML = challengers.map(m => `
+    <option value="${escapeHtml(m.version)}" ${m.version === settings.challenger ? 'selected' : ''}>
+      ${escapeHtml(m.label)}
+    </option>
+  `).join('');
+  select.disabled = challengers.length === 0;
+
+  const note = document.getElementById('analyst-note');
+  note.textContent = challengers.length === 0
+    ? 'Only one model is bundled, so there is nothing to compare against yet.'
+    : '';
+  note.classList.toggle('hidden', challengers.length > 0);
+}
+
+async function handleAnalystChange() {
+  const select = document.getElementById('analyst-challenger');
+  await RFVModels.setAnalystSettings({
+    enabled: document.getElementById('analyst-enabled').checked,
+    challenger: select.value || null,
+  });
+}
+
+// Per-district summary, districts with the largest average shift first
+function summarizeComparisons(comparisons) {
+  const districts = {};
+  for (const c of comparisons) {
+    const key = c.postcode_district || 'Unknown';
+    const d = districts[key] ||= { district: key, count: 0, totalPct: 0, maxPct: 0, disagreements: 0, verdictChanges: 0 };
+    d.count++;
+    d.totalPct += c.delta_pct;
+    if (Math.abs(c.delta_pct) > Math.abs(d.maxPct)) d.maxPct = c.delta_pct;
+    if (Math.abs(c.delta_pct) >= RFVValuation.DISAGREEMENT_PCT) d.disagreements++;
+    if (c.champion.assessment !== c.challenger.assessment) d.verdictChanges++;
+  }
+  return Object.values(districts)
+    .map(d => ({ ...d, meanPct: Math.round(d.totalPct / d.count * 10) / 10 }))
+    .sort((a, b) => Math.abs(b.meanPct) - Math.abs(a.meanPct));
+}
+
+function formatDelta(pct) {
+  const cls = pct > 0 ? 'delta-up' : pct < 0 ? 'delta-down' : '';
+  return `<span class="${cls}">${pct > 0 ? '+' : ''}${pct}%</span>`;
+}
+
+function renderComparisons(comparisons) {
+  const hasData = comparisons.length > 0;
+  document.getElementById('comparison-table').classList.toggle('hidden', !hasData);
+  document.getElementById('comparison-empty').classList.toggle('hidden', hasData);
+  document.getElementById('export-btn').disabled = !hasData;
+  document.getElementById('clear-btn').disabled = !hasData;
+
+  document.getElementById('comparison-rows').innerHTML = summarizeComparisons(comparisons).map(d => `
+    <tr>
+      <td>${escapeHtml(d.district)}</td>
+      <td class="num">${d.count}</td>
+      <td class="num">${formatDelta(d.meanPct)}</td>
+      <td class="num">${formatDelta(d.maxPct)}</td>
+      <td class="num">${d.disagreements}</td>
+      <td class="num">${d.verdictChanges}</td>
+    </tr>
+  `).join('');
+}
+
+function toCsvValue(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Listings where the models differ by DISAGREEMENT_PCT or more, or reach different verdicts
+async function exportDisagreements() {
+  const rows = (await RFVHistory.listComparisons()).filter(c =>
+    Math.abs(c.delta_pct) >= RFVValuation.DISAGREEMENT_PCT || c.champion.assessment !== c.challenger.assessment);
+  const csv = [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...rows.map(c => CSV_COLUMNS.map(([, get]) => toCsvValue(get(c))).join(',')),
+  ].join('\n');
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  link.download = `rfv-disagreements-${new Date().toISOString().slice(0, 10)}.csv`;
+  link.click();
+  // Revoking straight after click() can cancel the download before it starts
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+async function clearComparisons() {
+  await RFVHistory.clearComparisons();
+  renderComparisons([]);
+}
+
+// ============================================
+// Bills-included rents
+// ============================================
+
+function renderBillCosts(costs) {
+  document.getElementById('bill-rows').innerHTML = Object.entries(costs).map(([item, values]) => `
+    <tr>
+      <td>${escapeHtml(RFVCosts.BILL_LABELS[item])}</td>
+      ${values.map((value, i) => `
+        <td class="num">£<input type="number" min="0" step="5" data-item="${item}" data-index="${i}" value="${value}"></td>
+      `).join('')}
+    </tr>
+  `).join('');
+}
+
+async function handleBillCostChange() {
+  const costs = {};
+  for (const input of document.querySelectorAll('#bill-rows input')) {
+    const value = parseFloat(input.value);
+    (costs[input.dataset.item] ||= [])[input.dataset.index] = Number.isFinite(value) && value >= 0 ? value : 0;
+  }
+  await RFVCosts.setBillCosts(costs);
+  showBillsStatus('Saved. Listings opened from now on use these costs.');
+}
+
+async function resetBillCosts() {
+  await RFVCosts.setBillCosts(null);
+  renderBillCosts(await RFVCosts.getBillCosts());
+  showBillsStatus('Back to typical London costs.');
+}
+
+function showBillsStatus(message) {
+  const el = document.getElementById('bills-status');
+  el.textContent = message;
+  el.classList.remove('hidden');
+}
+
+async function refresh() {
+  const [models, active, defaultVersion, settings, comparisons] = await Promise.all([
+    RFVModels.listModels(),
+    RFVModels.getModel(),
+    RFVModels.getDefaultVersion(),
+    RFVModels.getAnalystSettings(),
+    RFVHistory.listComparisons(),
+  ]);
+  renderModels(models, active.version, defaultVersion);
+  renderAnalystSettings(models, active, settings);
+  renderComparisons(comparisons);
+}
+
+// Main function
+async function init() {
+  document.getElementById('model-rows').addEventListener('change', handleModelChange);
+  document.getElementById('analyst-enabled').addEventListener('change', handleAnalystChange);
+  document.getElementById('analyst-challenger').addEventListener('change', handleAnalystChange);
+  document.getElementById('export-btn').addEventListener('click', exportDisagreements);
+  document.getElementById('clear-btn').addEventListener('click', clearComparisons);
+  document.getElementById('bill-rows').addEventListener('change', handleBillCostChange);
+  document.getElementById('bills-reset-btn').addEventListener('click', resetBillCosts);
+  renderBillCosts(await RFVCosts.getBillCosts());
+  try {
+    await refresh();
+  } catch (error) {
+    console.error('[RFV] Could not read model manifest:', error);
+    showStatus('Could not read the bundled model list.');
+  }
+}
+
+// Start
+document.addEventListener('DOMContentLoaded', init);
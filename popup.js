@@ -0,0 +1,229 @@
+/**
+ * Popup - Manual Property Entry
+ * Values listings from emails, unsupported agent sites or paper with the bundled
+ * model, showing the same fair value, range and assessment as the sidebar
+ */
+
+// Checkbox label -> the XGBFeatures.parseAmenities flag it sets
+const AMENITIES = [
+  { label: 'Balcony', feature: 'has_balcony' },
+  { label: 'Terrace', feature: 'has_terrace' },
+  { label: 'Roof terrace', feature: 'has_roof_terrace' },
+  { label: 'Garden', feature: 'has_garden' },
+  { label: 'Porter', feature: 'has_porter' },
+  { label: 'Gym', feature: 'has_gym' },
+  { label: 'Pool', feature: 'has_pool' },
+  { label: 'Parking', feature: 'has_parking' },
+  { label: 'Lift', feature: 'has_lift' },
+  { label: 'Air con', feature: 'has_ac' },
+  { label: 'High ceilings', feature: 'has_high_ceilings' },
+  { label: 'Views', feature: 'has_view' },
+  { label: 'Modern', feature: 'has_modern' },
+  { label: 'Period', feature: 'has_period' },
+];
+
+const POSTCODE_PATTERN = /^([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})?$/i;
+
+let predictor = null;
+
+// Same model version as the sidebar (picked on the options page)
+async function loadModel() {
+  if (!predictor) {
+    predictor = await RFVModels.loadPredictor();
+  }
+  return predictor;
+}
+
+// Format currency
+function formatPrice(price) {
+  return '£' + price.toLocaleString('en-GB');
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
+}
+
+function renderAmenityOptions() {
+  document.getElementById('amenity-options').innerHTML = AMENITIES.map((a, i) => `
+    <label class="amenity">
+      <input type="checkbox" value="${i}">
+      <span>${escapeHtml(a.label)}</span>
+    </label>
+  `).join('');
+}
+
+// Read and validate the form; returns null (and shows an error) if invalid
+function readForm() {
+  const value = id => document.getElementById(id).value.trim();
+
+  const postcodeMatch = value('postcode').match(POSTCODE_PATTERN);
+  if (!postcodeMatch) {
+    showFormError('Enter a London postcode, e.g. SW3 2AB or SW3');
+    return null;
+  }
+  const postcode = [postcodeMatch[1], postcodeMatch[2]].filter(Boolean).join(' ').toUpperCase();
+
+  const bedrooms = parseInt(value('bedrooms'), 10);
+  const bathrooms = parseInt(value('bathrooms'), 10);
+  if (Number.isNaN(bedrooms) || bedrooms < 0) {
+    showFormError('Enter the number of bedrooms (0 for a studio)');
+    return null;
+  }
+
+  // Converted to pcm the same way as rents quoted on listings
+  const askingRent = RFVRent.parseRent(`${value('asking-price')} ${value('price-period')}`);
+  const askingPrice = RFVRent.monthlyRent(askingRent, bedrooms);
+
+  const sqft = parseInt(value('size-sqft'), 10);
+  const amenities = [...document.querySelectorAll('#amenity-options input:checked')]
+    .map(input => AMENITIES[input.value].feature);
+
+  hideFormError();
+  return {
+    postcode,
+    askingPrice,
+    bedrooms,
+    bathrooms: bathrooms > 0 ? bathrooms : 1,
+    sizeSqft: sqft >= 100 ? sqft : null,
+    propertyType: value('property-type'),
+    furnished: value('furnished'),
+    amenities,
+    address: value('address'),
+    agentName: value('agent'),
+  };
+}
+
+function showFormError(message) {
+  const el = document.getElementById('form-error');
+  el.textContent = message;
+  el.classList.remove('hidden');
+}
+
+function hideFormError() {
+  document.getElementById('form-error').classList.add('hidden');
+}
+
+// Run the same buildFeatures + predict path as the sidebar
+async function estimate(input) {
+  await loadModel();
+
+  const sizeSqft = input.sizeSqft || RFVValuation.estimateSqft(input.bedrooms);
+
+  // Furnishing and amenities are passed as explicit values, like sidebar corrections,
+  // rather than detected from description text
+  const features = XGBFeatures.buildFeatures({
+    bedrooms: input.bedrooms,
+    bathrooms: input.bathrooms,
+    size_sqft: sizeSqft,
+    postcode: input.postcode,
+    propertyType: input.propertyType,
+    address: input.address,
+    furnished: input.furnished,
+    amenities: input.amenities,
+    agentName: input.agentName,
+  });
+
+  const postcodeDistrict = XGBFeatures.extractPostcodeDistrict(input.postcode);
+  const result = RFVValuation.estimateFairValue(predictor, features, input.askingPrice, postcodeDistrict);
+  result.drivers = RFVValuation.explainPrediction(predictor, features, result.fair_value);
+  result.size_sqft = sizeSqft;
+  result.size_source = input.sizeSqft ? 'entered' : 'estimated';
+  result.postcode_district = postcodeDistrict;
+  return result;
+}
+
+function renderDrivers(drivers) {
+  if (!drivers || drivers.length === 0) return '';
+
+  const items = drivers.map(d => {
+    const sign = d.amount > 0 ? '+' : '−';
+    const dirClass = d.amount > 0 ? 'driver-up' : 'driver-down';
+    return `
+      <div class="driver">
+        <span class="driver-amount ${dirClass}">${sign}${formatPrice(Math.abs(d.amount))}</span>
+        <span class="driver-label">${escapeHtml(d.label)}</span>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div class="drivers">
+      <div class="drivers-title">Price Drivers</div>
+      ${items}
+    </div>
+  `;
+}
+
+function renderResult(input, r) {
+  const sparseHtml = RFVValuation.hasGoodCoverage(r.postcode_district, predictor.info.coverage) ? '' : `
+    <div class="sparse-warning">
+      ⚠️ Limited data for ${escapeHtml(r.postcode_district)}. Estimate may be less accurate.
+    </div>
+  `;
+
+  let assessmentHtml = '';
+  if (r.assessment) {
+    const sign = r.premium_pct > 0 ? '+' : '';
+    assessmentHtml = `
+      <div class="assessment ${r.assessment.replace('_', '-')}">
+        <div class="assessment-value">${sign}${r.premium_pct}%</div>
+        <div class="assessment-label">${r.assessment.replace('_', ' ').toUpperCase()}</div>
+      </div>
+    `;
+  }
+
+  const sizeNote = r.size_source === 'estimated'
+    ? `Size estimated from beds (${r.size_sqft} sqft)`
+    : `${r.size_sqft} sqft`;
+
+  const el = document.getElementById('result');
+  el.innerHTML = `
+    ${sparseHtml}
+    ${input.askingPrice ? `
+      <div class="label">Asking</div>
+      <div class="price">${formatPrice(input.askingPrice)}/mo</div>
+      <hr class="divider">
+    ` : ''}
+    <div class="label">Model Estimate</div>
+    <div class="price">${formatPrice(r.fair_value)}/mo</div>
+    <div class="range">${RFVValuation.formatRangeLabel(r)}: ${formatPrice(r.range_low)} – ${formatPrice(r.range_high)}</div>
+    ${assessmentHtml}
+    ${renderDrivers(r.drivers)}
+    <div class="size-note">${escapeHtml(sizeNote)} · ${escapeHtml(predictor.info.label)}</div>
+  `;
+  el.classList.remove('hidden');
+}
+
+async function handleSubmit(event) {
+  event.preventDefault();
+  const input = readForm();
+  if (!input) return;
+
+  const button = document.getElementById('estimate-btn');
+  button.disabled = true;
+  button.textContent = 'Calculating...';
+
+  try {
+    renderResult(input, await estimate(input));
+  } catch (error) {
+    console.error('[RFV] Manual estimate failed:', error);
+    showFormError('Could not load the model. Try reopening the popup.');
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Estimate Fair Rent';
+  }
+}
+
+// Initialize
+function init() {
+  renderAmenityOptions();
+  document.getElementById('property-form').addEventListener('submit', handleSubmit);
+  document.getElementById('saved-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('saved.html') });
+  });
+}
+
+document.addEventListener('DOMContentLoaded', init);
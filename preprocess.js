@@ -0,0 +1,238 @@
+/**
+ * Floorplan Image Preprocessing for Rent Fair Value Chrome Extension
+ * Cleans up floorplan images before OCR (ocr.js), in the offscreen document or the page:
+ * - small plans are upscaled so Tesseract sees text at a readable size
+ * - grayscale + Otsu binarisation drops coloured room fills and pale watermarks
+ * - scanned or photographed plans are straightened (up to ±5°)
+ * - the lines around "Total"/"Approx" can be cropped out for a closer second read
+ * - the words a size was read from can be snapshotted for the sidebar to show
+ * Everything runs on OffscreenCanvas, so no DOM is needed.
+ */
+
+(function() {
+  'use strict';
+
+  // Tesseract reads best with capitals 20-40px high; portal floorplans are often ~800px wide
+  const TARGET_LONG_SIDE = 2400;
+  const MAX_UPSCALE = 3;
+  const MAX_LONG_SIDE = 4000;  // Bounds memory for print-resolution plans
+
+  const MAX_SKEW_DEG = 5;
+  const SKEW_STEP_DEG = 0.5;
+  const SKEW_SAMPLE_WIDTH = 600;  // Skew is measured on a subsample of the ink
+  const SKEW_MIN_GAIN = 1.05;     // A tilt must beat upright by 5% to count (avoids jitter)
+
+  const TOTAL_LINE = /\b(?:total|approx)/i;
+  const MAX_CROPS = 3;
+  const CROP_SCALE = 2;
+
+  const SNAPSHOT_MAX_WIDTH = 480;  // Sidebar width; keeps the data URL to a few KB
+
+  // White canvas - transparent PNG backgrounds would otherwise read as black
+  function createCanvas(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+    return { canvas, ctx };
+  }
+
+  function scaleFor(width, height) {
+    const longSide = Math.max(width, height);
+    return longSide < TARGET_LONG_SIDE
+      ? Math.min(MAX_UPSCALE, TARGET_LONG_SIDE / longSide)
+      : Math.min(1, MAX_LONG_SIDE / longSide);
+  }
+
+  function resize(source, sx, sy, sw, sh, scale) {
+    const { canvas, ctx } = createCanvas(Math.max(1, Math.round(sw * scale)), Math.max(1, Math.round(sh * scale)));
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  // Otsu's threshold: the luminance that best separates ink from paper
+  function otsuThreshold(histogram, total) {
+    let sumAll = 0;
+    for (let i = 0; i < 256; i++) sumAll += i * histogram[i];
+
+    let sumBelow = 0, weightBelow = 0, bestVariance = -1, threshold = 127;
+    for (let t = 0; t < 256; t++) {
+      weightBelow += histogram[t];
+      if (weightBelow === 0) continue;
+      const weightAbove = total - weightBelow;
+      if (weightAbove === 0) break;
+      sumBelow += t * histogram[t];
+      const meanBelow = sumBelow / weightBelow;
+      const meanAbove = (sumAll - sumBelow) / weightAbove;
+      const variance = weightBelow * weightAbove * (meanBelow - meanAbove) ** 2;
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        threshold = t;
+      }
+    }
+    return threshold;
+  }
+
+  /**
+   * Grayscale and binarise a canvas in place, as black text on white
+   * Light-on-dark plans are inverted (paper is whichever side has most pixels).
+   * @returns {Uint8Array} 1 where there is ink, row-major
+   */
+  function binarise(canvas) {
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const px = image.data;
+    const count = canvas.width * canvas.height;
+
+    const luma = new Uint8Array(count);
+    const histogram = new Uint32Array(256);
+    for (let i = 0; i < count; i++) {
+      const v = (px[i * 4] * 299 + px[i * 4 + 1] * 587 + px[i * 4 + 2] * 114) / 1000 | 0;
+      luma[i] = v;
+      histogram[v]++;
+    }
+
+    const threshold = otsuThreshold(histogram, count);
+    let below = 0;
+    for (let v = 0; v <= threshold; v++) below += histogram[v];
+    const invert = below > count / 2;
+
+    const ink = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+      ink[i] = (luma[i] <= threshold) !== invert ? 1 : 0;
+      const v = ink[i] ? 0 : 255;
+      px[i * 4] = px[i * 4 + 1] = px[i * 4 + 2] = v;
+      px[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(image, 0, 0);
+    return ink;
+  }
+
+  /**
+   * Skew angle in degrees (clockwise positive, as ctx.rotate)
+   * The angle that, undone, lines ink up into the sharpest rows - text lines and
+   * walls both run horizontally on an upright plan.
+   * @returns {number} 0 if the plan is upright or there is too little ink to tell
+   */
+  function estimateSkew(ink, width, height) {
+    const step = Math.max(1, Math.ceil(width / SKEW_SAMPLE_WIDTH));
+    const xs = [];
+    const ys = [];
+    for (let y = 0; y < height; y += step) {
+      for (let x = 0; x < width; x += step) {
+        if (ink[y * width + x]) {
+          xs.push(x / step);
+          ys.push(y / step);
+        }
+      }
+    }
+    if (xs.length < 200) return 0;
+
+    const offset = Math.ceil(Math.hypot(width, height) / step) + 1;
+    const rows = new Uint32Array(offset * 2 + 1);
+    const sharpness = deg => {
+      const rad = deg * Math.PI / 180;
+      const sin = Math.sin(rad), cos = Math.cos(rad);
+      rows.fill(0);
+      for (let i = 0; i < xs.length; i++) {
+        rows[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+      }
+      let score = 0;
+      for (let i = 0; i < rows.length; i++) score += rows[i] * rows[i];
+      return score;
+    };
+
+    const upright = sharpness(0);
+    let best = 0, bestScore = upright * SKEW_MIN_GAIN;
+    for (let deg = -MAX_SKEW_DEG; deg <= MAX_SKEW_DEG; deg += SKEW_STEP_DEG) {
+      if (deg === 0) continue;
+      const score = sharpness(deg);
+      if (score > bestScore) {
+        best = deg;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  function rotate(canvas, deg) {
+    const { canvas: rotated, ctx } = createCanvas(canvas.width, canvas.height);
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(-deg * Math.PI / 180);
+    ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+    return rotated;
+  }
+
+  /**
+   * Upscale, binarise and straighten a floorplan image
+   * @param {Blob} blob - Image as fetched
+   * @returns {Promise<{canvas: OffscreenCanvas, scale: number, skew: number}>}
+   */
+  async function prepare(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const scale = scaleFor(bitmap.width, bitmap.height);
+    const canvas = resize(bitmap, 0, 0, bitmap.width, bitmap.height, scale);
+    bitmap.close();
+
+    const ink = binarise(canvas);
+    const skew = estimateSkew(ink, canvas.width, canvas.height);
+    return { canvas: skew ? rotate(canvas, skew) : canvas, scale, skew };
+  }
+
+  /**
+   * Bands around the lines that mention "Total"/"Approx", enlarged for a closer read
+   * Each band reaches one line above and two below, since the figure is often printed
+   * under the label, and extends right of the label where the figure usually follows.
+   * @param {OffscreenCanvas} canvas - The image the lines were read from
+   * @param {Array<{text, bbox: {x0, y0, x1, y1}}>} lines - Tesseract result lines
+   * @returns {OffscreenCanvas[]}
+   */
+  function cropTotalLines(canvas, lines) {
+    return lines
+      .filter(line => line.bbox && TOTAL_LINE.test(line.text))
+      .slice(0, MAX_CROPS)
+      .map(({ bbox }) => {
+        const lineHeight = Math.max(1, bbox.y1 - bbox.y0);
+        const left = Math.max(0, bbox.x0 - lineHeight * 4);
+        const top = Math.max(0, bbox.y0 - lineHeight);
+        const right = Math.min(canvas.width, bbox.x1 + lineHeight * 16);
+        const bottom = Math.min(canvas.height, bbox.y1 + lineHeight * 2);
+        const width = right - left;
+        const height = bottom - top;
+        const scale = Math.min(CROP_SCALE, MAX_LONG_SIDE / Math.max(width, height));
+        return resize(canvas, left, top, width, height, scale);
+      });
+  }
+
+  /**
+   * PNG of a region of an image, padded by half a line and shrunk to sidebar width
+   * @param {OffscreenCanvas} canvas - The image the region was read from
+   * @param {{x0, y0, x1, y1}} bbox - e.g. sizeEvidence().bbox
+   * @returns {Promise<string>} data: URL
+   */
+  async function snapshot(canvas, bbox) {
+    const pad = Math.max(4, Math.round((bbox.y1 - bbox.y0) / 2));
+    const left = Math.max(0, bbox.x0 - pad);
+    const top = Math.max(0, bbox.y0 - pad);
+    const width = Math.min(canvas.width, bbox.x1 + pad) - left;
+    const height = Math.min(canvas.height, bbox.y1 + pad) - top;
+    const region = resize(canvas, left, top, width, height, Math.min(1, SNAPSHOT_MAX_WIDTH / width));
+
+    const blob = await region.convertToBlob({ type: 'image/png' });
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Expose globally for ocr.js
+  window.RFVPreprocess = {
+    prepare,
+    cropTotalLines,
+    snapshot,
+  };
+
+})();
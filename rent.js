@@ -0,0 +1,205 @@
+/**
+ * Rent Price Parsing for Rent Fair Value Chrome Extension
+ * Reads the rent quoted on a listing, e.g.
+ *   "£2,500 pcm", "£577 pw (£2,500 pcm)", "£52,000 per annum", "£1,200 pppw",
+ *   "from £3,000 pcm", "£2,000 - £2,400 pcm"
+ * and normalises it to per calendar month, the period the model predicts.
+ *
+ * The first figure is the quoted one; later figures are usually a conversion
+ * ("(£2,500 pcm)"). A figure with no period is taken as monthly.
+ */
+
+(function() {
+  'use strict';
+
+  const WEEKS_PER_YEAR = 52;
+
+  // Abbreviated periods only count straight after a figure ("£500 pw", "£500/wk", "£600 pp pw"),
+  // so "viewings from 6pm" later in the text isn't read as monthly; ppp* is "per person per ..."
+  const PERIOD_ABBREVIATIONS = {
+    week: /^\s*(?:pp\s*)?(?:pppw|pw|p\s*\/\s*w|p\.\s*w\.?|\/\s*(?:wk|week))(?![a-z])/i,
+    month: /^\s*(?:pp\s*)?(?:pppm|pcm|pm|p\s*\/\s*m|p\.\s*c\.\s*m\.?|p\.\s*m\.?|\/\s*(?:mo|month))(?![a-z])/i,
+    year: /^\s*(?:pp\s*)?(?:pppa|pa|p\s*\/\s*a|p\.\s*a\.?|\/\s*(?:yr|year|annum))(?![a-z])/i,
+  };
+  // Spelled-out periods, anywhere in the wording after a figure
+  const PERIOD_WORDS = {
+    week: /\b(?:per\s+(?:person\s+)?(?:per\s+)?(?:week|wk)|weekly|a\s+week)\b/i,
+    month: /\b(?:per\s+(?:person\s+)?(?:per\s+)?(?:calendar\s+)?month|monthly|a\s+month)\b/i,
+    year: /\b(?:per\s+(?:person\s+)?(?:per\s+)?(?:annum|year)|annually|yearly|a\s+year)\b/i,
+  };
+  // "pp" on its own, like the period abbreviations, only straight after the figure or its period
+  const PER_PERSON_ABBREVIATION = /^\s*(?:(?:pw|pcm|pm|pa)\s*)?pp(?:p[wma])?(?![a-z])/i;
+  const PER_PERSON_WORDS = /\bper\s+person\b/i;
+
+  const FIGURE = /£\s*(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?(\s*k\b)?/gi;
+  const BARE_FIGURE = /(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?/;
+  // Between the two figures of a range, optionally after the first one's period ("£2,000 pcm - £2,400")
+  const RANGE_SEPARATOR = /^\s*(?:[a-z.]{1,5}\s*)?(?:-|–|—|to)\s*$/i;
+  const FROM = /\b(?:from|starting\s+at)\s*$/i;
+
+  // How far past a figure its period is looked for (stops early at the next £)
+  const PERIOD_CONTEXT = 40;
+
+  // A quoted rent in page text: figure, optional range end, optional period words
+  const RENT_TEXT = new RegExp(
+    String.raw`(?:(?:from|starting\s+at)\s+)?£\s*[\d,]+(?:\.\d{1,2})?(?:\s*k\b)?` +
+    String.raw`(?:\s*(?:-|–|—|to)\s*£\s*[\d,]+(?:\.\d{1,2})?(?:\s*k\b)?)?` +
+    String.raw`(?:\s*(?:pppw|pppm|pppa|pcm|pw|pm|pa|p\.[acmpw.]{1,4}|p\/[wma]|per\s+(?:person\s+)?(?:per\s+)?(?:calendar\s+)?(?:week|wk|month|annum|year)|weekly|monthly|annually|yearly))?`,
+    'i');
+
+  function figureValue(match) {
+    const value = parseFloat(match[1].replace(/,/g, '') + (match[2] ? '.' + match[2] : ''));
+    return match[3] ? value * 1000 : value;
+  }
+
+  function toPcm(amount, period) {
+    if (amount == null) return null;
+    if (period === 'week') return Math.round(amount * WEEKS_PER_YEAR / 12);
+    if (period === 'year') return Math.round(amount / 12);
+    return Math.round(amount);
+  }
+
+  /**
+   * Period stated for a quote, or null
+   * @param {string[]} afters - Text straight after each figure of the quote, last figure first
+   *   (for a range quoted "£2,000 pcm - £2,400" the first figure's own wording counts too)
+   */
+  function findPeriod(afters) {
+    for (const after of afters) {
+      for (const [period, pattern] of Object.entries(PERIOD_ABBREVIATIONS)) {
+        if (pattern.test(after)) return period;
+      }
+    }
+    // Earliest spelled-out period; the first figure's wording runs on past the others
+    let best = null;
+    for (const [period, pattern] of Object.entries(PERIOD_WORDS)) {
+      const match = afters[afters.length - 1].match(pattern);
+      if (match && (!best || match.index < best.index)) best = { period, index: match.index };
+    }
+    return best?.period || null;
+  }
+
+  /**
+   * Parse a quoted rent
+   * @param {string} text - Price text from the listing, e.g. "£577 pw (£2,500 pcm)"
+   * @returns {object|null} null if there is no figure:
+   *   { text, amount, period, period_stated, per_person, min, max, pcm, pcm_min, pcm_max }
+   *   amount: the figure as quoted (the lower end of a range); period: 'week' | 'month' | 'year';
+   *   min/max: the quoted range (max null for "from £X"), both null for a single figure;
+   *   pcm*: the same normalised to per calendar month, per person if per_person
+   */
+  function parseRent(text) {
+    if (!text) return null;
+    const source = String(text).replace(/\s+/g, ' ').trim();
+
+    const figures = [...source.matchAll(FIGURE)];
+    if (figures.length === 0) {
+      const bare = source.match(BARE_FIGURE);
+      if (!bare) return null;
+      figures.push(Object.assign([bare[0], bare[1], bare[2], undefined], { index: bare.index }));
+    }
+
+    const first = figures[0];
+    const amount = figureValue(first);
+    if (!(amount > 0)) return null;
+
+    let min = null, max = null;
+    let end = first.index + first[0].length;
+    const second = figures[1];
+    if (second && RANGE_SEPARATOR.test(source.slice(end, second.index))) {
+      const upper = figureValue(second);
+      if (upper > amount) {
+        min = amount;
+        max = upper;
+        end = second.index + second[0].length;
+      }
+    }
+    if (min == null && FROM.test(source.slice(0, first.index))) {
+      min = amount;
+    }
+
+    // Period after the (last figure of the) quote, up to the next figure
+    const next = figures.find(f => f.index >= end);
+    const limit = Math.min(next ? next.index : source.length, end + PERIOD_CONTEXT);
+    const afters = [...new Set([source.slice(end, limit), source.slice(first.index + first[0].length, limit)])];
+    const stated = findPeriod(afters);
+    const period = stated || 'month';
+
+    return {
+      text: source,
+      amount,
+      period,
+      period_stated: !!stated,
+      per_person: afters.some(after => PER_PERSON_ABBREVIATION.test(after)) || PER_PERSON_WORDS.test(afters[afters.length - 1]),
+      min,
+      max,
+      pcm: toPcm(amount, period),
+      pcm_min: toPcm(min, period),
+      pcm_max: toPcm(max, period),
+    };
+  }
+
+  /**
+   * Monthly rent for the whole property
+   * Per-person rents are multiplied by the bedrooms (one person each; a studio is one).
+   * @param {object|null} rent - parseRent result
+   * @param {number} bedrooms
+   * @returns {number|null}
+   */
+  function monthlyRent(rent, bedrooms = 0) {
+    if (!rent) return null;
+    return rent.per_person ? rent.pcm * Math.max(1, bedrooms || 0) : rent.pcm;
+  }
+
+  /**
+   * The part of page text that quotes the rent, for site adapters to hand to parseRent
+   * @returns {string|null} e.g. "£52,000 per annum" from "Rent: £52,000 per annum, available now"
+   */
+  function findRentText(text) {
+    const match = (text || '').match(RENT_TEXT);
+    return match ? match[0].trim() : null;
+  }
+
+  const PERIOD_LABELS = { week: 'pw', month: 'pcm', year: 'pa' };
+
+  // Whether the quote needs showing next to its monthly figure (anything but a plain "£X pcm")
+  function isConverted(rent) {
+    return !!rent && (rent.period !== 'month' || rent.per_person || rent.min != null);
+  }
+
+  // Quote as the listing gave it, e.g. "£1,200 pppw", "from £3,000 pcm", "£2,000–£2,400 pcm"
+  function formatQuote(rent) {
+    const fmt = n => '£' + Math.round(n).toLocaleString('en-GB');
+    const period = (rent.per_person ? 'pp' : '') + PERIOD_LABELS[rent.period];
+    if (rent.max != null) return `${fmt(rent.min)}–${fmt(rent.max)} ${period}`;
+    if (rent.min != null) return `from ${fmt(rent.min)} ${period}`;
+    return `${fmt(rent.amount)} ${period}`;
+  }
+
+  /**
+   * How the quote relates to the monthly figure shown, or '' for a plain "£X pcm"
+   * e.g. "Quoted £52,000 pa", "Quoted £1,200 pppw, for 2 people",
+   *      "Quoted £2,000–£2,400 pcm, lower end used"
+   */
+  function describeQuote(rent, bedrooms = 0) {
+    if (!isConverted(rent)) return '';
+    let text = `Quoted ${formatQuote(rent)}`;
+    if (rent.per_person) {
+      const people = Math.max(1, bedrooms || 0);
+      text += `, for ${people} ${people === 1 ? 'person' : 'people'}`;
+    }
+    if (rent.max != null) text += ', lower end used';
+    return text;
+  }
+
+  // Expose globally for content.js and the site adapters
+  window.RFVRent = {
+    parseRent,
+    monthlyRent,
+    findRentText,
+    isConverted,
+    formatQuote,
+    describeQuote,
+  };
+
+})();
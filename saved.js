@@ -0,0 +1,136 @@
+/**
+ * Saved Properties Page
+ * Lists the watchlist (and full viewing history) stored by history.js
+ */
+
+let showAll = false;
+
+const SIZE_SOURCE_LABELS = {
+  page: 'Listing',
+  ocr: 'Floorplan',
+  estimated: 'Estimated',
+  user: 'Corrected',
+};
+
+// Format currency
+function formatPrice(price) {
+  return price ? '£' + price.toLocaleString('en-GB') : 'N/A';
+}
+
+// Format ISO date as "3 Oct 2026"
+function formatDate(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
+}
+
+// Render premium % with the same thresholds as the sidebar
+function formatPremium(pct) {
+  if (pct === null || pct === undefined) return '';
+  const assessment = window.RFVValuation.getAssessment(pct);
+  const cls = assessment === 'good_deal' ? 'underpriced' : assessment;
+  const sign = pct > 0 ? '+' : '';
+  return `<span class="${cls}">${sign}${pct}%</span>`;
+}
+
+// Render the latest asking-price change, e.g. "↓ £200 since 3 Oct"
+function formatPriceChange(change) {
+  if (!change || change.change === 0) return '';
+  const reduced = change.change < 0;
+  const since = new Date(change.since).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+  return `<span class="price-change ${reduced ? 'reduced' : 'increased'}">
+    ${reduced ? '↓' : '↑'} ${formatPrice(Math.abs(change.change))} since ${since}
+  </span>`;
+}
+
+function renderRows(entries) {
+  const table = document.getElementById('property-table');
+  const empty = document.getElementById('empty');
+
+  if (entries.length === 0) {
+    table.classList.add('hidden');
+    empty.classList.remove('hidden');
+    document.getElementById('empty-message').textContent =
+      showAll ? 'No properties viewed yet.' : 'No saved properties yet.';
+    return;
+  }
+
+  table.classList.remove('hidden');
+  empty.classList.add('hidden');
+
+  document.getElementById('property-rows').innerHTML = entries.map(entry => {
+    const size = entry.size_sqft
+      ? `${entry.size_sqft.toLocaleString('en-GB')} sqft <span class="size-source">${SIZE_SOURCE_LABELS[entry.size_source] || ''}</span>`
+      : 'N/A';
+
+    return `
+      <tr>
+        <td>
+          <a href="${escapeHtml(entry.url)}" target="_blank" class="property-link">${escapeHtml(entry.address || 'Property')}</a>
+          <div class="property-meta">
+            ${escapeHtml(entry.site)} · ${entry.beds || '-'} bed · ${escapeHtml(entry.postcode_district || '')}
+          </div>
+        </td>
+        <td class="num">
+          ${formatPrice(entry.asking_price)}
+          ${formatPriceChange(window.RFVHistory.getPriceChange(entry))}
+        </td>
+        <td class="num">${formatPrice(entry.fair_value)}</td>
+        <td class="num">${formatPremium(entry.premium_pct)}</td>
+        <td>${size}</td>
+        <td>${formatDate(entry.last_seen)}</td>
+        <td class="actions">
+          <button class="row-btn" data-action="${entry.saved ? 'unsave' : 'save'}"
+                  data-site="${escapeHtml(entry.site)}" data-id="${escapeHtml(entry.property_id)}">
+            ${entry.saved ? '★ Saved' : '☆ Save'}
+          </button>
+          ${showAll ? `
+            <button class="row-btn remove" data-action="remove"
+                    data-site="${escapeHtml(entry.site)}" data-id="${escapeHtml(entry.property_id)}">Remove</button>
+          ` : ''}
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+async function refresh() {
+  const entries = await window.RFVHistory.listEntries({ savedOnly: !showAll });
+  renderRows(entries);
+}
+
+async function handleRowAction(event) {
+  const button = event.target.closest('.row-btn');
+  if (!button) return;
+
+  const { action, site, id } = button.dataset;
+  if (action === 'save' || action === 'unsave') {
+    await window.RFVHistory.setSaved(site, id, action === 'save');
+  } else if (action === 'remove') {
+    await window.RFVHistory.removeEntry(site, id);
+  }
+  await refresh();
+}
+
+function setView(all) {
+  showAll = all;
+  document.getElementById('view-saved').classList.toggle('active', !all);
+  document.getElementById('view-all').classList.toggle('active', all);
+  refresh();
+}
+
+// Main function
+function init() {
+  document.getElementById('view-saved').addEventListener('click', () => setView(false));
+  document.getElementById('view-all').addEventListener('click', () => setView(true));
+  document.getElementById('property-rows').addEventListener('click', handleRowAction);
+  refresh();
+}
+
+// Start
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,271 @@
+/**
+ * Chestertons site adapter
+ * No listing JSON - details are read from JSON-LD, page text and selectors.
+ * Floorplans sit in hidden tab panels, so they are found in the raw HTML.
+ */
+
+(function() {
+  'use strict';
+
+  const { log, getText, findFloorplansInHTML, findFloorplansInDOM } = window.RFVSites.helpers;
+
+  const adapter = window.RFVSites.register({
+    id: 'chestertons',
+    name: 'Chestertons',
+    hosts: ['chestertons.co.uk'],
+    agentName: 'Chestertons',
+
+    isPropertyPage(url) {
+      return /\/properties\/\d+\/lettings\//.test(url);
+    },
+
+    isSearchPage(url) {
+      return /\/properties\/lettings\b/.test(url) || /\/search\b/.test(url);
+    },
+
+    searchCardSelector: '.pegasus-property-card, .property-card, [class*="property-card"]',
+
+    extractPropertyId,
+    extractPropertyData,
+
+    // Floorplan tab content is in the HTML but hidden - read it without clicking tabs,
+    // which avoids triggering lightboxes and scroll-related issues
+    findFloorplans(data, doc) {
+      const urls = findFloorplansInHTML(doc);
+      return urls.length > 0 ? urls : findFloorplansInDOM(doc, adapter);
+    },
+
+    letTypeHints,
+
+    floorplanSelectors: {
+      img: 'img[src*="/files/floorplan/"], img[data-src*="/files/floorplan/"], ' +
+           'img[src*="homeflow-assets"][src*="floorplan"], img[data-src*="homeflow-assets"]',
+    },
+
+    floorplanPatterns: [
+      // homeflow-assets CDN with /files/floorplan/ path (most specific)
+      /https:\/\/[^"'\s]+homeflow-assets[^"'\s]+\/files\/floorplan\/[^"'\s]+\.(jpg|jpeg|png|gif|webp)/i,
+      /https:\/\/[^"'\s]+\/files\/floorplan\/[^"'\s]+\.(jpg|jpeg|png|gif|webp)/i,
+    ],
+  });
+
+  // URL like: /properties/21142524/lettings/KNL220048
+  function extractPropertyId(location) {
+    const match = location.pathname.match(/\/properties\/(\d+)\/lettings\/([a-zA-Z0-9]+)/);
+    return match ? `${match[1]}_${match[2]}` : null;
+  }
+
+  function extractPropertyData(doc) {
+    log(' Extracting Chestertons data from DOM');
+    const data = { _source: 'chestertons' };
+
+    // Get main content text for regex extraction (like spider does)
+    const mainContent = doc.querySelector('main, [role="main"], .property-details, article') || doc.body;
+    const pageText = getText(mainContent);
+
+    // Try to find JSON data in scripts first
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const json = JSON.parse(script.textContent);
+        if (json['@type'] === 'RealEstateListing' || json['@type'] === 'Apartment' || json['@type'] === 'House') {
+          if (json.name) data.address = { displayAddress: json.name };
+          if (json.address?.streetAddress) data.address = { displayAddress: json.address.streetAddress };
+          break;
+        }
+      } catch (e) {}
+    }
+
+    // Address from page - try h1 first (most reliable)
+    if (!data.address) {
+      const h1El = doc.querySelector('h1');
+      if (h1El) {
+        data.address = { displayAddress: h1El.textContent.trim() };
+      }
+    }
+    // Fallback to specific selectors
+    if (!data.address) {
+      const addressEl = doc.querySelector('.property-details__address, .property-address, [class*="address"]');
+      if (addressEl) {
+        data.address = { displayAddress: addressEl.textContent.trim() };
+      }
+    }
+    // Final fallback to title
+    if (!data.address) {
+      const pageTitle = doc.title.replace(/\s*-.*$/, '').replace(/\s*\|.*$/, '').trim();
+      data.address = { displayAddress: pageTitle };
+    }
+
+    // Price - multi-strategy extraction
+    // Strategy 1: DOM-based selectors (most reliable for Chestertons)
+    const priceSelectors = [
+      '.price', '.property-price', '[class*="price"]',
+      '.rent-price', '.asking-price', '.listing-price',
+      '[data-price]', '.property-header__price', '.pdp-price',
+      'h2[class*="price"]', 'span[class*="price"]', 'div[class*="price"]'
+    ];
+
+    let priceFound = false;
+    for (const sel of priceSelectors) {
+      const priceEl = doc.querySelector(sel);
+      if (priceEl) {
+        const priceText = priceEl.textContent.trim();
+        const priceExtracted = window.RFVRent.findRentText(priceText);
+        if (priceExtracted) {
+          data.prices = { primaryPrice: priceExtracted };
+          log(' Chestertons price from DOM:', priceExtracted, 'selector:', sel);
+          priceFound = true;
+          break;
+        }
+      }
+    }
+
+    // Strategy 2: Regex on page text
+    if (!priceFound) {
+      const priceMatch = window.RFVRent.findRentText(pageText);
+      if (priceMatch) {
+        data.prices = { primaryPrice: priceMatch };
+        log(' Chestertons price from pageText:', priceMatch);
+        priceFound = true;
+      }
+    }
+
+    // Strategy 3: Search entire document body
+    if (!priceFound) {
+      const bodyText = getText(doc.body);
+      const bodyPriceMatch = window.RFVRent.findRentText(bodyText);
+      if (bodyPriceMatch) {
+        data.prices = { primaryPrice: bodyPriceMatch };
+        log(' Chestertons price from body text:', bodyPriceMatch);
+        priceFound = true;
+      }
+    }
+
+    // Strategy 4: Fallback - any £X,XXX pattern in body
+    if (!priceFound) {
+      const bodyText = getText(doc.body);
+      const anyPriceMatch = bodyText.match(/£([\d,]+)/);
+      if (anyPriceMatch) {
+        const priceIndex = bodyText.indexOf(anyPriceMatch[0]);
+        const context = bodyText.substring(priceIndex, priceIndex + 50).toLowerCase();
+        const period = context.includes('pw') || context.includes('week') ? 'pw' : 'pcm';
+        data.prices = { primaryPrice: `${anyPriceMatch[0]} ${period}` };
+        log(' Chestertons price fallback:', data.prices.primaryPrice);
+      }
+    }
+
+    // Council tax band (Rightmove-shaped livingCosts), for the monthly cost estimate
+    const councilTaxBand = window.RFVCosts.findCouncilTaxBand(pageText);
+    if (councilTaxBand) data.livingCosts = { councilTaxBand };
+
+    // Bedrooms/Bathrooms - regex on page text (more reliable than DOM selectors)
+    const bedsMatch = pageText.match(/(\d+)\s*(?:bed(?:room)?s?)/i);
+    if (bedsMatch) {
+      data.bedrooms = parseInt(bedsMatch[1], 10);
+    }
+    const bathsMatch = pageText.match(/(\d+)\s*(?:bath(?:room)?s?)/i);
+    if (bathsMatch) {
+      data.bathrooms = parseInt(bathsMatch[1], 10);
+    }
+
+    // Size - look for sqft pattern
+    const sizeMatch = pageText.match(/(\d{1,5}(?:,\d{3})?)\s*(?:sq\.?\s*ft|sqft|square\s*feet)/i);
+    if (sizeMatch) {
+      const sqft = parseInt(sizeMatch[1].replace(/,/g, ''), 10);
+      if (sqft >= 100 && sqft <= 50000) { // Validate reasonable range
+        data.sizings = [{ minimumSize: sqft, unit: 'sqft' }];
+      }
+    }
+
+    // Postcode from address
+    if (data.address?.displayAddress) {
+      const pcMatch = data.address.displayAddress.match(/([A-Z]{1,2}\d{1,2}[A-Z]?\s*\d[A-Z]{2})/i);
+      if (pcMatch) {
+        const parts = pcMatch[1].split(/\s+/);
+        data.address.outcode = parts[0] || '';
+        data.address.incode = parts[1] || '';
+      }
+    }
+
+    // Agent name
+    data.customer = { companyName: 'Chestertons' };
+
+    // Property type from page text
+    const textLower = pageText.toLowerCase();
+    if (textLower.includes('penthouse')) data.propertyType = 'penthouse';
+    else if (textLower.includes('studio')) data.propertyType = 'studio';
+    else if (textLower.includes('house')) data.propertyType = 'house';
+    else if (textLower.includes('maisonette')) data.propertyType = 'maisonette';
+    else if (textLower.includes('apartment')) data.propertyType = 'apartment';
+    else data.propertyType = 'flat';
+
+    // Floorplan - Chestertons uses homeflow-assets CDN with /files/floorplan/ path
+    // CRITICAL: Match spider pattern - look for /files/floorplan/ path, not just domain
+    // Also check data-src for lazy-loaded images
+    const floorplanImg = doc.querySelector(
+      'img[src*="/files/floorplan/"], img[data-src*="/files/floorplan/"], ' +
+      'img[src*="floorplan"], img[data-src*="floorplan"]'
+    );
+    if (floorplanImg) {
+      const url = floorplanImg.src || floorplanImg.dataset.src || floorplanImg.getAttribute('data-src');
+      if (url) data.floorplans = [{ url }];
+    }
+    if (!data.floorplans) {
+      // Try to find in page HTML - use spider's exact pattern
+      const floorplanMatch = doc.body.innerHTML.match(/https:\/\/[^"\s]+\/files\/floorplan\/[^"\s]+/i);
+      if (floorplanMatch) {
+        data.floorplans = [{ url: floorplanMatch[0] }];
+      }
+    }
+
+    // Description - find largest text block
+    const descEl = doc.querySelector('.property-description, [class*="description"], .overview, article p');
+    if (descEl) {
+      data.text = { description: descEl.textContent.trim() };
+    }
+
+    log(' Chestertons extracted:', data);
+    return Object.keys(data).length > 2 ? data : null; // Need more than just _source and customer
+  }
+  function letTypeHints(data, doc, location) {
+    // Chestertons uses various badge/label elements for let type
+    const letTypeSelectors = [
+      '.bg-primary',
+      '[class*="let-type"]',
+      '[class*="lettings-type"]',
+      '[class*="let_type"]',
+      '[class*="badge"]',
+      '[class*="label"]',
+      '[class*="tag"]',
+      '.property-type',
+      '.listing-type',
+    ];
+
+    for (const selector of letTypeSelectors) {
+      const elements = doc.querySelectorAll(selector);
+      for (const el of elements) {
+        const text = el.textContent.toLowerCase().trim();
+        if (text.includes('short let') || text.includes('short-let') ||
+            text === 'short' || text.includes('short term')) {
+          log(' Chestertons short let detected via badge:', text);
+          return 'short';
+        }
+      }
+    }
+
+    // Also check URL path for short let indicator
+    if (location.href.toLowerCase().includes('short')) {
+      log(' Chestertons short let detected via URL');
+      return 'short';
+    }
+
+    // Check page title/heading
+    const pageTitle = doc.querySelector('h1, .property-title, [class*="title"]');
+    if (pageTitle && pageTitle.textContent.toLowerCase().includes('short let')) {
+      log(' Chestertons short let detected via title');
+      return 'short';
+    }
+
+    return null;
+  }
+
+})();
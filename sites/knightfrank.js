@@ -0,0 +1,200 @@
+/**
+ * Knight Frank site adapter
+ * No listing JSON - details are read from page text and selectors
+ */
+
+(function() {
+  'use strict';
+
+  const { log, getText } = window.RFVSites.helpers;
+
+  // Listing IDs are a branch code and number, e.g. CHL012345678
+  const LISTING_ID = /\/[a-z]{3}\d{6,}\/?(?:[?#]|$)/i;
+  // Only rendered listing pages have the detail hero
+  const DETAIL_MARKERS = '.kf-pdp-hero, h1.kf-pdp-hero__title, .kf-pdp-description';
+
+  window.RFVSites.register({
+    id: 'knightfrank',
+    name: 'Knight Frank',
+    hosts: ['knightfrank.co.uk'],
+    agentName: 'Knight Frank',
+
+    isPropertyPage(url) {
+      return /\/properties\//.test(url) && !/\/search/.test(url);
+    },
+
+    isSearchPage(url, doc) {
+      if (/\/search/.test(url)) return true;
+      // Area listings share the /properties/ prefix; detail pages end in a listing ID.
+      // A listing whose ID doesn't look like that is still told apart by its detail hero.
+      if (!/\/properties\/residential\/to-let\//.test(url) || LISTING_ID.test(url)) return false;
+      return !doc?.querySelector(DETAIL_MARKERS);
+    },
+
+    searchCardSelector: '[data-testid*="property-card"], .property-card, [class*="PropertyCard"]',
+
+    extractPropertyId,
+    extractPropertyData,
+
+    letTypeHints(data, doc) {
+      // Check only listing description elements (not full page - causes false positives)
+      const descriptionEls = doc.querySelectorAll(
+        '.property-description, [class*="description"], .kf-pdp-description, .sv-property-description'
+      );
+      for (const el of descriptionEls) {
+        const descText = el.textContent.toLowerCase();
+        if (descText.includes('short let') ||
+            descText.includes('short-term') ||
+            descText.includes('serviced apartment') ||
+            descText.includes('corporate let')) {
+          return 'short';
+        }
+      }
+      return null;
+    },
+
+    floorplanSelectors: {
+      img: 'img[src*="content.knightfrank.com"][src*="floorplan"], img[data-src*="content.knightfrank.com"]',
+      link: 'a[href*="floorplan"]',
+    },
+
+    floorplanPatterns: [
+      /https:\/\/content\.knightfrank\.com\/[^"'\s]*floorplan[^"'\s]*\.(?:jpg|png|jpeg)/i,
+    ],
+  });
+
+  // URL like: /properties/residential/to-let/cadogan-square-knightsbridge-london-sw1x/CHL012345678
+  function extractPropertyId(location) {
+    const match = location.pathname.match(/\/properties\/.*\/([a-zA-Z0-9-]+)\/?$/);
+    return match ? match[1] : null;
+  }
+
+  function extractPropertyData(doc) {
+    log(' Extracting Knight Frank data from DOM');
+    const data = { _source: 'knightfrank' };
+
+    // Get main content text for regex extraction
+    const mainContent = doc.querySelector('main, [role="main"], .property-details, article') || doc.body;
+    const pageText = getText(mainContent);
+
+    // Address - from page title or h1
+    const titleEl = doc.querySelector('h1.kf-pdp-hero__title, h1[class*="title"], .property-address h1, h1');
+    if (titleEl) {
+      data.address = { displayAddress: titleEl.textContent.trim() };
+    } else {
+      const pageTitle = doc.title.replace(/\s*\|.*$/, '').trim();
+      data.address = { displayAddress: pageTitle };
+    }
+
+    // Price - use regex on page text (more reliable)
+    const priceMatch = window.RFVRent.findRentText(pageText);
+    if (priceMatch) {
+      data.prices = { primaryPrice: priceMatch };
+      log(' Knight Frank price found:', priceMatch);
+    } else {
+      // Fallback to DOM selector
+      const priceEl = doc.querySelector('.kf-pdp-hero__price, .property-price, [class*="price"]');
+      if (priceEl) {
+        data.prices = { primaryPrice: priceEl.textContent.trim() };
+      }
+    }
+
+    // Council tax band (Rightmove-shaped livingCosts), for the monthly cost estimate
+    const councilTaxBand = window.RFVCosts.findCouncilTaxBand(pageText);
+    if (councilTaxBand) data.livingCosts = { councilTaxBand };
+
+    // Bedrooms/Bathrooms - regex on page text
+    const bedsMatch = pageText.match(/(\d+)\s*(?:bed(?:room)?s?)/i);
+    if (bedsMatch) {
+      data.bedrooms = parseInt(bedsMatch[1], 10);
+    }
+    const bathsMatch = pageText.match(/(\d+)\s*(?:bath(?:room)?s?)/i);
+    if (bathsMatch) {
+      data.bathrooms = parseInt(bathsMatch[1], 10);
+    }
+    const receptionsMatch = pageText.match(/(\d+)\s*(?:reception)/i);
+    if (receptionsMatch) {
+      data.receptions = parseInt(receptionsMatch[1], 10);
+    }
+
+    // Size in sqft - search in main content only
+    const sizeMatch = pageText.match(/(\d{1,5}(?:,\d{3})?)\s*(?:sq\.?\s*ft|sqft|square\s*feet)/i);
+    if (sizeMatch) {
+      const sqft = parseInt(sizeMatch[1].replace(/,/g, ''), 10);
+      if (sqft >= 100 && sqft <= 50000) {
+        data.sizings = [{ minimumSize: sqft, unit: 'sqft' }];
+      }
+    }
+
+    // Postcode from address - FIXED split bug
+    if (data.address?.displayAddress) {
+      const pcMatch = data.address.displayAddress.match(/([A-Z]{1,2}\d{1,2}[A-Z]?\s*\d[A-Z]{2})/i);
+      if (pcMatch) {
+        const parts = pcMatch[1].split(/\s+/);
+        data.address.outcode = parts[0] || '';
+        data.address.incode = parts[1] || '';
+      }
+    }
+
+    // Property type from page text
+    const textLower = pageText.toLowerCase();
+    if (textLower.includes('penthouse')) data.propertyType = 'penthouse';
+    else if (textLower.includes('studio')) data.propertyType = 'studio';
+    else if (textLower.includes('house')) data.propertyType = 'house';
+    else if (textLower.includes('maisonette')) data.propertyType = 'maisonette';
+    else if (textLower.includes('apartment')) data.propertyType = 'apartment';
+    else data.propertyType = 'flat';
+
+    // Agent name
+    data.customer = { companyName: 'Knight Frank' };
+
+    // Floorplan URL - Knight Frank CDN (content.knightfrank.com)
+    // Spider checks: 1) anchor tags with "Floorplan" text, 2) images, 3) data-src for lazy loading
+
+    // Houses often have one floorplan per floor, so every match is kept
+    // 1. Check anchor tags first (spider pattern)
+    const linkUrls = [...doc.querySelectorAll('a[href*="floorplan"], a[href*="Floorplan"]')]
+      .map(link => link.href)
+      .filter(href => href && (href.includes('.jpg') || href.includes('.png') || href.includes('.jpeg') || href.includes('content.knightfrank.com')));
+    if (linkUrls.length > 0) {
+      data.floorplans = [...new Set(linkUrls)].map(url => ({ url }));
+    }
+
+    // 2. Check images with src or data-src
+    if (!data.floorplans) {
+      const imgUrls = [...doc.querySelectorAll(
+        'img[src*="content.knightfrank.com"][src*="floorplan"], ' +
+        'img[data-src*="content.knightfrank.com"][data-src*="floorplan"], ' +
+        'img[src*="floorplan"], img[data-src*="floorplan"]'
+      )].map(img => img.src || img.dataset.src || img.getAttribute('data-src')).filter(Boolean);
+      if (imgUrls.length > 0) {
+        data.floorplans = [...new Set(imgUrls)].map(url => ({ url }));
+      }
+    }
+
+    // 3. Regex fallback on page HTML
+    if (!data.floorplans) {
+      const floorplanMatches = doc.body.innerHTML.match(/https:\/\/content\.knightfrank\.com\/[^"'\s]*(?:floorplan|floor-plan)[^"'\s]*\.(?:jpg|png|jpeg)/gi);
+      if (floorplanMatches) {
+        data.floorplans = [...new Set(floorplanMatches)].map(url => ({ url }));
+      }
+    }
+
+    // Description
+    const descEl = doc.querySelector('.kf-pdp-description, .property-description, [class*="description"]');
+    if (descEl) {
+      data.text = { description: descEl.textContent.trim() };
+    }
+
+    // Key features
+    const keyFeatures = [];
+    doc.querySelectorAll('.kf-pdp-features li, .key-feature, [class*="feature"] li').forEach(li => {
+      keyFeatures.push(li.textContent.trim());
+    });
+    if (keyFeatures.length > 0) data.keyFeatures = keyFeatures;
+
+    log(' Knight Frank extracted:', data);
+    return Object.keys(data).length > 2 ? data : null;
+  }
+
+})();
@@ -0,0 +1,130 @@
+/**
+ * OnTheMarket site adapter
+ * Listing data comes from __NEXT_DATA__ redux state or the legacy __OTM__.jsonData
+ * assignment, with a DOM fallback after client-side navigation
+ */
+
+(function() {
+  'use strict';
+
+  const { log, getText, findScriptJson, getNextData, extractFromPageText, setPostcodeParts, letTypeLabelHint } = window.RFVSites.helpers;
+
+  window.RFVSites.register({
+    id: 'onthemarket',
+    name: 'OnTheMarket',
+    hosts: ['onthemarket.com'],
+
+    isPropertyPage(url) {
+      return /\/details\/\d+/.test(url);
+    },
+
+    isSearchPage(url) {
+      return /\/to-rent\/property\//.test(url);
+    },
+
+    searchCardSelector: '.otm-PropertyCard, [class*="PropertyCard"], li[id^="result-"]',
+
+    extractPropertyId,
+    extractPropertyData,
+
+    letTypeHints: letTypeLabelHint,
+
+    floorplanSelectors: {
+      img: 'img[src*="media.onthemarket.com"][src*="floor" i], img[alt*="floor plan" i]',
+    },
+  });
+
+  // URL like: /details/14123456/
+  function extractPropertyId(location) {
+    const match = location.pathname.match(/\/details\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  function extractPropertyData(doc, location) {
+    const propertyId = extractPropertyId(location);
+
+    // Strategy 1: __NEXT_DATA__ redux state (only if it is this listing - see getNextData)
+    const nextData = getNextData(doc);
+    const property = nextData?.props?.initialReduxState?.property || nextData?.props?.pageProps?.property;
+    if (property && String(property.id) === propertyId) {
+      log(' Found via OnTheMarket __NEXT_DATA__');
+      return normalizeOnTheMarketProperty(property);
+    }
+
+    // Strategy 2: legacy __OTM__.jsonData assignment
+    const legacy = findScriptJson(doc, /__OTM__\.jsonData\s*=\s*/);
+    if (legacy && String(legacy.id) === propertyId) {
+      log(' Found via __OTM__.jsonData');
+      return normalizeOnTheMarketProperty(legacy);
+    }
+
+    // Strategy 3: DOM
+    log(' Extracting OnTheMarket data from DOM');
+    const data = { _source: 'onthemarket' };
+    const mainContent = doc.querySelector('main, [role="main"]') || doc.body;
+    const pageText = getText(mainContent);
+
+    const addressEl = doc.querySelector('.otm-Address, [class*="address" i], h1');
+    data.address = { displayAddress: addressEl?.textContent.trim() || doc.title.replace(/\s*-.*$/, '').trim() };
+    extractFromPageText(data, pageText);
+
+    const floorplanImgs = [...doc.querySelectorAll(
+      'img[src*="media.onthemarket.com"][src*="floor" i], img[alt*="floor plan" i], img[alt*="floorplan" i]'
+    )].filter(img => img.src);
+    if (floorplanImgs.length > 0) data.floorplans = floorplanImgs.map(img => ({ url: img.src }));
+
+    const descEl = doc.querySelector('.description-text, [class*="description" i]');
+    if (descEl) data.text = { description: descEl.textContent.trim() };
+
+    log(' OnTheMarket extracted:', data);
+    return data.prices ? data : null;
+  }
+  // Room count from a number or numeric string, undefined if not stated
+  function parseCount(value) {
+    const count = parseInt(value, 10);
+    return Number.isFinite(count) ? count : undefined;
+  }
+
+  function normalizeOnTheMarketProperty(property) {
+    const data = { _source: 'onthemarket' };
+
+    data.address = { displayAddress: property.displayAddress || property['display-address'] || property.address || '' };
+    setPostcodeParts(data.address, property.postcode || data.address.displayAddress);
+
+    const price = property.price || property['price-text'] || property.priceText;
+    data.prices = { primaryPrice: typeof price === 'number' ? `£${price} pcm` : (price || '') };
+    // A studio's 0 bedrooms is a real count
+    data.bedrooms = parseCount(property.bedrooms);
+    data.bathrooms = parseCount(property.bathrooms);
+
+    // Size is only present on some listings, as "minimum-area" text or a numeric field
+    const sizeText = property['minimum-area'] || property.minimumArea || property.size || '';
+    const sqftMatch = String(sizeText).match(/([\d,]+)\s*(?:sq\.?\s*ft|sqft)/i);
+    const sqmMatch = String(sizeText).match(/([\d,]+)\s*(?:sq\.?\s*m|sqm|m²)/i);
+    if (sqftMatch) data.sizings = [{ minimumSize: parseInt(sqftMatch[1].replace(/,/g, ''), 10), unit: 'sqft' }];
+    else if (sqmMatch) data.sizings = [{ minimumSize: parseInt(sqmMatch[1].replace(/,/g, ''), 10), unit: 'sqm' }];
+
+    const location = property.location || {};
+    if (location.lat) {
+      data.location = { latitude: parseFloat(location.lat), longitude: parseFloat(location.lon) };
+    }
+
+    data.propertyType = property.propertyType || property['property-type'] || property.humanisedPropertyType || '';
+    data.text = { description: property.description || '' };
+    data.keyFeatures = (property.features || []).map(f => typeof f === 'string' ? f : f.feature || '');
+    data.customer = { companyName: property.agent?.name || property.agent?.companyName || '' };
+
+    const floorplans = property.floorplans || [];
+    if (floorplans.length > 0) {
+      data.floorplans = floorplans
+        .map(f => ({ url: f['large-url'] || f.largeUrl || f.url }))
+        .filter(f => f.url);
+    }
+
+    const letType = property.letType || property['let-type'] || property.lettingsInfo?.letType;
+    if (letType) data.lettings = { letType: String(letType) };
+
+    return data;
+  }
+
+})();
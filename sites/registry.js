@@ -0,0 +1,505 @@
+/**
+ * Site Adapter Registry for Rent Fair Value Chrome Extension
+ * Each supported site is a separate script in sites/ that registers one adapter.
+ * content.js only talks to the adapter detected for the current hostname.
+ *
+ * Adapter interface:
+ * {
+ *   id: 'rightmove',                    // Stored with history entries and sent to analytics
+ *   name: 'Rightmove',
+ *   hosts: ['rightmove.co.uk'],         // Hostname substrings this adapter handles
+ *   isPropertyPage(url) -> boolean,     // Listing detail page (also used for SPA route changes)
+ *   isSearchPage(url, doc) -> boolean,  // Optional: search results page for card badges
+ *                                       // (doc is the current page, for DOM checks)
+ *   searchCardSelector: '...',          // Optional: CSS selector for search result cards
+ *   extractPropertyId(location) -> string|null,
+ *   extractPropertyData(doc, location) -> object|null,  // Rightmove-shaped propertyData
+ *   findFloorplans(data, doc) -> string[],  // Optional: defaults to findFloorplanUrls()
+ *   findEpcUrls(data, doc) -> string[],     // Optional: defaults to helpers.findEpcUrls()
+ *   letTypeHints(data, doc, location) -> 'short'|null, // Optional: site-specific short-let signals
+ *   agentName: 'Knight Frank',          // Optional: fallback agent name for single-agent sites
+ *   floorplanSelectors: { img, link },  // Optional: site-specific floorplan selectors
+ *   floorplanPatterns: [RegExp],        // Optional: floorplan CDN URL patterns (searched on all sites)
+ *   structuredData: true,               // Optional: propertyData is the site's own listing JSON,
+ *                                       // so skip page-text guesses for type and floorplan
+ * }
+ *
+ * To add a private adapter, load another script after registry.js (and before
+ * content.js) that calls window.RFVSites.register({...}).
+ *
+ * Adapters must only touch the doc/location they are passed (never the global
+ * document or window.location) and read text through helpers.getText(), so they
+ * also run against saved listing HTML outside the browser.
+ */
+
+(function() {
+  'use strict';
+
+  const DEBUG = true;
+
+  function log(...args) {
+    if (DEBUG) console.log('[RFV]', ...args);
+  }
+
+  const REQUIRED_FIELDS = ['id', 'hosts', 'isPropertyPage', 'extractPropertyId', 'extractPropertyData'];
+
+  const adapters = [];
+
+  /**
+   * Register a site adapter (replaces any adapter with the same id)
+   * @param {object} adapter - See interface above
+   */
+  function register(adapter) {
+    const missing = REQUIRED_FIELDS.filter(field => !adapter?.[field]);
+    if (missing.length > 0) {
+      throw new Error(`Site adapter ${adapter?.id || '(unnamed)'} is missing: ${missing.join(', ')}`);
+    }
+
+    const existing = adapters.findIndex(a => a.id === adapter.id);
+    if (existing >= 0) adapters.splice(existing, 1);
+    adapters.push(adapter);
+    return adapter;
+  }
+
+  // Adapter for a hostname, or null for unsupported sites
+  function detect(hostname) {
+    return adapters.find(a => a.hosts.some(host => hostname.includes(host))) || null;
+  }
+
+  function get(id) {
+    return adapters.find(a => a.id === id) || null;
+  }
+
+  function all() {
+    return [...adapters];
+  }
+
+  // ============================================
+  // SHARED EXTRACTION HELPERS
+  // ============================================
+
+  /**
+   * Rendered text of an element
+   * Falls back to textContent where there is no layout engine (e.g. saved HTML
+   * snapshots loaded into jsdom), so extractors can run against offline fixtures
+   */
+  function getText(el) {
+    if (!el) return '';
+    return (typeof el.innerText === 'string' ? el.innerText : el.textContent) || '';
+  }
+
+  /**
+   * Parse a JSON object literal assigned in an inline script, e.g. window.PAGE_MODEL = {...}
+   * @param {Document} doc
+   * @param {RegExp} assignmentPattern - Matches everything up to the opening brace
+   * @returns {object|null}
+   */
+  function findScriptJson(doc, assignmentPattern) {
+    for (const script of doc.querySelectorAll('script')) {
+      const text = script.textContent || '';
+      const match = text.match(assignmentPattern);
+      if (match) {
+        try {
+          const start = match.index + match[0].length;
+          let braceCount = 0, i = start;
+          while (i < text.length) {
+            if (text[i] === '{') braceCount++;
+            else if (text[i] === '}' && --braceCount === 0) break;
+            i++;
+          }
+          return JSON.parse(text.slice(start, i + 1));
+        } catch (e) {}
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse __NEXT_DATA__ (Next.js sites)
+   * NOTE: Next.js does not refresh this script on client-side navigation, so after
+   * an SPA route change it still describes the first listing that was loaded.
+   * Callers must check the embedded listing ID against extractPropertyId().
+   */
+  function getNextData(doc) {
+    const nextDataScript = doc.getElementById('__NEXT_DATA__');
+    if (!nextDataScript) return null;
+    try {
+      return JSON.parse(nextDataScript.textContent);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Shared DOM/regex fallback for portals when no embedded JSON matches the URL
+   * Fills price, beds, baths, size, council tax band and postcode from visible page text
+   */
+  function extractFromPageText(data, pageText) {
+    const rentText = window.RFVRent.findRentText(pageText);
+    if (rentText) data.prices = { primaryPrice: rentText };
+
+    const bedsMatch = pageText.match(/(\d+)\s*(?:bed(?:room)?s?)/i);
+    if (bedsMatch) data.bedrooms = parseInt(bedsMatch[1], 10);
+    const bathsMatch = pageText.match(/(\d+)\s*(?:bath(?:room)?s?)/i);
+    if (bathsMatch) data.bathrooms = parseInt(bathsMatch[1], 10);
+
+    const sizeMatch = pageText.match(/(\d{1,5}(?:,\d{3})?)\s*(?:sq\.?\s*ft|sqft|square\s*feet)/i);
+    if (sizeMatch) {
+      const sqft = parseInt(sizeMatch[1].replace(/,/g, ''), 10);
+      if (sqft >= 100 && sqft <= 50000) data.sizings = [{ minimumSize: sqft, unit: 'sqft' }];
+    }
+
+    const councilTaxBand = window.RFVCosts.findCouncilTaxBand(pageText);
+    if (councilTaxBand) data.livingCosts = { councilTaxBand };
+
+    if (data.address?.displayAddress) {
+      setPostcodeParts(data.address, data.address.displayAddress);
+    }
+    return data;
+  }
+
+  // Split a postcode (full or outcode only) found in text into outcode/incode
+  function setPostcodeParts(address, text) {
+    const pcMatch = (text || '').match(/\b([A-Z]{1,2}\d{1,2}[A-Z]?)(?:\s*(\d[A-Z]{2}))?\b/i);
+    if (pcMatch) {
+      address.outcode = pcMatch[1].toUpperCase();
+      address.incode = (pcMatch[2] || '').toUpperCase();
+    }
+  }
+
+  // ============================================
+  // SHARED LET TYPE DETECTION
+  // ============================================
+
+  // Description, property phrase, update reason and key features as one string
+  function listingText(data) {
+    return [
+      data.text?.description || '',
+      data.text?.propertyPhrase || '',
+      data.listingUpdate?.listingUpdateReason || '',
+      ...(data.keyFeatures || [])
+    ].join(' ');
+  }
+
+  /**
+   * letTypeHints for portals whose key information block lists "Let type: Short term"
+   * (Zoopla, OnTheMarket). Only the main content is read, not the whole page.
+   * @returns {string|null} 'short' or null
+   */
+  function letTypeLabelHint(data, doc) {
+    const mainContent = doc.querySelector('main, [role="main"]') || doc.body;
+    if (/let\s*type[:\s]*short/i.test(getText(mainContent))) {
+      log(' Short let detected via let type label');
+      return 'short';
+    }
+    return null;
+  }
+
+  const SHORT_LET_PHRASES = [
+    'short let', 'short-let', 'short term', 'short-term',
+    'serviced apartment', 'serviced accommodation', 'holiday let', 'corporate let',
+    'minimum 1 month', 'minimum one month', 'min 1 month',
+  ];
+
+  /**
+   * Let type for a listing on any supported site
+   * @param {object} data - propertyData from adapter.extractPropertyData()
+   * @param {Document} doc
+   * @param {Location|URL} location
+   * @param {object|null} adapter - Adapter for the site, for its letTypeHints()
+   * @returns {string} 'short' for short-term lets, 'long' otherwise
+   */
+  function detectLetType(data, doc, location, adapter) {
+    // 1. Rightmove-specific: Check lettings.letType field
+    if (data.lettings?.letType) {
+      const letType = data.lettings.letType.toLowerCase();
+      if (letType.includes('short')) return 'short';
+    }
+
+    // 2. Check channel field (sometimes indicates short let)
+    if (data.channel?.toLowerCase().includes('short')) return 'short';
+
+    // 3. Check description/property phrase for short let keywords
+    const textToCheck = listingText(data).toLowerCase();
+    if (SHORT_LET_PHRASES.some(phrase => textToCheck.includes(phrase))) {
+      return 'short';
+    }
+
+    // 4. Check site-specific let type indicators (NOT full page text - causes false positives)
+    if (adapter?.letTypeHints?.(data, doc, location) === 'short') {
+      return 'short';
+    }
+
+    // 5. Check URL (but only for explicit short-let paths, not navigation)
+    const urlPath = location.pathname.toLowerCase();
+    if (urlPath.includes('short-let') || urlPath.includes('short_let')) {
+      return 'short';
+    }
+
+    return 'long';
+  }
+
+  // ============================================
+  // SHARED FLOORPLAN DISCOVERY
+  // ============================================
+
+  // Floorplan CDN patterns from every registered adapter, most specific first
+  function allFloorplanPatterns() {
+    return adapters.flatMap(a => a.floorplanPatterns || []);
+  }
+
+  // Every match of a (non-global) URL pattern, in page order
+  function matchAllUrls(html, pattern) {
+    const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+    return [...html.matchAll(global)].map(match => match[0]);
+  }
+
+  // Drop empty and repeated URLs, keeping the first occurrence
+  function uniqueUrls(urls) {
+    return [...new Set(urls.filter(Boolean))];
+  }
+
+  /**
+   * Default floorplan finder: page data first, then (for sites without listing JSON)
+   * the adapter's selectors, generic floorplan images/links and CDN patterns
+   * Houses and maisonettes often have one image per floor (or a separate annex plan),
+   * so every floorplan from the first source that has any is returned.
+   * @returns {string[]} Floorplan image URLs (empty if none found)
+   */
+  function findFloorplanUrls(data, doc, adapter) {
+    // Helper to extract best URL from img element, preferring data-src for lazy loading
+    // and avoiding placeholder/data URLs
+    function getBestImgUrl(img) {
+      if (!img) return null;
+      const dataSrc = img.dataset?.src || img.getAttribute('data-src');
+      const src = img.getAttribute('src') || img.src;
+
+      // Prefer data-src if it contains floorplan pattern (lazy-loaded actual URL)
+      if (dataSrc && (dataSrc.includes('floorplan') || dataSrc.includes('/files/'))) {
+        return dataSrc;
+      }
+
+      // Use src only if it's a real URL (not placeholder/data URI)
+      if (src && !src.startsWith('data:') && !src.includes('placeholder') && !src.includes('loading')) {
+        // Check if src has floorplan pattern
+        if (src.includes('floorplan') || src.includes('/files/')) {
+          return src;
+        }
+      }
+
+      // Fallback: return whichever exists
+      return dataSrc || (src && !src.startsWith('data:') ? src : null);
+    }
+
+    // Check floorplans array (works for all sites)
+    const floorplans = uniqueUrls((data.floorplans || []).map(f => f.url || f.srcUrl));
+    if (floorplans.length > 0) return floorplans;
+
+    // Check media array (Rightmove)
+    const media = uniqueUrls((data.media || [])
+      .filter(m => m.type === 'floorplan' || (m.url && m.url.includes('_FLP_')))
+      .map(m => m.url || m.srcUrl));
+    if (media.length > 0) return media;
+
+    if (adapter?.structuredData) return [];
+
+    // Check site-specific selectors first
+    const { img: imgSelector, link: linkSelector } = adapter?.floorplanSelectors || {};
+    if (imgSelector) {
+      const urls = uniqueUrls([...doc.querySelectorAll(imgSelector)].map(getBestImgUrl));
+      if (urls.length > 0) return urls;
+    }
+
+    if (linkSelector) {
+      const urls = uniqueUrls([...doc.querySelectorAll(linkSelector)].map(a => a.href));
+      if (urls.length > 0) return urls;
+    }
+
+    // Generic fallback - check for floorplan images (including data-src for lazy loading)
+    const floorplanImgs = uniqueUrls([...doc.querySelectorAll(
+      'img[src*="floorplan"], img[src*="floor-plan"], img[src*="Floorplan"], ' +
+      'img[data-src*="floorplan"], img[data-src*="floor-plan"], ' +
+      'img[alt*="floorplan" i], img[alt*="floor plan" i], ' +
+      '.floorplan img, [class*="floorplan"] img, [data-type="floorplan"] img'
+    )].map(getBestImgUrl));
+    if (floorplanImgs.length > 0) return floorplanImgs;
+
+    // Check for floorplan links
+    const floorplanLinks = uniqueUrls([...doc.querySelectorAll(
+      'a[href*="floorplan"], a[href*="floor-plan"], ' +
+      '[class*="floorplan"] a, [data-type="floorplan"] a'
+    )].map(a => a.href));
+    if (floorplanLinks.length > 0) return floorplanLinks;
+
+    // Final fallback - regex search in page HTML for known CDN patterns
+    const htmlContent = doc.body.innerHTML;
+    for (const pattern of allFloorplanPatterns()) {
+      const urls = uniqueUrls(matchAllUrls(htmlContent, pattern));
+      if (urls.length > 0) return urls;
+    }
+
+    return [];
+  }
+
+  // ============================================
+  // SHARED EPC DISCOVERY
+  // ============================================
+
+  const EPC_URL = /(?:^|[^a-z])epc(?:graph)?(?:[^a-z]|$)|energy[-_]?performance/i;
+  const EPC_LABEL = /\bEPC\b|energy\s+performance/i;
+
+  /**
+   * Default EPC finder: page data first, then (for sites without listing JSON) EPC graph
+   * images and certificate links in the page, images first
+   * @returns {string[]} EPC image and PDF URLs (empty if none found)
+   */
+  function findEpcUrls(data, doc, adapter) {
+    // Rightmove lists EPC graphs (and sometimes certificate PDFs) next to its floorplans
+    const graphs = uniqueUrls((data.epcGraphs || []).map(e => e.url || e.srcUrl));
+    if (graphs.length > 0 || adapter?.structuredData) return graphs;
+
+    const images = [...doc.querySelectorAll('img')]
+      .map(img => ({ url: img.dataset?.src || img.getAttribute('src'), alt: img.getAttribute('alt') || '' }))
+      .filter(({ url, alt }) => url && !url.startsWith('data:') && (EPC_URL.test(url) || EPC_LABEL.test(alt)))
+      .map(({ url }) => new URL(url, doc.baseURI).href);
+    const links = [...doc.querySelectorAll('a[href]')]
+      .filter(a => EPC_URL.test(a.href) || (/\.pdf\b/i.test(a.href) && EPC_LABEL.test(getText(a))))
+      .map(a => a.href);
+    return uniqueUrls([...images, ...links]);
+  }
+
+  /**
+   * Extract floorplan URLs directly from page HTML without clicking any tabs
+   * This searches the full HTML including hidden tab panels
+   * @returns {string[]} Every floorplan from the first pattern that matches (empty if none)
+   */
+  function findFloorplansInHTML(doc) {
+    const html = doc.documentElement.innerHTML;
+
+    // Site CDN patterns, then generic floorplan in URL (last resort)
+    const patterns = [
+      ...allFloorplanPatterns(),
+      /https:\/\/[^"'\s]+floorplan[^"'\s]+\.(jpg|jpeg|png|gif|webp)/i,
+    ];
+
+    for (const pattern of patterns) {
+      const urls = uniqueUrls(matchAllUrls(html, pattern)
+        // Clean up the URL (remove trailing quotes, escapes)
+        .map(match => match.replace(/["'\\]+$/, '').replace(/\\u002F/g, '/'))
+        // Skip tiny thumbnails
+        .filter(url => !url.includes('thumb') && !url.includes('_t.') && !url.includes('_small')));
+      if (urls.length > 0) {
+        log(' findFloorplansInHTML found:', urls.join(', '));
+        return urls;
+      }
+    }
+
+    // Also check for data-src attributes in hidden elements
+    const hiddenImgs = doc.querySelectorAll(
+      '[style*="display: none"] img[data-src*="floorplan"], ' +
+      '[style*="display:none"] img[data-src*="floorplan"], ' +
+      '[hidden] img[data-src*="floorplan"], ' +
+      '[aria-hidden="true"] img[data-src*="floorplan"], ' +
+      '.hidden img[data-src*="floorplan"], ' +
+      '[role="tabpanel"][hidden] img, ' +
+      '[role="tabpanel"][aria-hidden="true"] img'
+    );
+
+    const hiddenUrls = uniqueUrls([...hiddenImgs]
+      .map(img => img.dataset?.src || img.getAttribute('data-src') || img.src)
+      .filter(url => url && (url.includes('floorplan') || url.includes('/files/'))));
+    if (hiddenUrls.length > 0) {
+      log(' findFloorplansInHTML found in hidden elements:', hiddenUrls.join(', '));
+      return hiddenUrls;
+    }
+
+    return [];
+  }
+
+  /**
+   * Search the DOM (including hidden elements) for floorplan images
+   * Tries the adapter's own selectors before generic ones
+   * @returns {string[]} Every image matching the first selector that finds any (empty if none)
+   */
+  function findFloorplansInDOM(doc, adapter) {
+    // Helper to get best URL from img element
+    function getBestUrl(img) {
+      if (!img) return null;
+      const dataSrc = img.dataset?.src || img.getAttribute('data-src');
+      const src = img.getAttribute('src') || img.src;
+
+      // Skip placeholders and data URIs
+      if (src && src.startsWith('data:')) return dataSrc || null;
+      if (src && src.includes('placeholder')) return dataSrc || null;
+
+      // Prefer data-src for lazy-loaded images
+      if (dataSrc && (dataSrc.includes('floorplan') || dataSrc.includes('/files/'))) {
+        return dataSrc;
+      }
+      if (src && (src.includes('floorplan') || src.includes('/files/'))) {
+        return src;
+      }
+      return dataSrc || src || null;
+    }
+
+    const selectors = [
+      ...(adapter?.floorplanSelectors?.img ? [adapter.floorplanSelectors.img] : []),
+      // Generic patterns
+      'img[src*="floorplan"]',
+      'img[data-src*="floorplan"]',
+      'img[alt*="floorplan" i]',
+      'img[alt*="floor plan" i]',
+      '.floorplan img',
+      '[class*="floorplan"] img',
+    ];
+
+    for (const selector of selectors) {
+      try {
+        const urls = uniqueUrls([...doc.querySelectorAll(selector)].map(getBestUrl))
+          .filter(url => url.length > 10);
+        if (urls.length > 0) {
+          log(` Found ${urls.length} floorplan(s) via selector:`, selector);
+          return urls;
+        }
+      } catch (e) {
+        // Invalid selector, skip
+      }
+    }
+
+    // Fallback: regex search in page HTML for CDN patterns
+    const html = doc.body.innerHTML;
+    for (const pattern of allFloorplanPatterns()) {
+      const urls = uniqueUrls(matchAllUrls(html, pattern));
+      if (urls.length > 0) {
+        log(` Found ${urls.length} floorplan(s) via regex:`, urls[0].substring(0, 50) + '...');
+        return urls;
+      }
+    }
+
+    return [];
+  }
+
+  // Expose globally for site adapters and content.js
+  window.RFVSites = {
+    register,
+    detect,
+    get,
+    all,
+    helpers: {
+      log,
+      getText,
+      findScriptJson,
+      getNextData,
+      extractFromPageText,
+      setPostcodeParts,
+      listingText,
+      letTypeLabelHint,
+      detectLetType,
+      findFloorplanUrls,
+      findFloorplansInHTML,
+      findFloorplansInDOM,
+      findEpcUrls,
+    },
+  };
+
+})();
@@ -0,0 +1,52 @@
+/**
+ * Rightmove site adapter
+ * Listing data comes from the page's own JSON (__NEXT_DATA__ or window.PAGE_MODEL)
+ */
+
+(function() {
+  'use strict';
+
+  const { log, findScriptJson, getNextData } = window.RFVSites.helpers;
+
+  window.RFVSites.register({
+    id: 'rightmove',
+    name: 'Rightmove',
+    hosts: ['rightmove.co.uk'],
+    structuredData: true,
+
+    isPropertyPage(url) {
+      return /\/properties\/\d+/.test(url);
+    },
+
+    isSearchPage(url) {
+      return /\/property-to-rent\//.test(url);
+    },
+
+    searchCardSelector: '[data-testid="propertyCard"], .l-searchResult, .propertyCard',
+
+    extractPropertyId(location) {
+      const match = location.pathname.match(/\/properties\/(\d+)/);
+      return match ? match[1] : null;
+    },
+
+    extractPropertyData(doc) {
+      // Strategy 1: __NEXT_DATA__
+      const propertyData = getNextData(doc)?.props?.pageProps?.propertyData;
+      if (propertyData) {
+        log(' Found via __NEXT_DATA__');
+        return propertyData;
+      }
+
+      // Strategy 2: window.PAGE_MODEL
+      const pageModel = findScriptJson(doc, /window\.PAGE_MODEL\s*=\s*/);
+      if (pageModel?.propertyData) {
+        log(' Found via PAGE_MODEL');
+        return pageModel.propertyData;
+      }
+
+      log(' No Rightmove property data found');
+      return null;
+    },
+  });
+
+})();
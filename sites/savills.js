@@ -0,0 +1,239 @@
+/**
+ * Savills site adapter
+ * No listing JSON - details are read from JSON-LD, page text and selectors.
+ * Floorplans sit in a "Plans" tab, so they are found in the raw HTML.
+ */
+
+(function() {
+  'use strict';
+
+  const { log, getText, findFloorplansInHTML, findFloorplansInDOM } = window.RFVSites.helpers;
+
+  const adapter = window.RFVSites.register({
+    id: 'savills',
+    name: 'Savills',
+    hosts: ['savills.com'],
+    agentName: 'Savills',
+
+    isPropertyPage(url) {
+      return /\/property-detail\//.test(url);
+    },
+
+    isSearchPage(url) {
+      return /\/list\b/.test(url);
+    },
+
+    searchCardSelector: '.sv-property-card, [class*="sv-property-card"], [class*="PropertyCard"]',
+
+    extractPropertyId,
+    extractPropertyData,
+
+    // Plans tab content is in the HTML but hidden - read it without clicking tabs
+    findFloorplans(data, doc) {
+      const urls = findFloorplansInHTML(doc);
+      return urls.length > 0 ? urls : findFloorplansInDOM(doc, adapter);
+    },
+
+    letTypeHints(data, doc) {
+      // Check only listing description elements (not full page - causes false positives)
+      const descriptionEls = doc.querySelectorAll(
+        '.property-description, [class*="description"], .kf-pdp-description, .sv-property-description'
+      );
+      for (const el of descriptionEls) {
+        const descText = el.textContent.toLowerCase();
+        if (descText.includes('short let') ||
+            descText.includes('short-term') ||
+            descText.includes('serviced apartment') ||
+            descText.includes('corporate let')) {
+          return 'short';
+        }
+      }
+      return null;
+    },
+
+    floorplanSelectors: {
+      img: '.sv-pdp-floorplan img, [data-type="floorplan"] img, [data-tab="plans"] img',
+    },
+
+    floorplanPatterns: [
+      /https:\/\/[^"'\s]*savills[^"'\s]*(?:floorplan|floor-plan|_fp)[^"'\s]*\.(?:jpg|png|jpeg)/i,
+    ],
+  });
+
+  // URL like: /property-detail/abc123xyz
+  function extractPropertyId(location) {
+    const match = location.pathname.match(/\/property-detail\/([a-zA-Z0-9-]+)/);
+    return match ? match[1] : null;
+  }
+
+  function extractPropertyData(doc) {
+    log(' Extracting Savills data from DOM');
+    const data = { _source: 'savills' };
+
+    // Get main content text for regex extraction
+    const mainContent = doc.querySelector('main, [role="main"], .property-details, article') || doc.body;
+    const pageText = getText(mainContent);
+
+    // Try JSON-LD first
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const json = JSON.parse(script.textContent);
+        if (json['@type'] === 'RealEstateListing' || json['@type'] === 'Apartment') {
+          if (json.name) data.address = { displayAddress: json.name };
+          if (json.address?.streetAddress) data.address = { displayAddress: json.address.streetAddress };
+          break;
+        }
+      } catch (e) {}
+    }
+
+    // Address - try h1 first
+    if (!data.address) {
+      const h1El = doc.querySelector('h1');
+      if (h1El) {
+        data.address = { displayAddress: h1El.textContent.trim() };
+      }
+    }
+    if (!data.address) {
+      const addressEl = doc.querySelector('.sv-property-header__address, .property-address, [class*="address"]');
+      if (addressEl) {
+        data.address = { displayAddress: addressEl.textContent.trim() };
+      }
+    }
+    if (!data.address) {
+      const pageTitle = doc.title.replace(/\s*-.*$/, '').replace(/\s*\|.*$/, '').trim();
+      data.address = { displayAddress: pageTitle };
+    }
+
+    // Price - use regex on page text (more reliable)
+    const priceMatch = window.RFVRent.findRentText(pageText);
+    if (priceMatch) {
+      data.prices = { primaryPrice: priceMatch };
+      log(' Savills price found:', priceMatch);
+    } else {
+      // Fallback to DOM selector
+      const priceEl = doc.querySelector('.sv-property-header__price, .sv-pdp-hero__price, .property-price, [class*="price"]');
+      if (priceEl) {
+        data.prices = { primaryPrice: priceEl.textContent.trim() };
+      }
+    }
+
+    // Council tax band (Rightmove-shaped livingCosts), for the monthly cost estimate
+    const councilTaxBand = window.RFVCosts.findCouncilTaxBand(pageText);
+    if (councilTaxBand) data.livingCosts = { councilTaxBand };
+
+    // Bedrooms/Bathrooms - regex on page text
+    const bedsMatch = pageText.match(/(\d+)\s*(?:bed(?:room)?s?)/i);
+    if (bedsMatch) {
+      data.bedrooms = parseInt(bedsMatch[1], 10);
+    }
+    const bathsMatch = pageText.match(/(\d+)\s*(?:bath(?:room)?s?)/i);
+    if (bathsMatch) {
+      data.bathrooms = parseInt(bathsMatch[1], 10);
+    }
+    const receptionsMatch = pageText.match(/(\d+)\s*(?:reception)/i);
+    if (receptionsMatch) {
+      data.receptions = parseInt(receptionsMatch[1], 10);
+    }
+
+    // Size - Savills usually has good sqft data
+    const sizeMatch = pageText.match(/(\d{1,5}(?:,\d{3})?)\s*(?:sq\.?\s*ft|sqft|square\s*feet)/i);
+    if (sizeMatch) {
+      const sqft = parseInt(sizeMatch[1].replace(/,/g, ''), 10);
+      if (sqft >= 100 && sqft <= 50000) {
+        data.sizings = [{ minimumSize: sqft, unit: 'sqft' }];
+      }
+    }
+    // Also try sqm
+    if (!data.sizings) {
+      const sqmMatch = pageText.match(/(\d{1,5}(?:,\d{3})?)\s*(?:sq\.?\s*m|sqm|m²)/i);
+      if (sqmMatch) {
+        const sqm = parseInt(sqmMatch[1].replace(/,/g, ''), 10);
+        if (sqm >= 10 && sqm <= 5000) {
+          data.sizings = [{ minimumSize: Math.round(sqm * 10.764), unit: 'sqft' }];
+        }
+      }
+    }
+
+    // Postcode from address - FIXED split bug
+    if (data.address?.displayAddress) {
+      const pcMatch = data.address.displayAddress.match(/([A-Z]{1,2}\d{1,2}[A-Z]?\s*\d[A-Z]{2})/i);
+      if (pcMatch) {
+        const parts = pcMatch[1].split(/\s+/);
+        data.address.outcode = parts[0] || '';
+        data.address.incode = parts[1] || '';
+      }
+    }
+
+    // Agent name
+    data.customer = { companyName: 'Savills' };
+
+    // Property type from page text (scoped to main content)
+    const textLower = pageText.toLowerCase();
+    if (textLower.includes('penthouse')) data.propertyType = 'penthouse';
+    else if (textLower.includes('studio')) data.propertyType = 'studio';
+    else if (textLower.includes('house')) data.propertyType = 'house';
+    else if (textLower.includes('maisonette')) data.propertyType = 'maisonette';
+    else if (textLower.includes('apartment')) data.propertyType = 'apartment';
+    else data.propertyType = 'flat';
+
+    // Floorplan - Savills uses CDN images
+    // Spider clicks "Plans" tab first - we can't easily do that, so check multiple selectors
+    // Also check data-src for lazy-loaded images
+
+    // 1. Check tabs container for Plans content (if already visible)
+    const plansTab = doc.querySelector('[data-tab="plans"], [data-type="floorplan"], .sv-pdp-floorplan');
+    if (plansTab) {
+      const img = plansTab.querySelector('img[src], img[data-src]');
+      if (img) {
+        const url = img.src || img.dataset.src || img.getAttribute('data-src');
+        if (url) data.floorplans = [{ url }];
+      }
+    }
+
+    // 2. Check for floorplan images with src or data-src
+    if (!data.floorplans) {
+      const floorplanImg = doc.querySelector(
+        'img[src*="floorplan"], img[data-src*="floorplan"], ' +
+        'img[src*="floor-plan"], img[data-src*="floor-plan"], ' +
+        'img[alt*="floorplan" i], img[alt*="floor plan" i]'
+      );
+      if (floorplanImg) {
+        const url = floorplanImg.src || floorplanImg.dataset.src || floorplanImg.getAttribute('data-src');
+        if (url) data.floorplans = [{ url }];
+      }
+    }
+
+    // 3. Check anchor tags
+    if (!data.floorplans) {
+      const floorplanLink = doc.querySelector('a[href*="floorplan"], a[href*="floor-plan"]');
+      if (floorplanLink?.href) {
+        data.floorplans = [{ url: floorplanLink.href }];
+      }
+    }
+
+    // 4. Regex fallback - Savills CDN pattern
+    if (!data.floorplans) {
+      const floorplanMatch = doc.body.innerHTML.match(/https:\/\/[^"'\s]*savills[^"'\s]*(?:floorplan|floor-plan|_fp)[^"'\s]*\.(?:jpg|png|jpeg)/i);
+      if (floorplanMatch) {
+        data.floorplans = [{ url: floorplanMatch[0] }];
+      }
+    }
+
+    // Description
+    const descEl = doc.querySelector('.sv-property-description, .sv-pdp-description, [class*="description"]');
+    if (descEl) {
+      data.text = { description: descEl.textContent.trim() };
+    }
+
+    // Key features
+    const keyFeatures = [];
+    doc.querySelectorAll('.sv-property-features li, .sv-pdp-features li, [class*="feature"] li').forEach(li => {
+      keyFeatures.push(li.textContent.trim());
+    });
+    if (keyFeatures.length > 0) data.keyFeatures = keyFeatures;
+
+    log(' Savills extracted:', data);
+    return Object.keys(data).length > 1 ? data : null;
+  }
+
+})();
@@ -0,0 +1,137 @@
+/**
+ * Zoopla site adapter
+ * Listing data comes from __NEXT_DATA__ listingDetails, with a DOM/JSON-LD
+ * fallback after client-side navigation (when __NEXT_DATA__ is stale)
+ */
+
+(function() {
+  'use strict';
+
+  const { log, getText, getNextData, extractFromPageText, setPostcodeParts, letTypeLabelHint } = window.RFVSites.helpers;
+
+  window.RFVSites.register({
+    id: 'zoopla',
+    name: 'Zoopla',
+    hosts: ['zoopla.co.uk'],
+
+    isPropertyPage(url) {
+      return /\/to-rent\/details\/\d+/.test(url);
+    },
+
+    isSearchPage(url) {
+      return /\/to-rent\/property\//.test(url);
+    },
+
+    searchCardSelector: '[data-testid^="listing-"], [id^="listing_"]',
+
+    extractPropertyId,
+    extractPropertyData,
+
+    letTypeHints: letTypeLabelHint,
+
+    floorplanSelectors: {
+      img: 'img[src*="zoocdn.com"][alt*="floor" i], [data-testid*="floorplan" i] img',
+    },
+  });
+
+  // URL like: /to-rent/details/67123456/
+  function extractPropertyId(location) {
+    const match = location.pathname.match(/\/to-rent\/details\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  function extractPropertyData(doc, location) {
+    const propertyId = extractPropertyId(location);
+
+    // Strategy 1: __NEXT_DATA__ listingDetails (only if it is this listing - see getNextData)
+    const listing = getNextData(doc)?.props?.pageProps?.listingDetails;
+    if (listing && String(listing.listingId) === propertyId) {
+      log(' Found via Zoopla __NEXT_DATA__');
+      return normalizeZooplaListing(listing);
+    }
+    if (listing) log(' Zoopla __NEXT_DATA__ is stale (SPA navigation), falling back to DOM');
+
+    // Strategy 2: DOM + JSON-LD
+    log(' Extracting Zoopla data from DOM');
+    const data = { _source: 'zoopla' };
+    const mainContent = doc.querySelector('main, [role="main"]') || doc.body;
+    const pageText = getText(mainContent);
+
+    const addressEl = doc.querySelector('address, [data-testid="address-label"], h1');
+    data.address = { displayAddress: addressEl?.textContent.trim() || doc.title.replace(/\s*-.*$/, '').trim() };
+
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const json = JSON.parse(script.textContent);
+        const geo = json.geo || json.mainEntity?.geo;
+        if (geo?.latitude) {
+          data.location = { latitude: parseFloat(geo.latitude), longitude: parseFloat(geo.longitude) };
+          break;
+        }
+      } catch (e) {}
+    }
+
+    extractFromPageText(data, pageText);
+
+    const typeMatch = doc.title.match(/\b(studio|penthouse|maisonette|flat|apartment|terraced house|semi-detached house|detached house|town house|mews house|house)\b/i);
+    if (typeMatch) data.propertyType = typeMatch[1].toLowerCase();
+
+    const floorplanImgs = [...doc.querySelectorAll(
+      'img[src*="zoocdn.com"][alt*="floor" i], [data-testid*="floorplan" i] img, [data-testid*="floor-plan" i] img'
+    )].filter(img => img.src);
+    if (floorplanImgs.length > 0) data.floorplans = floorplanImgs.map(img => ({ url: img.src }));
+
+    const descEl = doc.querySelector('[data-testid="listing_description"], [class*="description" i]');
+    if (descEl) data.text = { description: descEl.textContent.trim() };
+
+    const keyFeatures = [];
+    doc.querySelectorAll('[data-testid="listing_features"] li, [class*="features" i] li').forEach(li => {
+      keyFeatures.push(li.textContent.trim());
+    });
+    if (keyFeatures.length > 0) data.keyFeatures = keyFeatures;
+
+    log(' Zoopla extracted:', data);
+    return data.prices ? data : null;
+  }
+  function normalizeZooplaListing(listing) {
+    const data = { _source: 'zoopla' };
+    const location = listing.location || {};
+
+    data.address = { displayAddress: listing.displayAddress || listing.title || '' };
+    setPostcodeParts(data.address, location.postalCode || location.outcode || data.address.displayAddress);
+
+    data.prices = { primaryPrice: listing.pricing?.label || (listing.pricing?.value ? `£${listing.pricing.value} pcm` : '') };
+    data.bedrooms = listing.counts?.numBedrooms;
+    data.bathrooms = listing.counts?.numBathrooms;
+
+    const area = listing.floorArea;
+    if (area?.value) {
+      const isSqm = /m/i.test(area.unitsLabel || area.units || '') && !/ft/i.test(area.unitsLabel || area.units || '');
+      data.sizings = [{ minimumSize: area.value, unit: isSqm ? 'sqm' : 'sqft' }];
+    }
+
+    if (location.coordinates?.latitude) {
+      data.location = { latitude: location.coordinates.latitude, longitude: location.coordinates.longitude };
+    }
+
+    data.propertyType = listing.propertyType || '';
+    data.text = { description: listing.detailedDescription || listing.description || '' };
+    data.keyFeatures = listing.features?.bullets || [];
+    data.customer = { companyName: listing.branch?.name || '' };
+
+    // Floorplan images are stored as CDN filenames
+    const floorplanImages = listing.floorPlan?.image || [];
+    if (floorplanImages.length > 0) {
+      data.floorplans = floorplanImages.map(img => ({
+        url: /^https?:/.test(img.filename) ? img.filename : `https://lid.zoocdn.com/u/2400/1800/${img.filename}`,
+      }));
+    }
+
+    // Zoopla exposes let type as a labelled feature ("Let type: Short term")
+    const letType = listing.lettingsInfo?.letType || listing.letType;
+    if (letType) data.lettings = { letType: String(letType) };
+
+    return data;
+  }
+
+})();
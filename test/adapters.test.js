@@ -0,0 +1,140 @@
+/**
+ * Site adapter tests
+ * Each listing page in fixtures/<site>.html is loaded into jsdom at a listing URL for its
+ * site, run through its adapter, and the fields the valuation depends on compared with the
+ * golden fixtures/<site>.json. After an intended extraction change, rewrite the golden
+ * files with UPDATE_GOLDEN=1 npm test and review the diff.
+ *
+ * The pages are small hand-written stand-ins, not saved copies of real listings: each has
+ * just the markup and embedded data its adapter reads. They pin down the adapters' own
+ * parsing, but can't catch a site redesign. Replacing them with real saved pages (trimmed
+ * of scripts and images) would.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Same order as the content_scripts entry in manifest.json
+const SCRIPTS = [
+  'rent.js', 'costs.js',
+  'sites/registry.js', 'sites/rightmove.js', 'sites/zoopla.js', 'sites/onthemarket.js',
+  'sites/knightfrank.js', 'sites/chestertons.js', 'sites/savills.js',
+];
+
+// Listing URL each fixture page is loaded at
+const PAGES = {
+  rightmove: 'https://www.rightmove.co.uk/properties/152345678',
+  zoopla: 'https://www.zoopla.co.uk/to-rent/details/67123456/',
+  onthemarket: 'https://www.onthemarket.com/details/14123456/',
+  knightfrank: 'https://www.knightfrank.co.uk/properties/residential/to-let/cadogan-square-knightsbridge-london-sw1x/CHL012345678',
+  chestertons: 'https://www.chestertons.co.uk/properties/21142524/lettings/KNL220048',
+  savills: 'https://search.savills.com/property-detail/gbkerslsl220045l',
+};
+
+const sources = SCRIPTS.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+// Fixture page in a window with the extension's extraction scripts loaded (page scripts don't run)
+function loadPage(site, url = PAGES[site]) {
+  const html = fs.readFileSync(path.join(FIXTURES, `${site}.html`), 'utf8');
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'outside-only',
+    virtualConsole: new VirtualConsole(),
+  });
+  for (const source of sources) dom.window.eval(source);
+  return dom.window;
+}
+
+// Stated floor area in sq ft, as content.js reads it
+function statedSqft(sizings = []) {
+  for (const s of sizings) {
+    if (s.unit === 'sqft') return parseInt(s.minimumSize || s.maximumSize, 10);
+    if (s.unit === 'sqm') return Math.round(parseInt(s.minimumSize || s.maximumSize, 10) * 10.764);
+  }
+  return null;
+}
+
+// The listing fields the valuation depends on
+function extract(window) {
+  const { RFVSites, RFVRent, document: doc, location } = window;
+  const adapter = RFVSites.detect(location.hostname);
+  const data = adapter.extractPropertyData(doc, location);
+  assert.ok(data, `${adapter.id} found no listing data`);
+
+  const rent = RFVRent.parseRent(data.prices?.primaryPrice);
+  const floorplans = adapter.findFloorplans
+    ? adapter.findFloorplans(data, doc)
+    : RFVSites.helpers.findFloorplanUrls(data, doc, adapter);
+  const { outcode, incode } = data.address || {};
+
+  return {
+    site: adapter.id,
+    property_id: adapter.extractPropertyId(location),
+    is_property_page: adapter.isPropertyPage(location.href),
+    is_search_page: !!adapter.isSearchPage?.(location.href, doc),
+    price_text: data.prices?.primaryPrice ?? null,
+    price_pcm: RFVRent.monthlyRent(rent, data.bedrooms),
+    beds: data.bedrooms ?? null,
+    baths: data.bathrooms ?? null,
+    postcode: outcode ? [outcode, incode].filter(Boolean).join(' ') : null,
+    sqft: statedSqft(data.sizings),
+    floorplans,
+    let_type: RFVSites.helpers.detectLetType(data, doc, location, adapter),
+  };
+}
+
+for (const site of Object.keys(PAGES)) {
+  test(`${site} adapter matches its golden extraction`, () => {
+    const window = loadPage(site);
+    const actual = JSON.parse(JSON.stringify(extract(window)));
+    window.close();
+
+    const goldenPath = path.join(FIXTURES, `${site}.json`);
+    if (process.env.UPDATE_GOLDEN) {
+      fs.writeFileSync(goldenPath, JSON.stringify(actual, null, 2) + '\n');
+    }
+    assert.deepEqual(actual, JSON.parse(fs.readFileSync(goldenPath, 'utf8')));
+  });
+}
+
+test('knightfrank listing with an unfamiliar ID is not taken for a search page', () => {
+  const url = 'https://www.knightfrank.co.uk/properties/residential/to-let/london/abc123xyz';
+  const window = loadPage('knightfrank', url);
+  const adapter = window.RFVSites.get('knightfrank');
+  assert.equal(adapter.isSearchPage(url, window.document), false);
+  window.document.querySelector('main').innerHTML = '<ul><li class="property-card">Area listing</li></ul>';
+  assert.equal(adapter.isSearchPage(url, window.document), true);
+  window.close();
+});
+
+test('onthemarket keeps a studio\'s 0 bedrooms', () => {
+  const window = loadPage('onthemarket');
+  const script = window.document.getElementById('__NEXT_DATA__');
+  const nextData = JSON.parse(script.textContent);
+  nextData.props.initialReduxState.property.bedrooms = 0;
+  script.textContent = JSON.stringify(nextData);
+
+  const data = window.RFVSites.get('onthemarket').extractPropertyData(window.document, window.location);
+  assert.equal(data.bedrooms, 0);
+  window.close();
+});
+
+for (const site of ['zoopla', 'onthemarket']) {
+  test(`${site} reads a "Let type: Short term" label as a short let`, () => {
+    const window = loadPage(site);
+    const { document: doc, location, RFVSites } = window;
+    const adapter = RFVSites.get(site);
+    const data = adapter.extractPropertyData(doc, location);
+    doc.querySelector('main').insertAdjacentHTML('beforeend', '<dl><dt>Let type:</dt><dd>Short term</dd></dl>');
+    assert.equal(RFVSites.helpers.detectLetType(data, doc, location, adapter), 'short');
+    window.close();
+  });
+}
@@ -0,0 +1,52 @@
+/**
+ * Bills-included detection tests
+ * Listing wording and the bills RFVCosts.detectInclusions should take to be in the rent.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const window = {};
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'costs.js'), 'utf8'), { window });
+const { detectInclusions } = window.RFVCosts;
+
+const ALL = ['energy', 'water', 'broadband', 'council_tax'];
+
+// [listing text, bills included]
+const WORDINGS = [
+  ['All bills included', ALL],
+  ['Bills inclusive', ALL],
+  ['Rent includes council tax', ['council_tax']],
+  ['Utilities included', ['energy', 'water']],
+  ['Heating and hot water included', ['energy', 'water']],
+  ['Wifi & council tax included', ['broadband', 'council_tax']],
+  ['Bills not included', []],
+  ['Rent is excluding bills', []],
+  // Exceptions straight after the inclusive wording
+  ['All bills included except council tax', ['energy', 'water', 'broadband']],
+  ['Bills included (excluding council tax and wifi)', ['energy', 'water']],
+  ['Utilities included, except broadband', ['energy', 'water']],
+  ['Bills included apart from water', ['energy', 'broadband', 'council_tax']],
+  ['Council tax included except for water', ['council_tax']],
+  // Central heating is how the flat is heated, not a bill
+  ['Gas central heating included', []],
+  ['Underfloor heating included throughout', []],
+  ['Gas central heating. Bills included', ALL],
+];
+
+for (const [text, items] of WORDINGS) {
+  test(`detectInclusions reads "${text}"`, () => {
+    assert.deepEqual([...detectInclusions(text).items], items);
+  });
+}
+
+test('detectInclusions quotes the wording it matched, exceptions and all', () => {
+  assert.deepEqual([...detectInclusions('Lovely flat. All bills included except council tax.').phrases],
+    ['All bills included except council tax']);
+  assert.deepEqual([...detectInclusions('').phrases], []);
+});
@@ -0,0 +1,84 @@
+/**
+ * EPC rating tests
+ * Ratings as listings state them and as OCR reads them off EPC graph images, and the
+ * letting-standard risk RFVEpc.complianceRisk gives each band.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const window = {};
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'epc.js'), 'utf8'), { window });
+const { findRating, readGraph, bandForScore, complianceRisk, formatRating, isPdf } = window.RFVEpc;
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// [listing text, band, score, potential band, potential score]
+const STATED = [
+  ['EPC: C', 'C', null, null, null],
+  ['EPC rating C (72)', 'C', 72, null, null],
+  ['EPC Rating = D/68', 'D', 68, null, null],
+  ['Energy rating: 72 C', 'C', 72, null, null],
+  ['EPC band c', 'C', null, null, null],
+  ['EPC rating C (72), potential B (84)', 'C', 72, 'B', 84],
+  // A score outside its band is a misprint; the band is kept without it
+  ['EPC rating C (50)', 'C', null, null, null],
+  // A "potential" worse than the current rating isn't one
+  ['EPC rating C, potential E', 'C', null, null, null],
+];
+
+for (const [text, band, score, potentialBand, potentialScore] of STATED) {
+  test(`findRating reads "${text}"`, () => {
+    assert.deepEqual(plain(findRating(text)),
+      { band, score, potential_band: potentialBand, potential_score: potentialScore });
+  });
+}
+
+test('findRating needs a capital for a lone letter', () => {
+  assert.equal(findRating('For the EPC: call us'), null);
+  assert.equal(findRating('Spacious two bedroom flat'), null);
+});
+
+test('readGraph takes two lone numbers as current and potential', () => {
+  const rating = readGraph('Energy Efficiency Rating (92 plus) A (81-91) B Current Potential 84 72');
+  assert.deepEqual(plain(rating), { band: 'C', score: 72, potential_band: 'B', potential_score: 84, confidence: null });
+});
+
+test('readGraph matches numbers to the Current and Potential columns', () => {
+  const word = (text, x0, y0, confidence = 90) => ({ text, confidence, bbox: { x0, y0, x1: x0 + 40, y1: y0 + 20 } });
+  const words = [
+    word('Energy', 0, 0), word('Current', 300, 20), word('Potential', 400, 20),
+    word('55', 30, 200), word('64', 300, 180, 70), word('86', 400, 80),
+  ];
+  const rating = readGraph('Energy Current Potential 55 64 86', words);
+  assert.deepEqual(plain(rating), { band: 'D', score: 64, potential_band: 'B', potential_score: 86, confidence: 70 });
+});
+
+test('readGraph ignores text that is not an EPC graph', () => {
+  assert.equal(readGraph('Ground Floor 72 84'), null);
+  assert.equal(readGraph('Energy Efficiency Rating 72 81 55'), null);
+});
+
+test('bandForScore follows the EPC band ranges', () => {
+  assert.deepEqual([92, 81, 80, 69, 55, 39, 21, 1, 0].map(bandForScore), ['A', 'B', 'C', 'C', 'D', 'E', 'F', 'G', null]);
+});
+
+test('complianceRisk flags bands below the legal and proposed minimums', () => {
+  assert.equal(complianceRisk('F').level, 'high');
+  assert.equal(complianceRisk('G').level, 'high');
+  assert.equal(complianceRisk('E').level, 'watch');
+  assert.equal(complianceRisk('D').level, 'watch');
+  assert.equal(complianceRisk('C'), null);
+  assert.equal(complianceRisk(null), null);
+});
+
+test('formatRating and isPdf', () => {
+  assert.equal(formatRating({ band: 'C', score: 72, potential_band: 'B', potential_score: null }), 'EPC C (72), potential B');
+  assert.equal(isPdf('https://agent.example/epc.PDF?v=2'), true);
+  assert.equal(isPdf('https://agent.example/epc.png'), false);
+});
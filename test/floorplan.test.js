@@ -0,0 +1,78 @@
+/**
+ * Floorplan text tests
+ * OCR text as floorplans print it: the quoted total RFVFloorplan.findSize reads, the room
+ * schedule parseRooms reads, and the check of the quoted total against the rooms.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const window = {};
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'floorplan.js'), 'utf8'),
+  { window, console: { log: () => {} } });
+const { findSize, parseSize, parseRooms, parseFloorplan, formatRoomCheck } = window.RFVFloorplan;
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// [OCR text, sqft]
+const SIZES = [
+  ['Approx. Gross Internal Area 850 sq ft', 850],
+  ['Total 1,120 sq ft / 104 sq m', 1120],
+  ['Gross internal area 79 m²', 850],
+  ['Total area: 62 sqm', 667],
+  ['Not to scale. For illustration only', null],
+  // Too small to be a whole flat
+  ['Cupboard 12 sq ft', null],
+];
+
+for (const [text, sqft] of SIZES) {
+  test(`parseSize reads "${text}"`, () => {
+    assert.equal(parseSize(text), sqft);
+  });
+}
+
+test('findSize passes over a figure that has lost its leading digits', () => {
+  assert.deepEqual(plain(findSize('Total 1,O45 sq ft')), { sqft: null, snippet: '1,O45 sq ft', cut_off: true });
+  assert.equal(findSize('Total 1,O45 sq ft, 97 sq m').sqft, 1044);
+});
+
+const SCHEDULE = [
+  'Ground Floor',
+  'Reception 5.20 x 4.10m (17\'1 x 13\'5)',
+  'Kitchen 3.00m x 2.50m',
+  'Bedroom 1',
+  '14\'9" x 10\'6"',
+  'Bedroom 2 3.20 x 2.80m',
+  'Approx. Gross Internal Area 650 sq ft',
+].join('\n');
+
+test('parseRooms reads names, metric and imperial sizes, and names on their own line', () => {
+  const rooms = plain(parseRooms(SCHEDULE));
+  assert.deepEqual(rooms.map(room => room.name), ['Reception', 'Kitchen', 'Bedroom 1', 'Bedroom 2']);
+  assert.deepEqual(rooms[0], { name: 'Reception', width_m: 5.2, length_m: 4.1, sqm: 21.3, sqft: 229 });
+  assert.deepEqual([rooms[2].width_m, rooms[2].length_m], [4.5, 3.2]);
+});
+
+test('parseRooms counts a room repeated on another image once', () => {
+  assert.equal(parseRooms(SCHEDULE + '\n' + SCHEDULE).length, 4);
+});
+
+test('parseFloorplan checks the quoted total against the rooms', () => {
+  const roomsSqft = parseFloorplan(SCHEDULE).rooms_sqft;
+  assert.equal(parseFloorplan(SCHEDULE, { claimedSqft: Math.round(roomsSqft * 1.25), bedrooms: 2 }).status, 'consistent');
+  assert.equal(parseFloorplan(SCHEDULE, { claimedSqft: roomsSqft * 2, bedrooms: 2 }).status, 'padded');
+  assert.equal(parseFloorplan(SCHEDULE, { claimedSqft: Math.round(roomsSqft * 0.8), bedrooms: 2 }).status, 'short');
+  assert.equal(parseFloorplan(SCHEDULE, { claimedSqft: roomsSqft, bedrooms: 3 }).status, 'incomplete');
+  assert.equal(parseFloorplan(SCHEDULE).status, 'unchecked');
+  assert.equal(parseFloorplan('Ground Floor\nNot to scale'), null);
+});
+
+test('formatRoomCheck describes a padded total', () => {
+  const check = parseFloorplan(SCHEDULE, { claimedSqft: 1400, bedrooms: 2 });
+  assert.match(formatRoomCheck(check), /^Quoted 1,400 sqft is \d+% more than the rooms add up to/);
+});
@@ -0,0 +1,114 @@
+/**
+ * Offscreen engine OCR cache tests
+ * offscreen.js runs with its real cache (ocrcache.js on fake-indexeddb) behind a stub
+ * Tesseract worker that counts reads, and is driven through its message handler the way
+ * background.js forwards content script requests.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { indexedDB } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..');
+
+// Same order as offscreen.html, less the model code the ocr and epc ops don't use
+const SCRIPTS = ['xgboost.js', 'floorplan.js', 'epc.js', 'preprocess.js', 'ocr.js', 'ocrcache.js', 'offscreen.js'];
+
+// Image bytes by URL; 'resized' is the same image under another URL
+const IMAGES = {
+  'https://img.example/plan.png': 'floorplan-1',
+  'https://img.example/plan-resized.png': 'floorplan-1',
+  'https://img.example/other.png': 'floorplan-2',
+  'https://img.example/epc.png': 'epc-graph',
+};
+
+const TEXTS = {
+  'floorplan-1': 'Ground Floor\nApprox. Gross Internal Area 850 sq ft',
+  'floorplan-2': 'First Floor\nTotal 1,120 sq ft',
+  'epc-graph': 'Energy Efficiency Rating 72 85',
+};
+
+function loadEngine() {
+  let onMessage = null;
+  const engine = { reads: 0 };
+  const worker = {
+    setParameters: async () => {},
+    recognize: async image => {
+      engine.reads++;
+      const text = TEXTS[await image.text()];
+      return { data: { text, confidence: 88, words: [], lines: [] } };
+    },
+    terminate: async () => {},
+  };
+  const context = {
+    console: { ...console, log: () => {}, warn: () => {} },
+    setTimeout, clearTimeout, Blob, crypto, indexedDB,
+    fetch: async url => new Response(IMAGES[url]),
+    chrome: { runtime: { getURL: file => `chrome-extension://test/${file}`, onMessage: { addListener: fn => { onMessage = fn; } } } },
+    Tesseract: { PSM: { AUTO: '3', SINGLE_BLOCK: '6', SPARSE_TEXT: '11' }, createWorker: async () => worker },
+  };
+  context.window = context;
+  vm.createContext(context);
+  for (const file of SCRIPTS) vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context);
+
+  // Results come back as plain objects, as they would across chrome.runtime messaging
+  engine.send = (op, payload) => new Promise((resolve, reject) => {
+    onMessage({ target: 'offscreen', op, payload }, {}, response =>
+      response.success ? resolve(JSON.parse(JSON.stringify(response.data))) : reject(new Error(response.error)));
+  });
+  return engine;
+}
+
+// Cache writes aren't awaited by the engine; let them land before the next request
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+test('a floorplan read once is served from the cache until re-read', async () => {
+  const engine = loadEngine();
+  const url = 'https://img.example/plan.png';
+
+  const first = await engine.send('ocr', { url });
+  assert.equal(first.cached, false);
+  assert.equal(first.sqft, 850);
+  const reads = engine.reads;
+  await settle();
+
+  const again = await engine.send('ocr', { url });
+  assert.equal(again.cached, true);
+  assert.equal(engine.reads, reads, 'a cache hit does not run OCR');
+  assert.deepEqual({ ...again, cached: false }, first);
+
+  const resized = await engine.send('ocr', { url: 'https://img.example/plan-resized.png' });
+  assert.equal(resized.cached, true, 'the same image under another URL is a hit');
+
+  const other = await engine.send('ocr', { url: 'https://img.example/other.png' });
+  assert.equal(other.cached, false);
+  assert.equal(other.sqft, 1120);
+  await settle();
+
+  const before = engine.reads;
+  const reread = await engine.send('ocr', { url, refresh: true });
+  assert.equal(reread.cached, false);
+  assert.ok(engine.reads > before, 'refresh runs OCR again');
+});
+
+test('EPC graph reads are cached apart from floorplan reads', async () => {
+  const engine = loadEngine();
+  const url = 'https://img.example/epc.png';
+
+  const first = await engine.send('epc', { url });
+  assert.equal(first.cached, false);
+  assert.equal(first.rating.score, 72);
+  await settle();
+
+  const again = await engine.send('epc', { url });
+  assert.equal(again.cached, true);
+  assert.deepEqual(again.rating, first.rating);
+
+  const asFloorplan = await engine.send('ocr', { url });
+  assert.equal(asFloorplan.cached, false, 'an image cached as an EPC graph is a floorplan miss');
+});
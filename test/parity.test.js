@@ -0,0 +1,58 @@
+/**
+ * Feature and prediction regression tests
+ * fixtures/parity.json holds listings with the features and log1p prediction recorded for
+ * them, and the model they were predicted with (path relative to fixtures/). Each listing
+ * is run through XGBFeatures.buildFeatures and XGBoostPredictor, and any difference above
+ * the fixture's tolerance fails.
+ *
+ * This is a self-consistency test, not a parity check against the Python pipeline. The
+ * bundled rows were written by hand for parity-model.json, a four-tree model in XGBoost's
+ * JSON export format made for this test, so they only catch changes in the JS's own
+ * output. Only the features listed for a row are compared. To check for skew against
+ * Python, point "model" at a trained model and replace the rows with ones exported from
+ * the training pipeline.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { XGBoostPredictor, XGBFeatures } = require('../xgboost.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const parity = readJson(path.join(FIXTURES, 'parity.json'));
+const modelPath = path.join(FIXTURES, parity.model);
+const featureNames = readJson(path.join(__dirname, '..', 'api', 'features.json'));
+
+// buildFeatures logs every step; keep the test output readable
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+const predictor = new XGBoostPredictor();
+quietly(() => predictor.loadFromJSON(readJson(modelPath), featureNames));
+
+for (const row of parity.rows) {
+  test(`${row.id} matches its recorded features and prediction`, () => {
+    const features = quietly(() => XGBFeatures.buildFeatures(row.input));
+
+    const mismatches = XGBFeatures.compareFeatures(
+      row.features, features, Object.keys(row.features), parity.tolerance.feature);
+    assert.deepEqual(mismatches, [], 'features differ from the recorded ones');
+
+    const prediction = predictor.predict(features);
+    const diff = Math.abs(prediction - row.prediction);
+    assert.ok(diff <= parity.tolerance.prediction,
+      `prediction ${prediction} differs from ${row.prediction} by ${diff}`);
+  });
+}
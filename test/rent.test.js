@@ -0,0 +1,74 @@
+/**
+ * Rent parsing tests
+ * Quoted rents as listings word them, with the period, per-person flag and monthly figure
+ * RFVRent.parseRent should read from each.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const window = {};
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'rent.js'), 'utf8'), { window });
+const { parseRent, monthlyRent, findRentText } = window.RFVRent;
+
+// [quoted text, period, per_person, pcm]
+const QUOTES = [
+  ['£2,500 pcm', 'month', false, 2500],
+  ['£2,500', 'month', false, 2500],
+  ['£577 pw', 'week', false, 2500],
+  ['£500 p/w', 'week', false, 2167],
+  ['£500 p.w.', 'week', false, 2167],
+  ['£500 per wk', 'week', false, 2167],
+  ['£500/wk', 'week', false, 2167],
+  ['£500 per week', 'week', false, 2167],
+  ['£577 pw (£2,500 pcm)', 'week', false, 2500],
+  ['£52,000 per annum', 'year', false, 4333],
+  ['£52k pa', 'year', false, 4333],
+  ['£2,500 p.c.m.', 'month', false, 2500],
+  ['£1,200 pppw', 'week', true, 5200],
+  ['£600 pp pw', 'week', true, 2600],
+  ['£600 pw pp', 'week', true, 2600],
+  ['£600 per person per week', 'week', true, 2600],
+  ['£2,000 - £2,400 pcm', 'month', false, 2000],
+  ['£2,000 pcm - £2,400', 'month', false, 2000],
+  ['from £3,000 pcm', 'month', false, 3000],
+  // Abbreviations later in the text aren't the quote's period or per-person wording
+  ['£577, viewings from 6 pm, per week', 'week', false, 2500],
+  ['£2,500 - call to book, pp limited', 'month', false, 2500],
+];
+
+for (const [text, period, perPerson, pcm] of QUOTES) {
+  test(`parseRent reads "${text}"`, () => {
+    const rent = parseRent(text);
+    assert.deepEqual([rent.period, rent.per_person, rent.pcm], [period, perPerson, pcm]);
+  });
+}
+
+test('parseRent keeps a quoted range and its lower end', () => {
+  const rent = parseRent('£2,000 – £2,400 pcm');
+  assert.equal(rent.min, 2000);
+  assert.equal(rent.max, 2400);
+  assert.equal(rent.pcm_max, 2400);
+});
+
+test('parseRent returns null without a figure', () => {
+  assert.equal(parseRent('POA'), null);
+  assert.equal(parseRent(''), null);
+});
+
+test('monthlyRent counts one person per bedroom for per-person rents', () => {
+  assert.equal(monthlyRent(parseRent('£1,200 pppw'), 2), 10400);
+  assert.equal(monthlyRent(parseRent('£1,200 pppw'), 0), 5200);
+  assert.equal(monthlyRent(parseRent('£2,500 pcm'), 3), 2500);
+});
+
+test('findRentText picks the quote out of page text', () => {
+  assert.equal(findRentText('Rent: £52,000 per annum, available now'), '£52,000 per annum');
+  assert.equal(findRentText('Rent £500 p/w, furnished'), '£500 p/w');
+  assert.equal(findRentText('Rent £500 per wk'), '£500 per wk');
+});
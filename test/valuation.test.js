@@ -0,0 +1,83 @@
+/**
+ * Valuation range tests
+ * Checks which range an estimate gets: the calibration table when the model ships one,
+ * then an approximate range from the model's median error and prediction spread, then ±21%.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { XGBoostPredictor, XGBFeatures } = require('../xgboost.js');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const window = { XGBFeatures };
+vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'valuation.js'), 'utf8'), { window, console });
+const { estimateFairValue } = window.RFVValuation;
+
+const parity = readJson(path.join(FIXTURES, 'parity.json'));
+// The garden house: its prediction still moves in the fixture model's last tree
+const row = parity.rows.find(r => r.id === 'nw8-house-garden');
+
+// buildFeatures and loadFromJSON log every step; keep the test output readable
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+function loadPredictor(info, intervals = null) {
+  const predictor = new XGBoostPredictor();
+  quietly(() => predictor.loadFromJSON(readJson(path.join(FIXTURES, parity.model)),
+    readJson(path.join(ROOT, 'api', 'features.json')), intervals));
+  predictor.info = info;
+  return predictor;
+}
+
+const features = () => quietly(() => XGBFeatures.buildFeatures(row.input));
+
+test('range is derived from the model when there is no calibration table', () => {
+  const predictor = loadPredictor({ metrics: { median_error_pct: 4.5 } });
+  const f = features();
+  const estimate = estimateFairValue(predictor, f, null);
+
+  assert.equal(estimate.range_source, 'model');
+  assert.equal(estimate.range_coverage, null, 'coverage of a model-derived range is unmeasured');
+  assert.equal(window.RFVValuation.formatRangeLabel(estimate), 'Range (approx.)');
+  const logPrediction = predictor.predict(f);
+  const halfWidth = Math.log1p(estimate.range_high) - logPrediction;
+  const spread = predictor.predictionSpread(f);
+  assert.ok(spread > 0, 'the fixture model has late trees that move this prediction');
+  const sigma = Math.log1p(0.045) / 0.6745;
+  assert.ok(Math.abs(halfWidth - 1.2816 * Math.sqrt(sigma ** 2 + spread ** 2)) < 1e-3);
+  assert.ok(estimate.range_low < estimate.fair_value && estimate.fair_value < estimate.range_high);
+});
+
+test('calibration table cells take precedence over the model-derived range', () => {
+  const intervals = { coverage: 0.8, global: { lo: -0.2, hi: 0.15, n: 500 } };
+  const predictor = loadPredictor({ metrics: { median_error_pct: 4.5 } }, intervals);
+  const estimate = estimateFairValue(predictor, features(), null);
+
+  assert.equal(estimate.range_source, 'global');
+  assert.equal(window.RFVValuation.formatRangeLabel(estimate), 'Range (80% of similar listings)');
+  assert.equal(estimate.range_high, Math.round(Math.expm1(predictor.predict(features()) + 0.15)));
+});
+
+test('range falls back to ±21% without a table or median error', () => {
+  const predictor = loadPredictor({ metrics: {} });
+  const estimate = estimateFairValue(predictor, features(), null);
+
+  assert.equal(estimate.range_source, 'fixed');
+  assert.equal(estimate.range_coverage, null);
+  assert.equal(estimate.range_high, Math.round(Math.expm1(predictor.predict(features())) * 1.21));
+});
@@ -0,0 +1,284 @@
+/**
+ * Shared Valuation Logic for Rent Fair Value Chrome Extension
+ * Turns a model prediction into the fair value, range, assessment and price
+ * drivers shown by the sidebar, search badges, manual entry popup and saved page,
+ * so every surface gives the same answer for the same inputs.
+ *
+ * Ranges come from the model's calibration table when it ships one: conformal quantiles
+ * of held-out log1p residuals (actual - predicted), exported by the training pipeline and
+ * listed as the model's `intervals` file in api/models.json (models.js loads it into
+ * predictor.intervals). No bundled model ships one yet. The table looks like:
+ *   {
+ *     coverage: 0.8,                               // share of listings inside the range
+ *     global: { lo, hi, n },                       // all held-out listings
+ *     size_bins: { '<size_bin>': { lo, hi, n } },  // size_bin as in buildFeatures
+ *     districts: { 'SW3': { all: { lo, hi, n }, '<size_bin>': { lo, hi, n } } }
+ *   }
+ * The most specific cell with enough residuals wins.
+ *
+ * Without a table the range is approximated from the model: its median held-out error
+ * (metrics.median_error_pct in models.json) plus how unsettled this prediction is
+ * across the ensemble (XGBoostPredictor.predictionSpread), sized like an 80% interval
+ * of normal log residuals. Its coverage has never been measured, so it is reported as
+ * unknown and labelled approximate. A model with neither falls back to ±21%.
+ */
+
+(function() {
+  'use strict';
+
+  // Postcodes with good training data coverage (100+ listings)
+  // These match the TARGET_POSTCODES in our scrapers
+  const WELL_COVERED_POSTCODES = [
+    'SW1', 'SW1A', 'SW1E', 'SW1H', 'SW1P', 'SW1V', 'SW1W', 'SW1X', 'SW1Y',
+    'SW3', 'SW5', 'SW6', 'SW7', 'SW10', 'SW11',
+    'W1', 'W1B', 'W1C', 'W1D', 'W1F', 'W1G', 'W1H', 'W1J', 'W1K', 'W1S', 'W1T', 'W1U', 'W1W',
+    'W2', 'W8', 'W11',
+    'NW1', 'NW3', 'NW8',
+  ];
+
+  // Premium % above/below fair value that changes the verdict
+  const OVERPRICED_PCT = 15;
+  const GOOD_DEAL_PCT = -10;
+
+  // Interval cells calibrated on fewer held-out listings than this are too noisy to use
+  const MIN_CALIBRATION_COUNT = 30;
+  // Range used when there is neither a calibration table nor a median error for the model
+  const FIXED_RANGE_PCT = 21;
+  // Model-derived ranges: central 80% of a normal distribution, and the median absolute
+  // deviation of a normal distribution in standard deviations
+  const Z_80 = 1.2816;
+  const MEDIAN_ERROR_SIGMAS = 0.6745;
+
+  /**
+   * Check if a postcode district has sufficient training data
+   * @param {string} postcodeDistrict - e.g., 'SW12', 'W1J'
+   * @param {string[]} coverage - Well-covered districts for the model in use (models.json)
+   * @returns {boolean} true if well-covered, false if sparse
+   */
+  function hasGoodCoverage(postcodeDistrict, coverage = WELL_COVERED_POSTCODES) {
+    if (!postcodeDistrict) return false;
+    const district = postcodeDistrict.toUpperCase().trim();
+
+    // Check exact match first
+    if (coverage.includes(district)) return true;
+
+    // Check if it's a sub-district of a covered area (e.g., SW1X is covered by SW1)
+    for (const covered of coverage) {
+      if (district.startsWith(covered) && covered.length >= 2) return true;
+    }
+
+    return false;
+  }
+
+  // 'overpriced' | 'fair' | 'good_deal'
+  function getAssessment(premiumPct) {
+    return premiumPct > OVERPRICED_PCT ? 'overpriced' : premiumPct < GOOD_DEAL_PCT ? 'good_deal' : 'fair';
+  }
+
+  // Typical size for a bedroom count when neither the listing nor the floorplan has one
+  function estimateSqft(beds) {
+    const sizes = { 0: 350, 1: 500, 2: 750, 3: 1000, 4: 1300, 5: 1600 };
+    return sizes[Math.min(beds, 5)] || 500;
+  }
+
+  /**
+   * Residual quantiles for a listing from the calibration table
+   * Tries district + size bin, then district, then size bin, then all listings.
+   * @returns {{lo: number, hi: number, source: string}|null} null without a table
+   */
+  function findResidualCell(intervals, postcodeDistrict, sizeBin) {
+    if (!intervals) return null;
+    const usable = cell => cell && cell.n >= MIN_CALIBRATION_COUNT && cell.lo <= 0 && cell.hi >= 0;
+    const district = intervals.districts?.[(postcodeDistrict || '').toUpperCase()];
+
+    const candidates = [
+      ['district_size', district?.[sizeBin]],
+      ['district', district?.all],
+      ['size', intervals.size_bins?.[sizeBin]],
+      ['global', intervals.global],
+    ];
+    for (const [source, cell] of candidates) {
+      if (usable(cell)) return { lo: cell.lo, hi: cell.hi, source };
+    }
+    return null;
+  }
+
+  /**
+   * Log-space range from the model's median error and this prediction's spread
+   * @returns {{lo: number, hi: number, source: string}|null} null without a median error
+   */
+  function modelResidualRange(predictor, features) {
+    const medianErrorPct = predictor.info?.metrics?.median_error_pct;
+    if (!(medianErrorPct > 0)) return null;
+    const sigma = Math.log1p(medianErrorPct / 100) / MEDIAN_ERROR_SIGMAS;
+    const spread = predictor.predictionSpread(features);
+    const halfWidth = Z_80 * Math.sqrt(sigma ** 2 + spread ** 2);
+    return { lo: -halfWidth, hi: halfWidth, source: 'model' };
+  }
+
+  /**
+   * Prediction interval in £/month around a log1p prediction
+   * @returns {{low: number, high: number, source: string, coverage: number|null}}
+   *          source is the calibration cell used, 'model' for a model-derived range,
+   *          or 'fixed' for the ±21% fallback
+   */
+  function predictionInterval(predictor, features, logPrediction, postcodeDistrict) {
+    const tableCell = findResidualCell(predictor.intervals, postcodeDistrict, features.size_bin);
+    const cell = tableCell || modelResidualRange(predictor, features);
+    if (!cell) {
+      const fairValue = Math.expm1(logPrediction);
+      return {
+        low: Math.round(fairValue * (1 - FIXED_RANGE_PCT / 100)),
+        high: Math.round(fairValue * (1 + FIXED_RANGE_PCT / 100)),
+        source: 'fixed',
+        coverage: null,
+      };
+    }
+    return {
+      low: Math.round(Math.expm1(logPrediction + cell.lo)),
+      high: Math.round(Math.expm1(logPrediction + cell.hi)),
+      source: cell.source,
+      // Only a calibration table's coverage was measured
+      coverage: tableCell ? (predictor.intervals.coverage ?? null) : null,
+    };
+  }
+
+  /**
+   * Fair value, range and assessment for a feature vector
+   * @param {XGBoostPredictor} predictor - Loaded model
+   * @param {object} features - Output of XGBFeatures.buildFeatures
+   * @param {number|null} askingPrice - Monthly asking rent (premium is null without one)
+   * @param {string|null} postcodeDistrict - e.g. 'SW3', selects the calibrated range
+   * @returns {{fair_value: number, range_low: number, range_high: number, range_source: string,
+   *            range_coverage: number|null, premium_pct: number|null, assessment: string|null}}
+   */
+  function estimateFairValue(predictor, features, askingPrice, postcodeDistrict = null) {
+    return estimateFromPrediction(predictor, features, predictor.predict(features), askingPrice, postcodeDistrict);
+  }
+
+  // estimateFairValue for a prediction already made, e.g. one row of predictor.predictBatch
+  function estimateFromPrediction(predictor, features, logPrediction, askingPrice, postcodeDistrict = null) {
+    const fairValue = Math.round(Math.expm1(logPrediction));
+    const interval = predictionInterval(predictor, features, logPrediction, postcodeDistrict);
+    const premiumPct = askingPrice
+      ? Math.round((askingPrice / fairValue - 1) * 100 * 10) / 10
+      : null;
+
+    return {
+      fair_value: fairValue,
+      range_low: interval.low,
+      range_high: interval.high,
+      range_source: interval.source,
+      range_coverage: interval.coverage,
+      premium_pct: premiumPct,
+      assessment: premiumPct === null ? null : getAssessment(premiumPct),
+    };
+  }
+
+  // Label for the range line, e.g. 'Range (80% of similar listings)' for a calibrated range
+  function formatRangeLabel(estimate) {
+    if (estimate.range_coverage) {
+      return `Range (${Math.round(estimate.range_coverage * 100)}% of similar listings)`;
+    }
+    return estimate.range_source === 'model' ? 'Range (approx.)' : 'Range';
+  }
+
+  // Champion/challenger gap (% of the champion's fair value) that counts as a disagreement
+  const DISAGREEMENT_PCT = 5;
+
+  /**
+   * Compare a challenger model's estimate with the champion's for the same listing
+   * @param {object} champion - estimateFairValue result from the model in use
+   * @param {object} challenger - estimateFairValue result from the challenger
+   * @returns {{delta: number, delta_pct: number, disagrees: boolean, verdict_changed: boolean}}
+   */
+  function compareEstimates(champion, challenger) {
+    const delta = challenger.fair_value - champion.fair_value;
+    const deltaPct = Math.round(delta / champion.fair_value * 100 * 10) / 10;
+    return {
+      delta,
+      delta_pct: deltaPct,
+      disagrees: Math.abs(deltaPct) >= DISAGREEMENT_PCT,
+      verdict_changed: champion.assessment !== challenger.assessment,
+    };
+  }
+
+  // Penalty points behind the confidence grade: 0-1 high, 2-3 medium, 4+ low
+  const CONFIDENCE_PENALTIES = {
+    postcode: 4,       // Postcode defaulted - location features describe the wrong area
+    sizeEstimated: 3,  // Size guessed from bedrooms, the model's strongest input
+    sparse: 2,         // Few training listings in the district
+    sizeOcr: 1,        // Size read from a floorplan image rather than the listing
+    bathrooms: 1,      // Bathrooms defaulted to 1
+    location: 1,       // No lat/lon, so tube and centre distances use the district centroid
+    propertyType: 1,   // Property type defaulted to flat
+  };
+
+  /**
+   * Confidence grade for an estimate, from how complete its inputs were
+   * @param {object} inputs
+   * @param {string} inputs.postcodeDistrict - e.g. 'SW3'
+   * @param {string} inputs.sizeSource - 'page' | 'ocr' | 'estimated' | 'user'
+   * @param {object} inputs.known - { postcode, bathrooms, location, propertyType }, false when defaulted
+   * @param {string[]} [inputs.coverage] - Well-covered districts for the model in use
+   * @returns {{grade: 'high'|'medium'|'low', reasons: string[]}} reasons explain each penalty
+   */
+  function assessConfidence({ postcodeDistrict, sizeSource, known = {}, coverage }) {
+    const reasons = [];
+    let penalty = 0;
+    const add = (key, reason) => {
+      penalty += CONFIDENCE_PENALTIES[key];
+      reasons.push(reason);
+    };
+
+    if (known.postcode === false) add('postcode', 'Postcode not found on listing');
+    if (sizeSource === 'estimated') add('sizeEstimated', 'Size estimated from bedrooms');
+    if (sizeSource === 'ocr') add('sizeOcr', 'Size read from floorplan');
+    if (known.postcode !== false && !hasGoodCoverage(postcodeDistrict, coverage)) {
+      add('sparse', `Limited training data for ${postcodeDistrict}`);
+    }
+    if (known.bathrooms === false) add('bathrooms', 'Bathrooms not stated');
+    if (known.location === false) add('location', 'No map location');
+    if (known.propertyType === false) add('propertyType', 'Property type not stated');
+
+    const grade = penalty >= 4 ? 'low' : penalty >= 2 ? 'medium' : 'high';
+    return { grade, reasons };
+  }
+
+  /**
+   * Top price drivers, in £/month.
+   * Each driver's log-space contribution is converted to the change in fair value
+   * the model would show without it, e.g. { label: 'garden square', amount: 310 }.
+   */
+  function explainPrediction(predictor, features, fairValue, limit = 4) {
+    try {
+      const { prediction, contributions } = predictor.predictContributions(features);
+      return window.XGBFeatures.summarizeContributions(contributions, features)
+        .map(d => ({
+          key: d.key,
+          label: d.label,
+          amount: Math.round((fairValue - Math.expm1(prediction - d.value)) / 10) * 10,
+        }))
+        .filter(d => d.key !== 'other' && Math.abs(d.amount) >= 10)
+        .slice(0, limit);
+    } catch (e) {
+      console.error('[RFV] Contribution breakdown failed:', e);
+      return [];
+    }
+  }
+
+  // Expose globally for content.js and extension pages
+  window.RFVValuation = {
+    hasGoodCoverage,
+    getAssessment,
+    estimateSqft,
+    estimateFairValue,
+    estimateFromPrediction,
+    formatRangeLabel,
+    assessConfidence,
+    compareEstimates,
+    DISAGREEMENT_PCT,
+    explainPrediction,
+  };
+
+})();
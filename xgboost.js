@@ -7,93 +7,286 @@ class XGBoostPredictor {
   constructor() {
     this.model = null;
     this.features = null;
+    this.intervals = null;
     this.loaded = false;
   }
 
-  async load(modelUrl, featuresUrl) {
+  async load(modelUrl, featuresUrl, intervalsUrl = null) {
     if (this.loaded) return;
 
     console.log('[XGB] Loading model...');
-    const [modelRes, featuresRes] = await Promise.all([
+    const [modelRes, featuresRes, intervals] = await Promise.all([
       fetch(modelUrl),
-      fetch(featuresUrl)
+      fetch(featuresUrl),
+      intervalsUrl ? this.loadOptionalJSON(intervalsUrl) : null,
     ]);
 
-    this.model = await modelRes.json();
-    this.features = await featuresRes.json();
+    this.loadFromJSON(await modelRes.json(), await featuresRes.json(), intervals);
+  }
+
+  // Calibration tables are optional - a missing or bad file just means no table
+  async loadOptionalJSON(url) {
+    try {
+      const res = await fetch(url);
+      return res.ok ? await res.json() : null;
+    } catch (e) {
+      console.log('[XGB] Optional file not loaded:', url);
+      return null;
+    }
+  }
+
+  /**
+   * Load an already-parsed model (e.g. in Node, where fetch can't read local files)
+   * @param {object} model - Exported XGBoost JSON model
+   * @param {string[]} features - Feature names in model order (features.json)
+   * @param {object|null} intervals - Residual calibration table (intervals.json), see valuation.js
+   */
+  loadFromJSON(model, features, intervals = null) {
+    this.model = model;
+    this.features = features;
+    this.intervals = intervals;
+    this.baseScore = this.getBaseScore();
+    this.compile();
     this.loaded = true;
 
+    console.log(`[XGB] Loaded model with ${this.compiled.roots.length} trees, ${this.compiled.left.length} nodes, ${this.features.length} features, base_score=${this.baseScore}`);
+  }
+
+  getBaseScore() {
     // base_score can be: number, array, or string like "[8.399085E0]"
     let baseScoreRaw = this.model.learner.learner_model_param.base_score;
     if (typeof baseScoreRaw === 'string') {
       baseScoreRaw = baseScoreRaw.replace(/[\[\]]/g, ''); // Remove brackets
     }
-    const baseScore = parseFloat(Array.isArray(baseScoreRaw) ? baseScoreRaw[0] : baseScoreRaw);
-    console.log(`[XGB] Loaded model with ${this.model.learner.gradient_booster.model.trees.length} trees, ${this.features.length} features, base_score=${baseScore}`);
+    return parseFloat(Array.isArray(baseScoreRaw) ? baseScoreRaw[0] : baseScoreRaw);
+  }
+
+  /**
+   * Flatten every tree into typed arrays once, so predictions don't touch the JSON.
+   * Node ids are global: tree t starts at roots[t], children point at global ids (-1 = leaf).
+   * Leaf values are stored in split_conditions (base_weights holds training gradients).
+   */
+  compile() {
+    const trees = this.model.learner.gradient_booster.model.trees;
+    const nodeCount = trees.reduce((n, tree) => n + tree.left_children.length, 0);
+
+    const compiled = {
+      roots: new Int32Array(trees.length),
+      left: new Int32Array(nodeCount),
+      right: new Int32Array(nodeCount),
+      feature: new Int32Array(nodeCount),
+      threshold: new Float32Array(nodeCount),  // XGBoost stores splits as float32
+      value: new Float64Array(nodeCount),      // Leaf value (0 on internal nodes)
+      defaultLeft: new Uint8Array(nodeCount),
+      cover: new Float64Array(nodeCount),      // sum_hessian, for contributions
+    };
+
+    let offset = 0;
+    trees.forEach((tree, t) => {
+      compiled.roots[t] = offset;
+      for (let i = 0; i < tree.left_children.length; i++) {
+        const n = offset + i;
+        const isLeaf = tree.left_children[i] === -1;
+        const condition = parseFloat(tree.split_conditions[i]);
+        compiled.left[n] = isLeaf ? -1 : offset + tree.left_children[i];
+        compiled.right[n] = isLeaf ? -1 : offset + tree.right_children[i];
+        compiled.feature[n] = isLeaf ? 0 : tree.split_indices[i];
+        compiled.threshold[n] = isLeaf ? 0 : condition;
+        compiled.value[n] = isLeaf ? condition : 0;
+        compiled.defaultLeft[n] = tree.default_left ? (tree.default_left[i] ? 1 : 0) : 1;
+        compiled.cover[n] = tree.sum_hessian ? tree.sum_hessian[i] : 0;
+      }
+      offset += tree.left_children.length;
+    });
+
+    this.compiled = compiled;
+    this.nodeMeans = null;
+  }
+
+  /**
+   * Feature dict -> Float64Array in model order
+   * Missing features count as 0; NaN is kept so splits take their default direction.
+   * @param {object} featureDict - Output of XGBFeatures.buildFeatures
+   * @param {Float64Array} [out] - Reused row buffer
+   */
+  toFeatureRow(featureDict, out = new Float64Array(this.features.length)) {
+    for (let i = 0; i < this.features.length; i++) {
+      out[i] = featureDict[this.features[i]] ?? 0;
+    }
+    return out;
+  }
+
+  /**
+   * Feature dicts -> one flat row-major Float64Array for predictBatch
+   * @param {object[]} featureDicts
+   */
+  featureMatrix(featureDicts) {
+    const width = this.features.length;
+    const matrix = new Float64Array(featureDicts.length * width);
+    featureDicts.forEach((dict, r) => this.toFeatureRow(dict, matrix.subarray(r * width, (r + 1) * width)));
+    return matrix;
+  }
+
+  // Child taken at an internal node; feature values are compared as float32, as in XGBoost
+  nextNode(n, featureValue) {
+    const c = this.compiled;
+    if (Number.isNaN(featureValue)) {
+      return c.defaultLeft[n] ? c.left[n] : c.right[n];
+    }
+    return Math.fround(featureValue) < c.threshold[n] ? c.left[n] : c.right[n];
+  }
+
+  // Sum of leaf values over all trees for one row (features in model order)
+  predictRow(row, offset = 0) {
+    const { roots, left, feature, value } = this.compiled;
+    let sum = this.baseScore;
+
+    for (let t = 0; t < roots.length; t++) {
+      let n = roots[t];
+      while (left[n] !== -1) {
+        n = this.nextNode(n, row[offset + feature[n]]);
+      }
+      sum += value[n];
+    }
+    return sum;
   }
 
   predict(featureDict) {
     if (!this.loaded) {
       throw new Error('Model not loaded');
     }
+    return this.predictRow(this.toFeatureRow(featureDict));
+  }
 
-    // Build feature array in correct order
-    const featureArray = this.features.map(name => featureDict[name] ?? 0);
+  /**
+   * Predict many listings at once (e.g. every card on a search page)
+   * @param {Float64Array|number[][]} featureMatrix - Flat row-major matrix from
+   *        featureMatrix(), or an array of rows in model feature order
+   * @returns {Float64Array} log1p predictions, one per row
+   */
+  predictBatch(featureMatrix) {
+    if (!this.loaded) {
+      throw new Error('Model not loaded');
+    }
 
-    // Get base score (can be number, array, or string like "[8.399085E0]")
-    let baseScoreRaw = this.model.learner.learner_model_param.base_score;
-    if (typeof baseScoreRaw === 'string') {
-      baseScoreRaw = baseScoreRaw.replace(/[\[\]]/g, '');
+    if (ArrayBuffer.isView(featureMatrix)) {
+      const width = this.features.length;
+      const count = featureMatrix.length / width;
+      const predictions = new Float64Array(count);
+      for (let r = 0; r < count; r++) {
+        predictions[r] = this.predictRow(featureMatrix, r * width);
+      }
+      return predictions;
     }
-    const baseScore = parseFloat(Array.isArray(baseScoreRaw) ? baseScoreRaw[0] : baseScoreRaw);
+    return Float64Array.from(featureMatrix, row => this.predictRow(row));
+  }
 
-    // Sum predictions from all trees
-    const trees = this.model.learner.gradient_booster.model.trees;
-    let sum = baseScore;
+  /**
+   * How unsettled one prediction is across the ensemble ("virtual ensemble").
+   * The running sum after each of the last half of the trees is a prediction from a
+   * truncated model; their standard deviation is large where late trees still make
+   * big corrections for this row. Log space, like predict().
+   * @param {object} featureDict - Output of XGBFeatures.buildFeatures
+   * @returns {number} 0 for models with fewer than 3 trees
+   */
+  predictionSpread(featureDict) {
+    if (!this.loaded) {
+      throw new Error('Model not loaded');
+    }
 
-    console.log(`[XGB] Predicting with base_score=${baseScore}, ${trees.length} trees`);
-    console.log(`[XGB] First 5 features:`, featureArray.slice(0, 5));
+    const row = this.toFeatureRow(featureDict);
+    const { roots, left, feature, value } = this.compiled;
+    const first = Math.floor(roots.length / 2);
+    if (roots.length - first < 2) return 0;
+
+    // Welford's running mean/variance over the truncated predictions
+    let sum = this.baseScore, count = 0, mean = 0, m2 = 0;
+    for (let t = 0; t < roots.length; t++) {
+      let n = roots[t];
+      while (left[n] !== -1) {
+        n = this.nextNode(n, row[feature[n]]);
+      }
+      sum += value[n];
+      if (t >= first) {
+        count++;
+        const delta = sum - mean;
+        mean += delta / count;
+        m2 += delta * (sum - mean);
+      }
+    }
+    return Math.sqrt(m2 / count);
+  }
 
-    for (const tree of trees) {
-      sum += this.predictTree(tree, featureArray);
+  /**
+   * Per-feature contribution breakdown for one prediction (Saabas path attribution).
+   * Walks the same path as predict and credits each split's feature with the
+   * change in expected leaf value between the parent node and the child taken.
+   * Values are in log space: bias + sum(contributions) === predict(featureDict).
+   * @param {object} featureDict - Output of XGBFeatures.buildFeatures
+   * @returns {{prediction: number, bias: number, contributions: Object<string, number>}}
+   */
+  predictContributions(featureDict) {
+    if (!this.loaded) {
+      throw new Error('Model not loaded');
     }
 
-    console.log(`[XGB] Final prediction (log): ${sum}`);
-    return sum;
-  }
+    const row = this.toFeatureRow(featureDict);
+    const { roots, left, feature } = this.compiled;
 
-  predictTree(tree, features) {
-    // Navigate tree from root (node 0)
-    let nodeId = 0;
+    // Expected value of every node, computed once per model
+    if (!this.nodeMeans) {
+      this.nodeMeans = this.computeNodeMeans();
+    }
+    const means = this.nodeMeans;
+
+    let bias = this.baseScore;
+    const byIndex = new Float64Array(this.features.length);
+
+    for (let t = 0; t < roots.length; t++) {
+      let n = roots[t];
+      bias += means[n];
 
-    while (true) {
-      const leftChildren = tree.left_children[nodeId];
-      const rightChildren = tree.right_children[nodeId];
+      while (left[n] !== -1) {
+        const nextId = this.nextNode(n, row[feature[n]]);
+        byIndex[feature[n]] += means[nextId] - means[n];
+        n = nextId;
+      }
+    }
 
-      // Leaf node (no children)
-      // IMPORTANT: For leaf nodes in XGBoost JSON format, the prediction value is stored
-      // in split_conditions, NOT base_weights. base_weights contains gradient information
-      // from training, while split_conditions[leaf_node] holds the actual leaf value.
-      if (leftChildren === -1) {
-        return parseFloat(tree.split_conditions[nodeId]);
+    const contributions = {};
+    let prediction = bias;
+    this.features.forEach((name, i) => {
+      if (byIndex[i] !== 0) {
+        contributions[name] = byIndex[i];
+        prediction += byIndex[i];
       }
+    });
 
-      const splitIndex = tree.split_indices[nodeId];
-      const splitCondition = parseFloat(tree.split_conditions[nodeId]);
-      const featureValue = features[splitIndex] ?? 0;
+    return { prediction, bias, contributions };
+  }
 
-      // XGBoost: left if value < condition, right otherwise
-      // Handle missing values (default direction)
-      const defaultLeft = tree.default_left ? tree.default_left[nodeId] : true;
+  // Expected leaf value below each node, weighted by training cover (sum_hessian)
+  // Matches XGBoost's own node mean values used for approximate pred_contribs
+  computeNodeMeans() {
+    const { roots, left, right, value, cover } = this.compiled;
+    const means = new Float64Array(left.length);
 
-      if (featureValue === null || featureValue === undefined || Number.isNaN(featureValue)) {
-        nodeId = defaultLeft ? leftChildren : rightChildren;
-      } else if (featureValue < splitCondition) {
-        nodeId = leftChildren;
+    const fill = n => {
+      if (left[n] === -1) {
+        means[n] = value[n];
+        return;
+      }
+      fill(left[n]);
+      fill(right[n]);
+      if (cover[n] > 0) {
+        means[n] = (means[left[n]] * cover[left[n]] + means[right[n]] * cover[right[n]]) / cover[n];
       } else {
-        nodeId = rightChildren;
+        means[n] = (means[left[n]] + means[right[n]]) / 2;
       }
-    }
+    };
+
+    roots.forEach(fill);
+    return means;
   }
 }
 
@@ -201,6 +394,62 @@ const XGBFeatures = {
   // Property type numeric mapping (matching Python)
   PROPERTY_TYPE_NUM: { 'studio': 0, 'flat': 1, 'apartment': 1, 'maisonette': 2, 'house': 3, 'penthouse': 4, 'townhouse': 3, 'town house': 3 },
 
+  // === PRICE DRIVER GROUPS ===
+  // Related model features (raw, log and interaction terms) are summed into one
+  // human-readable driver for the sidebar breakdown. label(f) gets the feature dict.
+  DRIVER_GROUPS: [
+    { key: 'size', label: f => `${Math.round(f.size_sqft).toLocaleString('en-GB')} sqft`,
+      features: ['size_sqft', 'log_sqft', 'sqrt_sqft', 'size_squared', 'size_per_bed', 'size_bin',
+                 'is_tiny', 'is_huge', 'floor_size_interaction', 'size_x_central', 'size_x_prime'] },
+    { key: 'bedrooms', label: f => `${f.bedrooms} bed`,
+      features: ['bedrooms', 'beds_squared', 'beds_x_central', 'is_studio'] },
+    { key: 'bathrooms', label: f => `${f.bathrooms} bath`,
+      features: ['bathrooms', 'bath_ratio', 'has_ensuite_each', 'high_bathroom_count', 'excess_bathrooms',
+                 'bed_bath_interaction', 'luxury_bathroom_size'] },
+    { key: 'location', label: () => 'location', prefix: 'pc_',
+      features: ['tube_distance_km', 'log_tube_distance', 'center_distance_km', 'log_center_distance',
+                 'center_distance_inv', 'is_prime_postcode', 'postcode_freq', 'postcode_area_freq'] },
+    { key: 'garden_square', label: f => f.is_garden_square ? 'garden square' : 'not a garden square',
+      features: ['is_garden_square', 'garden_square_size'] },
+    { key: 'prime_address', label: f => f.address_prestige ? 'prime address' : 'non-prime street',
+      features: ['is_ultra_prime_address', 'is_ultra_luxury_address', 'ultra_prime_size', 'luxury_address_size',
+                 'is_prime_street', 'prime_street_size', 'address_prestige', 'prestige_x_size'] },
+    { key: 'mews', label: f => f.is_mews ? 'mews' : 'not a mews',
+      features: ['is_mews', 'mews_size_interaction', 'mews_x_prime'] },
+    { key: 'property_type', prefix: 'type_',
+      label: f => Object.keys(f).find(k => k.startsWith('type_') && f[k] === 1)?.replace('type_', '') || 'property type',
+      features: ['is_house', 'is_flat', 'is_large_house', 'is_terraced', 'is_penthouse', 'is_houseboat',
+                 'is_duplex_maisonette', 'property_type_num', 'house_size_interaction', 'flat_size_interaction',
+                 'large_house_size', 'penthouse_size', 'terraced_location'] },
+    { key: 'basement', label: f => f.is_basement_flat ? 'basement flat' : f.has_basement ? 'basement' : 'no basement',
+      features: ['has_basement', 'is_basement_flat'] },
+    { key: 'garden_flat', label: f => f.is_garden_flat ? 'garden flat' : 'not a garden flat',
+      features: ['is_garden_flat'] },
+    { key: 'floors', label: f => f.floor_count > 1 ? `${f.floor_count} floors` : 'single floor',
+      features: ['floor_count', 'is_multi_floor', 'has_ground', 'has_first_floor', 'has_second_floor',
+                 'has_third_floor', 'has_fourth_plus', 'is_ground_floor'] },
+    { key: 'furnishing',
+      label: f => f.is_unfurnished ? 'unfurnished' : f.is_part_furnished ? 'part furnished' :
+                  f.is_furnished_explicit ? 'furnished' : 'furnishing not stated',
+      features: ['is_furnished_explicit', 'is_unfurnished', 'is_part_furnished', 'has_furnished',
+                 'furnished_x_prime', 'furnished_x_central', 'unfurnished_discount'] },
+    { key: 'outdoor_space', label: f => f.has_outdoor_space ? 'outdoor space' : 'no outdoor space',
+      features: ['has_outdoor_space', 'outdoor_x_prime', 'has_balcony', 'has_terrace', 'has_roof_terrace', 'has_garden'] },
+    { key: 'epc', label: f => Number.isNaN(f.epc_band_num) ? 'EPC not shown' : `EPC ${'GFEDCBA'[f.epc_band_num - 1]}`,
+      features: ['epc_score', 'epc_band_num'] },
+    { key: 'amenities', label: () => 'amenities',
+      features: ['amenity_score', 'premium_amenity_count', 'amenity_x_central', 'has_porter', 'has_gym', 'has_pool',
+                 'has_parking', 'has_lift', 'has_ac', 'has_high_ceilings', 'has_view', 'has_modern', 'has_period'] },
+    { key: 'condition', label: f => f.has_refurb_keywords ? 'refurbished' : 'no refurb mentioned',
+      features: ['has_refurb_keywords'] },
+    { key: 'let_type', label: f => f.is_short_let ? 'short let' : 'long let',
+      features: ['is_long_let', 'is_short_let', 'short_let_x_central', 'short_let_size'] },
+    { key: 'agent', label: f => f.is_premium_agent ? 'premium agent' : 'agent',
+      features: ['is_premium_agent', 'premium_agent_size', 'source_quality'] },
+    { key: 'social_housing', label: f => f.is_social_housing ? 'social housing' : 'not social housing',
+      features: ['is_social_housing'] },
+  ],
+
   // Postcode frequency lookup (from training data distribution)
   POSTCODE_FREQ: {
     'SW3': 0.074, 'SW7': 0.068, 'W8': 0.055, 'W2': 0.052, 'SW5': 0.048,
@@ -341,6 +590,106 @@ const XGBFeatures = {
     return result;
   },
 
+  // === SIDEBAR CORRECTIONS ===
+  // Explicit values users can set when the page text or floorplan was misread.
+  // Passed to buildFeatures as furnished / floorLevels / outdoorSpace, they replace detection.
+  // The manual entry popup also passes amenities: the parseAmenities keys that are true
+  // (e.g. ['has_terrace', 'has_gym']), replacing every flag read from the description.
+  FURNISHED_VALUES: ['furnished', 'part_furnished', 'unfurnished', 'unknown'],
+  OUTDOOR_SPACE_VALUES: ['balcony', 'terrace', 'roof_terrace', 'garden'],
+  FLOOR_LEVEL_FEATURES: {
+    basement: 'has_basement',
+    ground: 'has_ground',
+    first: 'has_first_floor',
+    second: 'has_second_floor',
+    third: 'has_third_floor',
+    fourth_plus: 'has_fourth_plus',
+  },
+
+  // Furnished status (same shape as detectFurnishedStatus) from a FURNISHED_VALUES entry
+  furnishedStatusFromValue(value) {
+    return {
+      furnished: value === 'furnished' ? 1 : 0,
+      unfurnished: value === 'unfurnished' ? 1 : 0,
+      partFurnished: value === 'part_furnished' ? 1 : 0,
+    };
+  },
+
+  // Floor flags (same shape as extractFloors) from a list of FLOOR_LEVEL_FEATURES keys
+  floorsFromLevels(levels) {
+    const result = { has_roof_terrace: 0, floors_detected: [] };
+    for (const [level, feature] of Object.entries(this.FLOOR_LEVEL_FEATURES)) {
+      result[feature] = levels.includes(level) ? 1 : 0;
+      if (result[feature]) result.floors_detected.push(level);
+    }
+    result.floor_count = result.floors_detected.length;
+    result.is_multi_floor = result.floor_count >= 2 ? 1 : 0;
+    return result;
+  },
+
+  // Extension messages are JSON, so NaN (missing - splits take the default branch) would
+  // arrive as null and count as 0. Non-finite values travel as strings instead.
+  encodeForMessage(features) {
+    const encoded = {};
+    for (const [name, value] of Object.entries(features)) {
+      encoded[name] = typeof value === 'number' && !Number.isFinite(value) ? String(value) : value;
+    }
+    return encoded;
+  },
+
+  decodeFromMessage(encoded) {
+    const features = {};
+    for (const [name, value] of Object.entries(encoded)) {
+      features[name] = typeof value === 'string' ? Number(value) : value;
+    }
+    return features;
+  },
+
+  /**
+   * Compare a feature vector against a reference (e.g. the Python pipeline's output
+   * for the same listing). Features missing on either side count as 0, as in predict().
+   * @param {object} expected - Reference feature dict
+   * @param {object} actual - Output of buildFeatures
+   * @param {string[]} names - Features to check (defaults to the union of both)
+   * @param {number} tolerance - Absolute difference allowed per feature
+   * @returns {Array<{name: string, expected: number, actual: number, diff: number}>} Largest diff first
+   */
+  compareFeatures(expected, actual, names = null, tolerance = 1e-6) {
+    const featureNames = names || [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+    return featureNames
+      .map(name => {
+        const e = expected[name] ?? 0;
+        const a = actual[name] ?? 0;
+        return { name, expected: e, actual: a, diff: Math.abs(e - a) };
+      })
+      .filter(m => !(m.diff <= tolerance))  // NaN diffs count as mismatches
+      .sort((x, y) => (y.diff || Infinity) - (x.diff || Infinity));
+  },
+
+  // Find the driver group a model feature belongs to (null if ungrouped)
+  getDriverGroup(featureName) {
+    return this.DRIVER_GROUPS.find(g =>
+      g.features.includes(featureName) || (g.prefix && featureName.startsWith(g.prefix))
+    ) || null;
+  },
+
+  // Sum per-feature contributions (from predictContributions) into driver groups,
+  // largest absolute effect first. Values stay in log space.
+  summarizeContributions(contributions, features) {
+    const totals = new Map();
+    for (const [name, value] of Object.entries(contributions)) {
+      const key = this.getDriverGroup(name)?.key || 'other';
+      totals.set(key, (totals.get(key) || 0) + value);
+    }
+
+    return [...totals.entries()]
+      .map(([key, value]) => {
+        const group = this.DRIVER_GROUPS.find(g => g.key === key);
+        return { key, label: group ? group.label(features) : 'other factors', value };
+      })
+      .sort((a, b) => Math.abs(b.value) - Math.abs(a.value));
+  },
+
   haversine(lat1, lon1, lat2, lon2) {
     const R = 6371;
     const toRad = x => x * Math.PI / 180;
@@ -580,8 +929,9 @@ const XGBFeatures = {
 
   // Parse amenities from description (matching Python exactly)
   parseAmenities(text) {
-    if (!text) return {};
-    const t = text.toLowerCase();
+    // Empty text still yields every flag as 0. An empty object left premium_amenity_count
+    // NaN (undefined + undefined), which the trees treat as missing rather than 0
+    const t = (text || '').toLowerCase();
     return {
       has_balcony: t.includes('balcony') ? 1 : 0,
       has_terrace: (t.includes('terrace') && !t.includes('roof terrace')) ? 1 : 0,
@@ -686,7 +1036,7 @@ const XGBFeatures = {
   },
 
   buildFeatures(data) {
-    const beds = data.bedrooms || 1;
+    const beds = data.bedrooms || 1;  // The model counts a studio as one bedroom (see isStudio)
     const baths = data.bathrooms || 1;
     const sqft = data.size_sqft || (beds * 450);
     const postcode = data.postcode || 'SW3';
@@ -697,7 +1047,7 @@ const XGBFeatures = {
     const description = data.description || '';
     const ocrText = data.ocrText || '';
     const agentName = data.agentName || '';
-    const pageUrl = data.pageUrl || window.location.href;
+    const pageUrl = data.pageUrl || (typeof window !== 'undefined' ? window.location.href : '');
     const address = data.address || '';  // V16: need address for premium detection
 
     // Calculate distances
@@ -707,8 +1057,23 @@ const XGBFeatures = {
     const centerDist = this.haversine(lat, lon, this.CITY_CENTER.lat, this.CITY_CENTER.lon);
     const centerInv = 1 / (1 + centerDist);
 
-    // Parse amenities from description
+    // Parse amenities from description, unless they were given as flags
     const amenities = this.parseAmenities(description);
+    if (data.amenities) {
+      for (const key of Object.keys(amenities)) {
+        amenities[key] = data.amenities.includes(key) ? 1 : 0;
+      }
+    }
+    // Corrections from the sidebar replace what was detected in the text
+    if (data.outdoorSpace) {
+      for (const space of this.OUTDOOR_SPACE_VALUES) {
+        amenities[`has_${space}`] = data.outdoorSpace.includes(space) ? 1 : 0;
+      }
+    }
+    if (data.furnished) {
+      // parseAmenities also counts "part furnished" as furnished
+      amenities.has_furnished = (data.furnished === 'furnished' || data.furnished === 'part_furnished') ? 1 : 0;
+    }
     const amenityScore = Object.values(amenities).reduce((a, b) => a + b, 0);
     const isPrime = this.PRIME_POSTCODES.some(p => postcodeDistrict.startsWith(p)) ? 1 : 0;
 
@@ -716,7 +1081,7 @@ const XGBFeatures = {
     const premiumAmenityCount = amenities.has_pool + amenities.has_porter + amenities.has_gym + amenities.has_ac;
 
     // Extract floor information from OCR text (matches Python FloorplanExtractor)
-    const floors = this.extractFloors(ocrText);
+    const floors = data.floorLevels ? this.floorsFromLevels(data.floorLevels) : this.extractFloors(ocrText);
 
     // Generate one-hot encodings
     const postcodeOneHot = this.getPostcodeOneHot(postcodeDistrict);
@@ -772,7 +1137,9 @@ const XGBFeatures = {
     // REMOVED: typePpsfTarget, pcTypePpsf, typeExpectedPrice, pcTypeExpectedPrice - TARGET LEAKAGE (Issue #105)
 
     // === V18 FURNISHED FEATURES ===
-    const furnishedStatus = this.detectFurnishedStatus(description);
+    const furnishedStatus = data.furnished
+      ? this.furnishedStatusFromValue(data.furnished)
+      : this.detectFurnishedStatus(description);
     const isFurnishedExplicit = furnishedStatus.furnished;
     const isUnfurnished = furnishedStatus.unfurnished;
     const isPartFurnished = furnishedStatus.partFurnished;
@@ -789,6 +1156,10 @@ const XGBFeatures = {
     console.log(`[XGB] V18 Furnished: explicit=${isFurnishedExplicit}, unfurnished=${isUnfurnished}, part=${isPartFurnished}`);
     console.log(`[XGB] V19 Mews: is_mews=${isMews}`);
 
+    // EPC rating: NaN when the listing doesn't show one, so splits take their default branch
+    const epcScore = data.epcScore > 0 ? data.epcScore : NaN;
+    const epcBandNum = /^[A-G]$/.test(data.epcBand || '') ? 'GFEDCBA'.indexOf(data.epcBand) + 1 : NaN;  // G=1 ... A=7
+
     // Calculate floor-related features (matching Python rental_price_models_v15.py)
     const floorCount = floors.floor_count || 1;
     const floorSizeInteraction = floorCount * sqft / 1000;
@@ -884,6 +1255,10 @@ const XGBFeatures = {
       is_long_let: longLet,
       is_short_let: shortLet,
 
+      // === EPC FEATURES (models trained with EPC ratings) ===
+      epc_score: epcScore,
+      epc_band_num: epcBandNum,
+
       // === AGENT FEATURES ===
       is_premium_agent: isPremiumAgent,
       premium_agent_size: isPremiumAgent * logSqft,
@@ -932,5 +1307,12 @@ const XGBFeatures = {
 };
 
 // Export for use in content.js
-window.XGBoostPredictor = XGBoostPredictor;
-window.XGBFeatures = XGBFeatures;
+if (typeof window !== 'undefined') {
+  window.XGBoostPredictor = XGBoostPredictor;
+  window.XGBFeatures = XGBFeatures;
+}
+
+// Export for Node (offline parity checks against the Python pipeline)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { XGBoostPredictor, XGBFeatures };
+}